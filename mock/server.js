@@ -0,0 +1,494 @@
+// Minimal stand-in for the CVaR optimizer backend, for trying the UI without
+// the real server. Runs are simulated: each is queued briefly, then progress
+// advances over a few seconds and the artifacts (CSVs, summary, PNG figures,
+// memo) are synthetic, seeded by config.seed and the portfolio date (so the
+// dates of a rebalance schedule get different results).
+//
+//   node mock/server.js [--port=8000] [--duration=8] [--queue=1] [--no-stream] [--no-cancel]
+//                       [--fail-rate=0] [--error-rate=0] [--api-key=KEY]
+//
+// POST /api/runs/{id}/memo regenerates a finished run's memo with the
+// requested model; GET /api/memo/models lists the models on offer.
+// --no-stream drops the /events endpoint (to exercise the polling fallback),
+// --no-cancel drops the cancel endpoint, --fail-rate makes that share of
+// status requests answer 503, --error-rate makes that share of runs end in
+// status "error", and --api-key requires `Authorization: Bearer KEY` (or
+// `X-API-Key: KEY`) on every request.
+
+import http from "node:http";
+import { randomUUID } from "node:crypto";
+import { deflateSync } from "node:zlib";
+
+const args = Object.fromEntries(
+  process.argv.slice(2).map((a) => {
+    const [k, v] = a.replace(/^--/, "").split("=");
+    return [k, v ?? true];
+  })
+);
+const PORT = Number(args.port || process.env.PORT || 8000);
+const DURATION_MS = Number(args.duration || 8) * 1000;
+const QUEUE_MS = Number(args.queue ?? 1) * 1000;
+const STREAM = !args["no-stream"];
+const CANCEL = !args["no-cancel"];
+const FAIL_RATE = Number(args["fail-rate"] || 0);
+const ERROR_RATE = Number(args["error-rate"] || 0);
+const API_KEY = typeof args["api-key"] === "string" ? args["api-key"] : "";
+
+const runs = new Map();
+const MEMO_MODELS = ["mock-model", "gpt-4o-mini", "gpt-4o", "gpt-4.1-mini"];
+
+function rng(seed) {
+  let s = seed >>> 0 || 1;
+  return () => {
+    s = (s * 1664525 + 1013904223) >>> 0;
+    return s / 2 ** 32;
+  };
+}
+
+// Splits a multipart/form-data body into { name: text } (files included as text).
+function parseMultipart(body, contentType) {
+  const boundary = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType || "");
+  if (!boundary) return {};
+  const fields = {};
+  for (const part of body.split(`--${boundary[1] || boundary[2]}`)) {
+    const name = /name="([^"]+)"/.exec(part);
+    const start = part.indexOf("\r\n\r\n");
+    if (!name || start === -1) continue;
+    fields[name[1]] = part.slice(start + 4).replace(/\r\n$/, "");
+  }
+  return fields;
+}
+
+function parsePortfolio(text) {
+  const [header = "", row = ""] = String(text || "").trim().split(/\r?\n/);
+  const tickers = header.split(",").slice(1).map((t) => t.trim());
+  const weights = row.split(",").slice(1).map(Number);
+  return { date: row.split(",")[0], tickers, weights };
+}
+
+function businessDays(end, count) {
+  const days = [];
+  const d = new Date(`${end}T00:00:00Z`);
+  if (Number.isNaN(d.getTime())) d.setTime(Date.now());
+  while (days.length < count) {
+    d.setUTCDate(d.getUTCDate() - 1);
+    if (d.getUTCDay() !== 0 && d.getUTCDay() !== 6) days.push(d.toISOString().slice(0, 10));
+  }
+  return days.reverse();
+}
+
+function cvar(returns, alpha) {
+  const sorted = [...returns].sort((a, b) => a - b);
+  const k = Math.max(1, Math.ceil(alpha * sorted.length));
+  return -sorted.slice(0, k).reduce((s, x) => s + x, 0) / k;
+}
+
+function mean(xs) {
+  return xs.reduce((s, x) => s + x, 0) / xs.length;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const b of buf) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(data.length, 0);
+  head.write(type, 4, "ascii");
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), data])), 0);
+  return Buffer.concat([head, data, crc]);
+}
+
+// Encodes an 8-bit RGB pixel buffer as a PNG file.
+function encodePng(width, height, pixels) {
+  const stride = width * 3;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) pixels.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 2; // RGB
+  return Buffer.concat([
+    Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]),
+    pngChunk("IHDR", ihdr),
+    pngChunk("IDAT", deflateSync(raw)),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+const COLORS = [
+  [100, 116, 139],
+  [37, 99, 235],
+];
+const AXIS = [203, 213, 225];
+
+// Plain raster plots for the figures/*.png artifacts: no text, just axes,
+// lines (one per series) or grouped bars.
+function plot(kind, series, { width = 640, height = 320, pad = 24 } = {}) {
+  const px = Buffer.alloc(width * height * 3, 255);
+  const dot = (x, y, [r, g, b]) => {
+    x = Math.round(x);
+    y = Math.round(y);
+    if (x < 0 || y < 0 || x >= width || y >= height) return;
+    px.set([r, g, b], (y * width + x) * 3);
+  };
+  const line = (x0, y0, x1, y1, color) => {
+    const n = Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0), 1);
+    for (let k = 0; k <= n; k++) dot(x0 + ((x1 - x0) * k) / n, y0 + ((y1 - y0) * k) / n, color);
+  };
+  const all = series.flat();
+  const lo = Math.min(0, ...all);
+  const hi = Math.max(...all);
+  const sy = (v) => height - pad - ((v - lo) / (hi - lo || 1)) * (height - 2 * pad);
+  line(pad, pad, pad, height - pad, AXIS);
+  line(pad, sy(0), width - pad, sy(0), AXIS);
+
+  if (kind === "line") {
+    series.forEach((ys, k) => {
+      const sx = (i) => pad + (i / Math.max(1, ys.length - 1)) * (width - 2 * pad);
+      for (let i = 1; i < ys.length; i++) line(sx(i - 1), sy(ys[i - 1]), sx(i), sy(ys[i]), COLORS[k % COLORS.length]);
+    });
+  } else {
+    const n = series[0].length;
+    const groupW = (width - 2 * pad) / n;
+    const barW = Math.max(1, Math.floor((groupW * 0.8) / series.length));
+    series.forEach((ys, k) =>
+      ys.forEach((v, i) => {
+        const x0 = pad + i * groupW + groupW * 0.1 + k * barW;
+        for (let x = x0; x < x0 + barW - 1; x++) line(x, sy(0), x, sy(v), COLORS[k % COLORS.length]);
+      })
+    );
+  }
+  return encodePng(width, height, px);
+}
+
+function cumulative(returns) {
+  let v = 1;
+  return returns.map((r) => (v *= 1 + r) - 1);
+}
+
+// Builds the finished run's artifacts and summary.
+function simulate(run) {
+  const { config, portfolio } = run;
+  const rand = rng((Number(config.seed) || 42) * 31 + (Number(String(portfolio.date).replace(/\D/g, "")) || 0));
+  const n = portfolio.tickers.length;
+  const days = businessDays(portfolio.date, Math.min(Number(config.lookback_days) || 504, 2000));
+  const vols = portfolio.tickers.map(() => 0.006 + rand() * 0.02);
+  const drifts = portfolio.tickers.map(() => (rand() - 0.4) * 0.001);
+  const assetReturns = days.map(() => {
+    const market = (rand() - 0.5) * 0.02;
+    return vols.map((v, i) => drifts[i] + market * (0.5 + i / (2 * n)) + (rand() - 0.5) * 2 * v);
+  });
+
+  // "Optimized" weights tilt toward the low-volatility assets within w_max.
+  const wMax = Number(config.w_max) || 1;
+  const inv = vols.map((v) => 1 / v);
+  let opt = inv.map((x) => x / inv.reduce((s, y) => s + y, 0));
+  for (let k = 0; k < 20; k++) {
+    const capped = opt.map((w) => Math.min(w, wMax));
+    const free = capped.filter((w) => w < wMax).reduce((s, w) => s + w, 0);
+    const excess = 1 - capped.reduce((s, w) => s + w, 0);
+    opt = capped.map((w) => (w < wMax && free > 0 ? w + (excess * w) / free : w));
+  }
+  const init = portfolio.weights.map((w) => (Number.isFinite(w) ? w : 1 / n));
+
+  const split = Math.floor(days.length * (Number(config.train_ratio) || 0.7));
+  const portRet = (w) => assetReturns.map((r) => r.reduce((s, x, i) => s + x * w[i], 0));
+  const initRet = portRet(init);
+  const optRet = portRet(opt);
+  const alpha = Number(config.alpha) || 0.05;
+  const turnover = opt.reduce((s, w, i) => s + Math.abs(w - init[i]), 0);
+
+  const iters = Number(config.iters) || 4000;
+  const history = [];
+  let best = Infinity;
+  for (let i = 0; i <= iters; i += Math.max(1, Math.floor(iters / 200))) {
+    const obj = cvar(optRet.slice(0, split), alpha) * (1 + 2 * Math.exp(-i / (iters / 6))) + (rand() - 0.5) * 0.001;
+    best = Math.min(best, obj);
+    history.push([i, obj, best]);
+  }
+
+  const fmt = (x) => x.toFixed(8);
+  run.files = {
+    "summary.json": null,
+    "weights_opt.csv": `asset,w_init,w_opt\n${portfolio.tickers.map((t, i) => `${t},${fmt(init[i])},${fmt(opt[i])}`).join("\n")}\n`,
+    "trades.csv": `asset,w_old,w_new,trade\n${portfolio.tickers
+      .map((t, i) => `${t},${fmt(init[i])},${fmt(opt[i])},${fmt(opt[i] - init[i])}`)
+      .join("\n")}\n`,
+    "objective_history.csv": `iteration,objective,best_objective\n${history.map(([i, obj, b]) => `${i},${fmt(obj)},${fmt(b)}`).join("\n")}\n`,
+    "portfolio_returns_full.csv": `date,initial,optimized,split\n${days
+      .map((d, i) => `${d},${fmt(initRet[i])},${fmt(optRet[i])},${i < split ? "train" : "test"}`)
+      .join("\n")}\n`,
+    "asset_returns.csv": `date,${portfolio.tickers.join(",")},split\n${days
+      .map((d, i) => `${d},${assetReturns[i].map(fmt).join(",")},${i < split ? "train" : "test"}`)
+      .join("\n")}\n`,
+  };
+  run.files["figures/cumulative_returns.png"] = plot("line", [cumulative(initRet), cumulative(optRet)]);
+  run.files["figures/objective_history.png"] = plot("line", [history.map((h) => h[1]), history.map((h) => h[2])]);
+  run.files["figures/weights.png"] = plot("bar", [init, opt]);
+  run.summary = {
+    run_id: run.id,
+    objective: config.objective,
+    alpha,
+    train_ratio: Number(config.train_ratio),
+    transaction_cost_bps: Number(config.transaction_cost_bps),
+    turnover,
+    train: { cvar: cvar(optRet.slice(0, split), alpha), mean: mean(optRet.slice(0, split)) },
+    test: { cvar: cvar(optRet.slice(split), alpha), mean: mean(optRet.slice(split)) },
+    initial: { train_cvar: cvar(initRet.slice(0, split), alpha), test_cvar: cvar(initRet.slice(split), alpha) },
+    weights: Object.fromEntries(portfolio.tickers.map((t, i) => [t, opt[i]])),
+  };
+  run.files["summary.json"] = JSON.stringify(run.summary, null, 2);
+  run.testReturns = optRet.slice(split);
+  if (run.doMemo) run.memo = buildMemo(run, run.memoModel);
+}
+
+// Later memos for the same run (POST .../memo) vary their wording so that
+// versions can be told apart.
+const MEMO_TONES = [
+  "The optimizer shifted weight toward the lower-volatility assets",
+  "Most of the risk reduction came from trimming the more volatile names",
+  "Concentrating in the steadier assets did most of the work",
+];
+
+function buildMemo(run, model) {
+  const { alpha, turnover, train, test, initial, weights } = run.summary;
+  const [top, topWeight] = Object.entries(weights).sort((a, b) => b[1] - a[1])[0];
+  const worst = [...run.testReturns].sort((a, b) => a - b).slice(0, 3);
+  const version = (run.memoCount = (run.memoCount || 0) + 1);
+  return {
+    model: model || "mock-model",
+    memo: {
+      headline: `Test CVaR ${(test.cvar * 100).toFixed(2)}% at alpha ${alpha}, vs ${(initial.test_cvar * 100).toFixed(2)}% before.`,
+      key_findings: [
+        `Train CVaR fell from ${(initial.train_cvar * 100).toFixed(2)}% to ${(train.cvar * 100).toFixed(2)}%.`,
+        `Turnover ${(turnover * 100).toFixed(1)}% (limit ${(Number(run.config.turnover_max) * 100).toFixed(0)}%).`,
+        `Largest position: ${top} at ${(topWeight * 100).toFixed(1)}%.`,
+      ],
+      risk_story: `${MEMO_TONES[(version - 1) % MEMO_TONES.length]}, which cut the average loss on the worst ${(alpha * 100).toFixed(0)}% of days.`,
+      return_story: `Mean daily return on the test window is ${(test.mean * 100).toFixed(3)}%, against ${(train.mean * 100).toFixed(3)}% in training.`,
+      crash_days_commentary: `The three worst test days lost ${worst.map((x) => `${(-x * 100).toFixed(2)}%`).join(", ")}.`,
+      limitations: ["Synthetic returns from the mock backend.", "Single train/test split; no walk-forward validation."],
+      next_experiments: ["Try alpha = 0.01 for deeper tail focus.", "Sweep turnover_max to see the cost/risk trade-off."],
+      ...(version > 1 ? { revision_note: `Regenerated (version ${version}).` } : {}),
+    },
+  };
+}
+
+function runState(run) {
+  if (run.status !== "running") return null;
+  const frac = Math.min(1, (Date.now() - run.startedAt) / DURATION_MS);
+  const iters = Number(run.config.iters) || 4000;
+  const iteration = Math.floor(frac * iters);
+  const t0 = Number(run.config.init_temp) || 1;
+  const t1 = Number(run.config.final_temp) || 0.001;
+  const objective = 0.02 * (1 + 2 * Math.exp(-iteration / (iters / 6))) + (Math.random() - 0.5) * 0.002;
+  run.best = Math.min(run.best ?? Infinity, objective);
+  return {
+    iteration,
+    total: iters,
+    temperature: t0 * (t1 / t0) ** frac,
+    objective,
+    best_objective: run.best,
+    done: frac >= 1,
+  };
+}
+
+// Advances the run's lifecycle: queued → running → done (or error part-way
+// through for runs picked by --error-rate).
+function tick(run) {
+  if (run.status === "queued" && Date.now() - run.createdAt >= QUEUE_MS) {
+    run.status = "running";
+    run.startedAt = run.createdAt + QUEUE_MS;
+  }
+  const state = runState(run);
+  if (state && run.failAt != null && state.iteration >= run.failAt * state.total) {
+    run.status = "error";
+    run.error = `Optimizer diverged at iteration ${state.iteration}: objective is NaN (try a smaller step_size).`;
+    return null;
+  }
+  if (state?.done) {
+    simulate(run);
+    run.status = "done";
+  }
+  return state;
+}
+
+function statusPayload(run) {
+  const state = tick(run);
+  return {
+    run_id: run.id,
+    status: run.status,
+    ...(run.error ? { error: run.error } : {}),
+    ...(state ? { progress: { iteration: state.iteration, total: state.total } } : {}),
+    files: run.status === "done" ? Object.keys(run.files) : [],
+  };
+}
+
+const CONTENT_TYPES = { json: "text/plain", csv: "text/csv", png: "image/png" };
+
+function send(res, code, body, type = "application/json") {
+  res.writeHead(code, { "Content-Type": type, "Access-Control-Allow-Origin": "*" });
+  res.end(type === "application/json" ? JSON.stringify(body) : body);
+}
+
+function streamEvents(req, res, run) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "Access-Control-Allow-Origin": "*",
+  });
+  const timer = setInterval(() => {
+    const state = tick(run);
+    if (run.status === "queued") return;
+    if (run.status !== "running") {
+      res.write(`event: status\ndata: ${JSON.stringify({ status: run.status, error: run.error })}\n\n`);
+      clearInterval(timer);
+      res.end();
+      return;
+    }
+    const { iteration, total, temperature, objective, best_objective } = state;
+    res.write(`event: progress\ndata: ${JSON.stringify({ iteration, total, temperature, objective, best_objective })}\n\n`);
+  }, 200);
+  req.on("close", () => clearInterval(timer));
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const parts = url.pathname.split("/").filter(Boolean);
+
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+      // Authorization is never covered by "*", so it's listed explicitly.
+      "Access-Control-Allow-Headers": "Authorization, X-API-Key, *",
+    });
+    res.end();
+    return;
+  }
+
+  if (API_KEY && req.headers.authorization !== `Bearer ${API_KEY}` && req.headers["x-api-key"] !== API_KEY) {
+    return send(res, 401, { detail: "Invalid or missing API key" });
+  }
+
+  if (req.method === "GET" && url.pathname === "/api/health") {
+    return send(res, 200, { status: "ok", mock: true, runs: runs.size });
+  }
+
+  if (req.method === "GET" && url.pathname === "/api/memo/models") {
+    return send(res, 200, { models: MEMO_MODELS });
+  }
+
+  if (req.method === "POST" && url.pathname === "/api/runs") {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (c) => (body += c));
+    req.on("end", () => {
+      const fields = parseMultipart(body, req.headers["content-type"]);
+      let config;
+      try {
+        config = JSON.parse(fields.config_json || "{}");
+      } catch {
+        send(res, 422, { detail: "config_json is not valid JSON" });
+        return;
+      }
+      if (Number(config.final_temp) >= Number(config.init_temp)) {
+        send(res, 422, {
+          detail: [{ loc: ["body", "config_json", "final_temp"], msg: "must be below init_temp", type: "value_error" }],
+        });
+        return;
+      }
+      const portfolio = parsePortfolio(fields.portfolio);
+      if (!portfolio.tickers.length) {
+        send(res, 422, { detail: "portfolio CSV has no tickers" });
+        return;
+      }
+      const id = randomUUID().slice(0, 8);
+      runs.set(id, {
+        id,
+        config,
+        portfolio,
+        doMemo: fields.do_memo === "true",
+        memoModel: fields.memo_model,
+        status: "queued",
+        createdAt: Date.now(),
+        failAt: Math.random() < ERROR_RATE ? 0.3 + Math.random() * 0.5 : null,
+      });
+      send(res, 200, { run_id: id });
+    });
+    return;
+  }
+
+  const run = runs.get(parts[0] === "api" ? parts[2] : parts[1]);
+
+  if (parts[0] === "api" && parts[1] === "runs" && parts[2]) {
+    if (!run) return send(res, 404, { detail: "run not found" });
+    const action = parts[3];
+    if (req.method === "GET" && !action) {
+      if (Math.random() < FAIL_RATE) return send(res, 503, { detail: "flaky mock" });
+      return send(res, 200, statusPayload(run));
+    }
+    if (req.method === "GET" && action === "events" && STREAM) return streamEvents(req, res, run);
+    if (req.method === "POST" && action === "cancel" && CANCEL) {
+      if (run.status === "running" || run.status === "queued") run.status = "cancelled";
+      return send(res, 200, { run_id: run.id, status: run.status });
+    }
+    if (req.method === "GET" && action === "summary") {
+      return run.summary ? send(res, 200, run.summary) : send(res, 404, { detail: "summary not ready" });
+    }
+    if (req.method === "GET" && action === "memo") {
+      return run.memo ? send(res, 200, run.memo) : send(res, 404, { detail: "no memo for this run" });
+    }
+    if (req.method === "POST" && action === "memo") {
+      tick(run);
+      if (run.status !== "done") return send(res, 409, { detail: `run is ${run.status}, not done` });
+      let body = "";
+      req.setEncoding("utf8");
+      req.on("data", (c) => (body += c));
+      req.on("end", () => {
+        let model;
+        try {
+          model = JSON.parse(body || "{}").memo_model;
+        } catch {
+          send(res, 422, { detail: "body is not valid JSON" });
+          return;
+        }
+        // Generation takes a moment on a real backend too.
+        setTimeout(() => {
+          run.memo = buildMemo(run, model);
+          send(res, 200, run.memo);
+        }, 1200);
+      });
+      return;
+    }
+  }
+
+  if (parts[0] === "runs" && run?.files) {
+    const name = parts.slice(2).join("/");
+    if (name in run.files) {
+      return send(res, 200, run.files[name], CONTENT_TYPES[name.split(".").pop()] || "application/octet-stream");
+    }
+  }
+
+  send(res, 404, { detail: "not found" });
+});
+
+server.listen(PORT, () => {
+  console.log(
+    `Mock backend on http://127.0.0.1:${PORT} (stream ${STREAM ? "on" : "off"}, cancel ${CANCEL ? "on" : "off"}${
+      API_KEY ? ", API key required" : ""
+    })`
+  );
+});
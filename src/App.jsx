@@ -1,59 +1,87 @@
-import { useMemo, useState } from "react";
-
-const API_BASE = import.meta.env.VITE_API_BASE || "http://127.0.0.1:8000";
-
-const DEFAULT_CONFIG = {
-  lookback_days: 504,
-  train_ratio: 0.7,
-
-  alpha: 0.05,
-  objective: "min_cvar",
-  lambda: 0.5,
-
-  long_only: true,
-  w_max: 0.6,
-  turnover_max: 0.5,
-
-  transaction_cost_bps: 10.0,
-
-  seed: 42,
-  iters: 4000,
-  step_size: 0.05,
-  init_temp: 1.0,
-  final_temp: 0.001,
-
-  penalty_turnover: 50.0,
-  penalty_invalid: 1000000.0,
-};
-
-const FIELD_HELP = {
-  lookback_days: "How many past trading days to use (e.g., 504 ≈ ~2 years).",
-  train_ratio: "Fraction of the window used for optimization. The rest is test (recent).",
-  alpha: "CVaR tail level. 0.05 means 'worst 5% days'.",
-  objective: "min_cvar = focus only on crash risk. mean_minus_lambda_cvar balances return vs tail risk.",
-  lambda: "Risk aversion. Higher lambda = more defensive portfolio (only used in mean_minus_lambda_cvar).",
-  w_max: "Max weight per asset (caps concentration). Must be ≥ 1/N for feasibility.",
-  turnover_max: "Max total rebalancing amount. Lower = less trading.",
-  transaction_cost_bps: "Trading cost in basis points (10 bps = 0.10%) per 1.0 turnover.",
-  iters: "Simulated annealing iterations. More = better search but slower.",
-  step_size: "How big each random move in weights is.",
-  init_temp: "Start temperature (more exploration).",
-  final_temp: "End temperature (more exploitation).",
-  seed: "Random seed (repeatable results).",
-  penalty_turnover: "How hard we punish exceeding turnover_max.",
-};
-
-function downloadTextFile(filename, text) {
-  const blob = new Blob([text], { type: "text/csv;charset=utf-8" });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = filename;
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
-  URL.revokeObjectURL(url);
-}
+import { useEffect, useEffectEvent, useMemo, useRef, useState } from "react";
+import ArtifactDownloads from "./components/ArtifactDownloads.jsx";
+import BackendSettings, { HealthDot } from "./components/BackendSettings.jsx";
+import CompareRuns from "./components/CompareRuns.jsx";
+import ConstraintsEditor from "./components/ConstraintsEditor.jsx";
+import LiveProgress from "./components/LiveProgress.jsx";
+import LocalEnginePanel, { CrossCheck } from "./components/LocalEngine.jsx";
+import MemoCard, { ModelPicker } from "./components/MemoCard.jsx";
+import PortfolioBuilder from "./components/PortfolioBuilder.jsx";
+import PortfolioPreview, { IssueList } from "./components/PortfolioPreview.jsx";
+import PresetBar from "./components/PresetBar.jsx";
+import RebalanceResults from "./components/RebalanceResults.jsx";
+import RobustnessResults from "./components/RobustnessResults.jsx";
+import ReportActions from "./components/ReportActions.jsx";
+import RunCharts from "./components/RunCharts.jsx";
+import RiskAnalytics from "./components/RiskAnalytics.jsx";
+import RunHistory from "./components/RunHistory.jsx";
+import SweepResults from "./components/SweepResults.jsx";
+import TradeTicket from "./components/TradeTicket.jsx";
+import WhatIfEditor from "./components/WhatIfEditor.jsx";
+import useRebalance from "./hooks/useRebalance.js";
+import useSweep from "./hooks/useSweep.js";
+import {
+  apiSettings,
+  cancelRun,
+  checkHealth,
+  configureApi,
+  createRun,
+  fetchArtifact,
+  generateMemo,
+  getConfigSchema,
+  getMemoModels,
+  getRunMemo,
+  getRunStatus,
+  getRunSummary,
+  runUrlBase as runUrlFor,
+} from "./lib/api.js";
+import { CHART_ARTIFACTS, findArtifact } from "./lib/artifacts.js";
+import { activeBackend, connectionFor, loadBackends, saveBackends } from "./lib/backends.js";
+import { downloadTextFile } from "./lib/download.js";
+import { checkMarketData, parseMarketData } from "./lib/localEngine.js";
+import { isLocalRun, runLocalMember, startLocalRun } from "./lib/localRuns.js";
+import {
+  CONFIG_GROUPS,
+  CONFIG_SCHEMA,
+  DEFAULT_CONFIG,
+  isFieldEnabled,
+  normalizeSchema,
+  parseFieldInput,
+  schemaDefaults,
+  validateConfigFields,
+} from "./lib/config.js";
+import {
+  EMPTY_CONSTRAINTS,
+  checkConstraints,
+  constraintsFromConfig,
+  constraintsToConfig,
+} from "./lib/constraints.js";
+import {
+  MEMO_MODELS,
+  addMemoVersion,
+  loadMemoVersions,
+  normalizeModels,
+  parseMemo,
+  saveMemoVersions,
+} from "./lib/memo.js";
+import { parsePortfolioCSV, portfolioToCSV, scheduleToCSV, validatePortfolio } from "./lib/portfolioCsv.js";
+import { buildRebalancePlan } from "./lib/rebalance.js";
+import { DEFAULT_ROBUSTNESS, ROBUSTNESS_KEYS, buildRobustnessPlan } from "./lib/robustness.js";
+import {
+  BUILTIN_PRESETS,
+  configToJSON,
+  loadPresets,
+  presetDiff,
+  presetsToJSON,
+  savePresets,
+  upsertPreset,
+} from "./lib/presets.js";
+import { headlineFromSummary, loadHistory, patchRun, removeRun, saveHistory, upsertRun } from "./lib/runHistory.js";
+import { followRun } from "./lib/runStream.js";
+import { clearActiveRun, isTerminal, loadActiveRun, saveActiveRun } from "./lib/runTracker.js";
+import { summaryStats } from "./lib/summary.js";
+import { MAX_SWEEP_RUNS, buildSweepPlan, runPool, runSweepMember } from "./lib/sweep.js";
+import { decodeUrlState, encodeUrlState, shareUrl } from "./lib/urlState.js";
 
 function makeTemplateCSV() {
   return `date,SPY.US,GLD.US,AAPL.US,MSFT.US
@@ -67,35 +95,334 @@ function makeDemoCSV() {
 `;
 }
 
-function num(v, fallback) {
-  const x = Number(v);
-  return Number.isFinite(x) ? x : fallback;
+// Quarterly holdings: one optimization per row.
+function makeRebalanceDemoCSV() {
+  return `date,SPY.US,GLD.US,TLT.US
+2023-01-03,0.60,0.15,0.25
+2023-04-03,0.55,0.20,0.25
+2023-07-03,0.60,0.20,0.20
+2023-10-02,0.50,0.25,0.25
+2024-01-02,0.55,0.20,0.25
+2024-04-01,0.60,0.15,0.25
+`;
+}
+
+// Keeps the live objective trace bounded by thinning older points.
+function appendTrace(trace, point) {
+  const next = [...trace, point];
+  return next.length > 2000 ? next.filter((_, i) => i % 2 === 0 || i === next.length - 1) : next;
+}
+
+const GROUP_IDS = CONFIG_GROUPS.map((g) => g.id);
+
+// State carried by a shared link, read once when the page loads.
+const linkState = decodeUrlState(window.location.search);
+
+// Point the API client at the saved backend before anything is fetched.
+const initialBackends = loadBackends();
+configureApi(connectionFor(activeBackend(initialBackends)));
+
+function emptyBuilderPortfolio() {
+  return { date: new Date().toISOString().slice(0, 10), assets: [{ ticker: "", weight: "" }] };
 }
 
 export default function App() {
   const [portfolioFile, setPortfolioFile] = useState(null);
-  const [config, setConfig] = useState(DEFAULT_CONFIG);
-
-  const [doMemo, setDoMemo] = useState(false);
-  const [memoModel, setMemoModel] = useState("");
+  const [portfolio, setPortfolio] = useState(null);
+  const [schedule, setSchedule] = useState(null);
+  const [parseIssues, setParseIssues] = useState([]);
+  const [builderPortfolio, setBuilderPortfolio] = useState(emptyBuilderPortfolio);
+  const [portfolioSource, setPortfolioSource] = useState("upload");
+  const [config, setConfig] = useState(linkState?.config || DEFAULT_CONFIG);
+  const [linkIssues, setLinkIssues] = useState(linkState?.issues || []);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [schema, setSchema] = useState(CONFIG_SCHEMA);
+  const [constraints, setConstraints] = useState(EMPTY_CONSTRAINTS);
+  const [presets, setPresets] = useState(loadPresets);
+  const [presetName, setPresetName] = useState("");
+
+  const [doMemo, setDoMemo] = useState(!!linkState?.doMemo);
+  const [memoModel, setMemoModel] = useState(linkState?.memoModel || "");
 
   const [runId, setRunId] = useState("");
   const [status, setStatus] = useState(null);
   const [summary, setSummary] = useState(null);
-  const [memo, setMemo] = useState(null);
+  const [memoVersions, setMemoVersions] = useState(loadMemoVersions);
+  const [memoSelected, setMemoSelected] = useState("");
+  const [memoError, setMemoError] = useState("");
+  const [memoGenerating, setMemoGenerating] = useState(false);
+  const [memoModels, setMemoModels] = useState(MEMO_MODELS);
 
   const [busy, setBusy] = useState(false);
   const [log, setLog] = useState("");
-
-  const runUrlBase = useMemo(() => (runId ? `${API_BASE}/runs/${runId}` : ""), [runId]);
+  const [timedOut, setTimedOut] = useState(false);
+  const [liveTrace, setLiveTrace] = useState([]);
+  const abortRef = useRef(null);
+  // Portfolio sent with the current sweep, recorded with each member's history entry.
+  const sweepCsvRef = useRef(null);
+  const [chartMode, setChartMode] = useState("interactive");
+  const [focusDate, setFocusDate] = useState("");
+
+  // Local runs lived in the tab that was closed, so any still running are lost.
+  const [history, setHistory] = useState(() =>
+    loadHistory().map((e) =>
+      e.status === "running" && isLocalRun(e.run_id)
+        ? { ...e, status: "error", error: "Local runs don't survive a page reload." }
+        : e
+    )
+  );
+  const [compareIds, setCompareIds] = useState([]);
+
+  const [backends, setBackends] = useState(initialBackends);
+  const [backendHealth, setBackendHealth] = useState({});
+  const [showBackends, setShowBackends] = useState(false);
+  const backend = activeBackend(backends);
+  const backendKey = JSON.stringify(connectionFor(backend));
+
+  useEffect(() => {
+    saveHistory(history);
+  }, [history]);
+
+  useEffect(() => {
+    savePresets(presets);
+  }, [presets]);
+
+  useEffect(() => {
+    saveBackends(backends);
+  }, [backends]);
+
+  useEffect(() => {
+    saveMemoVersions(memoVersions);
+  }, [memoVersions]);
+
+  // Prefer the backend's config schema when it publishes one; new fields get
+  // their defaults without touching values already set. Re-read whenever the
+  // active backend changes.
+  useEffect(() => {
+    let cancelled = false;
+    getConfigSchema()
+      .then(normalizeSchema)
+      .catch(() => null)
+      .then((s) => {
+        if (cancelled) return;
+        setSchema(s || CONFIG_SCHEMA);
+        if (s) setConfig((c) => ({ ...schemaDefaults(s), ...c }));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [backendKey]);
+
+  useEffect(() => {
+    let cancelled = false;
+    getMemoModels()
+      .then(normalizeModels)
+      .catch(() => null)
+      .then((models) => !cancelled && setMemoModels(models || MEMO_MODELS));
+    return () => {
+      cancelled = true;
+    };
+  }, [backendKey]);
+
+  // Check the active backend once on load; later checks come from the settings panel.
+  useEffect(() => {
+    const { id } = activeBackend(initialBackends);
+    checkHealth().then((h) => setBackendHealth((prev) => ({ ...prev, [id]: h })));
+  }, []);
+
+  // On load, open the run from a shared link, or else pick the watched run back
+  // up after a reload; refresh any other runs (e.g. sweep members) that were
+  // still in flight.
+  const restoreRun = useEffectEvent((active) => {
+    if (linkState?.runId && linkState.runId !== active?.run_id) openRun(linkState.runId);
+    else if (active) resumeRun(active);
+  });
+  useEffect(() => {
+    const active = loadActiveRun();
+    const pending = loadHistory().filter(
+      (e) => e.status === "running" && e.run_id !== active?.run_id && !isLocalRun(e.run_id)
+    );
+    restoreRun(active);
+    runPool(pending, 2, async (e) => {
+      const st = await getRunStatus(e.run_id).catch(() => null);
+      if (isTerminal(st)) setHistory((h) => patchRun(h, e.run_id, { status: st.status }));
+    });
+    return () => abortRef.current?.abort();
+  }, []);
+
+  // Keep the address bar in sync so it can be shared at any time.
+  useEffect(() => {
+    const qs = encodeUrlState({ config, doMemo, memoModel, runId });
+    window.history.replaceState(null, "", `${window.location.pathname}${qs ? `?${qs}` : ""}${window.location.hash}`);
+  }, [config, doMemo, memoModel, runId]);
+
+  const [sweepEnabled, setSweepEnabled] = useState(false);
+  const [sweepSpecs, setSweepSpecs] = useState({});
+  const [sweepConcurrency, setSweepConcurrency] = useState(2);
+  const [sweepKeys, setSweepKeys] = useState([]);
+  const sweep = useSweep({ onMemberUpdate: recordSweepMember });
+  const [robustEnabled, setRobustEnabled] = useState(false);
+  const [robustSpecs, setRobustSpecs] = useState(DEFAULT_ROBUSTNESS);
+  const robustness = useSweep({ onMemberUpdate: recordRobustnessMember });
+  const robustCsvRef = useRef(null);
+  const rebalance = useRebalance({ onMemberUpdate: recordRebalanceMember, onWalkForwardUpdate: recordWalkForward });
+  // Schedule CSV sent with the current rebalance backtest.
+  const rebalanceCsvRef = useRef(null);
+  // "backend" or "local" (the in-browser engine, fed by the market data upload).
+  const [engine, setEngine] = useState("backend");
+  const [market, setMarket] = useState(null);
+  const [marketKind, setMarketKind] = useState("auto");
+  // { from, status, run_id?, summary?, error? }: the open run re-done on the other engine.
+  const [crossCheck, setCrossCheck] = useState(null);
+
+  // Not memoized: it also depends on the active backend.
+  const runUrlBase = runId ? runUrlFor(runId) : "";
   const cacheBust = useMemo(() => `t=${Date.now()}`, [runId, status?.status]);
 
+  const portfolioIssues = useMemo(
+    () => [...parseIssues, ...validatePortfolio(portfolio, config)],
+    [parseIssues, portfolio, config]
+  );
+  const builderIssues = useMemo(() => validatePortfolio(builderPortfolio, config), [builderPortfolio, config]);
+
+  // The run uses whichever source tab is active.
+  const activePortfolio = portfolioSource === "builder" ? builderPortfolio : portfolio;
+  const activeIssues = portfolioSource === "builder" ? builderIssues : portfolioIssues;
+  const activeFileName =
+    portfolioSource === "builder" ? "portfolio_builder.csv" : portfolioFile?.name || "portfolio.csv";
+  const portfolioValid = !!activePortfolio && !activeIssues.some((x) => x.level === "error");
+  const configErrors = useMemo(
+    () => validateConfigFields(config, { schema, assetCount: activePortfolio?.assets.length }),
+    [config, schema, activePortfolio]
+  );
+  const activeTickers = useMemo(() => activePortfolio?.assets.map((a) => a.ticker) || [], [activePortfolio]);
+  const constraintIssues = useMemo(
+    () => checkConstraints(constraints, activePortfolio, config),
+    [constraints, activePortfolio, config]
+  );
+  const configValid =
+    !Object.keys(configErrors).length && !constraintIssues.some((x) => x.level === "error");
+  // What gets sent as config_json: the form plus any asset/group constraints.
+  const submitConfig = useMemo(
+    () => ({ ...config, ...constraintsToConfig(constraints, activeTickers) }),
+    [config, constraints, activeTickers]
+  );
+
+  const sweepPlan = useMemo(
+    () => (sweepEnabled ? buildSweepPlan(submitConfig, sweepSpecs, activePortfolio) : null),
+    [sweepEnabled, submitConfig, sweepSpecs, activePortfolio]
+  );
+
+  const robustPlan = useMemo(
+    () => (robustEnabled ? buildRobustnessPlan(submitConfig, robustSpecs, activePortfolio) : null),
+    [robustEnabled, submitConfig, robustSpecs, activePortfolio]
+  );
+
+  // A multi-date upload is a rebalance schedule (the builder has one date).
+  const activeSchedule = portfolioSource === "upload" ? schedule : null;
+  const rebalancePlan = useMemo(
+    () => (activeSchedule ? buildRebalancePlan(activeSchedule, submitConfig) : null),
+    [activeSchedule, submitConfig]
+  );
+  const rebalanceRunnable = rebalancePlan?.members.filter((m) => !m.skip).length || 0;
+
+  const marketData = useMemo(
+    () => (market ? parseMarketData(market.text, marketKind) : null),
+    [market, marketKind]
+  );
+  const marketIssues = useMemo(
+    () => checkMarketData(marketData?.data, activePortfolio, submitConfig),
+    [marketData, activePortfolio, submitConfig]
+  );
+  const marketReady =
+    !!marketData?.data && ![...marketData.issues, ...marketIssues].some((x) => x.level === "error");
+
+  const allPresets = [...BUILTIN_PRESETS, ...presets];
+  const activePreset = allPresets.find((p) => p.name === presetName);
+  const presetChanged = presetDiff(activePreset, config);
+
+  // Marks a field whose value differs from the loaded preset.
+  function presetMark(key) {
+    return presetChanged.includes(key) ? { presetValue: activePreset.config[key] } : {};
+  }
+
+  function selectPreset(name) {
+    setPresetName(name);
+    const preset = allPresets.find((p) => p.name === name);
+    if (preset) setConfig({ ...DEFAULT_CONFIG, ...preset.config });
+  }
+
+  function savePreset(name) {
+    setPresets((list) => upsertPreset(list, { name, config, saved_at: new Date().toISOString() }));
+    setPresetName(name);
+  }
+
+  function deletePreset(name) {
+    setPresets((list) => list.filter((p) => p.name !== name));
+    setPresetName("");
+  }
+
+  function importPresets(imported) {
+    setPresets((list) => imported.reduce(upsertPreset, list));
+  }
+
+  function sweepProps(key) {
+    if (!sweepEnabled) return {};
+    return {
+      sweep: sweepSpecs[key] || "",
+      sweepInfo: sweepPlan?.parsed[key],
+      onSweepChange: (text) => setSweepSpecs((s) => ({ ...s, [key]: text })),
+    };
+  }
+
+  async function loadPortfolioFile(file) {
+    setPortfolioFile(file);
+    setPortfolio(null);
+    setSchedule(null);
+    setParseIssues([]);
+    if (!file) return;
+    const { portfolio: parsed, schedule: rows, issues } = parsePortfolioCSV(await file.text());
+    setPortfolio(parsed);
+    setSchedule(rows);
+    setParseIssues(issues);
+  }
+
+  async function loadMarketFile(file) {
+    setMarket(file ? { name: file.name, text: await file.text() } : null);
+  }
+
+  function editUploadInBuilder() {
+    setBuilderPortfolio(portfolio);
+    setPortfolioSource("builder");
+  }
+
   function updateConfig(key, value) {
     setConfig((c) => ({ ...c, [key]: value }));
   }
 
+  function loadRunConfig(entry) {
+    const split = constraintsFromConfig(entry.config);
+    setConfig({ ...DEFAULT_CONFIG, ...split.config });
+    setConstraints(split.constraints);
+    setPresetName("");
+    setDoMemo(!!entry.do_memo);
+    setMemoModel(entry.memo_model || "");
+  }
+
+  async function copyLink() {
+    const url = shareUrl({ config, doMemo, memoModel, runId });
+    try {
+      await navigator.clipboard.writeText(url);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch {
+      window.prompt("Copy this link:", url);
+    }
+  }
+
   function resetDefaults() {
     setConfig(DEFAULT_CONFIG);
+    setPresetName("");
     setDoMemo(false);
     setMemoModel("");
   }
@@ -103,113 +430,354 @@ export default function App() {
   async function startRun() {
     setLog("");
     setSummary(null);
-    setMemo(null);
+    setMemoSelected("");
+    setMemoError("");
     setStatus(null);
     setRunId("");
 
-    if (!portfolioFile) {
+    if (!activePortfolio) {
       setLog("Please upload portfolio.csv first.");
       return;
     }
+    if (!portfolioValid) {
+      setLog("Fix the errors in the portfolio first.");
+      return;
+    }
+    if (!configValid) {
+      setLog("Fix the configuration errors first.");
+      return;
+    }
+    const local = engine === "local";
+    if (local && !marketReady) {
+      setLog("Load market data the local engine can use first.");
+      return;
+    }
 
     setBusy(true);
     try {
-      const fd = new FormData();
-      fd.append("portfolio", portfolioFile);
-      fd.append("config_json", JSON.stringify(config));
-      fd.append("do_memo", doMemo ? "true" : "false");
-      if (memoModel.trim()) fd.append("memo_model", memoModel.trim());
-
-      const res = await fetch(`${API_BASE}/api/runs`, { method: "POST", body: fd });
-      if (!res.ok) throw new Error(`POST /api/runs failed: ${res.status} ${await res.text()}`);
-      const data = await res.json();
+      // Send the edited portfolio, not the raw file, so fixes made in the table apply.
+      const csvText = portfolioToCSV(activePortfolio);
+      const csvFile = new File([csvText], activeFileName, { type: "text/csv" });
+      const data = local
+        ? { run_id: startLocalRun({ data: marketData.data, portfolio: activePortfolio, config: submitConfig }) }
+        : await createRun({ portfolioFile: csvFile, config: submitConfig, doMemo, memoModel });
       setRunId(data.run_id);
+      setHistory((h) =>
+        upsertRun(h, {
+          run_id: data.run_id,
+          created_at: new Date().toISOString(),
+          portfolio_name: local ? `${activeFileName} (local)` : activeFileName,
+          portfolio_csv: csvText,
+          config: submitConfig,
+          do_memo: doMemo && !local,
+          memo_model: local ? "" : memoModel.trim(),
+          status: "running",
+        })
+      );
+
+      await pollUntilDone(data.run_id, doMemo && !local);
+    } catch (e) {
+      setLog(String(e?.message || e));
+    } finally {
+      // A newer run may have taken over tracking in the meantime.
+      if (!abortRef.current) setBusy(false);
+    }
+  }
+
+  async function startSweep() {
+    if (!activePortfolio || !sweepPlan?.members.length) return;
+    const csvText = portfolioToCSV(activePortfolio);
+    const csvFile = new File([csvText], activeFileName, { type: "text/csv" });
+    sweepCsvRef.current = csvText;
+    setSweepKeys(sweepPlan.keys);
+    await sweep.start(sweepPlan.members, csvFile, sweepConcurrency);
+  }
+
+  async function startRobustness() {
+    if (!activePortfolio || !robustPlan?.members.length) return;
+    const csvText = portfolioToCSV(activePortfolio);
+    robustCsvRef.current = csvText;
+    await robustness.start(robustPlan.members, new File([csvText], activeFileName, { type: "text/csv" }), sweepConcurrency);
+  }
+
+  async function startRebalance() {
+    if (!rebalancePlan || !rebalanceRunnable) return;
+    // Dates that failed validation are left out here too, as the per-date runs skip them.
+    const csvText = scheduleToCSV(rebalancePlan.members.filter((m) => !m.skip).map((m) => m.portfolio));
+    rebalanceCsvRef.current = csvText;
+    const csvFile = new File([csvText], activeFileName, { type: "text/csv" });
+    await rebalance.start(rebalancePlan.members, csvFile, submitConfig, sweepConcurrency);
+  }
+
+  // Mirrors a batch run (sweep member, rebalance date) into run history so it
+  // can be reopened and compared.
+  function recordBatchRun(runId, patch, { name, csv, config: runConfig }) {
+    if (!runId) return;
+    if (patch.run_id) {
+      setHistory((h) =>
+        upsertRun(h, {
+          run_id: runId,
+          created_at: new Date().toISOString(),
+          portfolio_name: name,
+          portfolio_csv: csv,
+          config: runConfig,
+          do_memo: false,
+          status: "running",
+        })
+      );
+    }
+    if (patch.summary) {
+      setHistory((h) => patchRun(h, runId, { status: "done", headline: headlineFromSummary(patch.summary) }));
+    } else if (patch.status === "error" || patch.status === "timeout") {
+      setHistory((h) => patchRun(h, runId, { status: patch.status }));
+    }
+  }
 
-      await pollUntilDone(data.run_id);
+  function recordSweepMember(member, patch) {
+    recordBatchRun(member.run_id, patch, {
+      name: `${activeFileName} (sweep #${member.index + 1})`,
+      csv: sweepCsvRef.current,
+      config: member.config,
+    });
+  }
+
+  function recordRobustnessMember(member, patch) {
+    recordBatchRun(member.run_id, patch, {
+      name: `${activeFileName} (robustness train_ratio=${member.params.train_ratio} seed=${member.params.seed})`,
+      csv: robustCsvRef.current,
+      config: member.config,
+    });
+  }
+
+  function recordRebalanceMember(member, patch) {
+    recordBatchRun(member.run_id, patch, {
+      name: `${activeFileName} (rebalance ${member.params.date})`,
+      csv: member.csv,
+      config: member.config,
+    });
+  }
+
+  function recordWalkForward(runId, patch) {
+    recordBatchRun(runId, patch, {
+      name: `${activeFileName} (walk-forward)`,
+      csv: rebalanceCsvRef.current,
+      config: submitConfig,
+    });
+  }
+
+  // Runs the open run's portfolio and config on the other engine and, once
+  // it's done, puts the two side by side in Compare runs.
+  async function startCrossCheck() {
+    const from = runId;
+    const entry = runEntry;
+    let otherId = null;
+    setCrossCheck({ from, status: "submitting" });
+    const onUpdate = (patch) => {
+      if (patch.run_id) otherId = patch.run_id;
+      setCrossCheck((c) => (c?.from === from ? { ...c, ...patch } : c));
+      recordBatchRun(otherId, patch, {
+        name: `${entry.portfolio_name || "portfolio.csv"} (cross-check)`,
+        csv: entry.portfolio_csv,
+        config: entry.config,
+      });
+      if (patch.status === "done") setCompareIds([from, otherId]);
+    };
+    if (isLocalRun(from)) {
+      const file = new File([entry.portfolio_csv], "portfolio.csv", { type: "text/csv" });
+      await runSweepMember({ portfolioFile: file, config: entry.config, onUpdate });
+    } else {
+      const { portfolio: parsed } = parsePortfolioCSV(entry.portfolio_csv);
+      await runLocalMember({ data: marketData.data, portfolio: parsed, config: entry.config, onUpdate });
+    }
+  }
+
+  // Re-fetches a past (or shared) run by id: status, summary, plots and memo.
+  async function openRun(id) {
+    setLog("");
+    setSummary(null);
+    setMemoSelected("");
+    setMemoError("");
+    setStatus(null);
+    setRunId(id);
+
+    const known = history.find((e) => e.run_id === id);
+    if (!known) setHistory((h) => upsertRun(h, { run_id: id, created_at: new Date().toISOString() }));
+
+    setBusy(true);
+    try {
+      // For pasted ids we don't know whether a memo was requested, so try it quietly.
+      const st = await pollUntilDone(id, !!known?.do_memo);
+      if (st?.status === "done" && !known?.do_memo) {
+        await fetchMemo(id, { quiet: true });
+      }
     } catch (e) {
       setLog(String(e?.message || e));
     } finally {
-      setBusy(false);
+      // A newer run may have taken over tracking in the meantime.
+      if (!abortRef.current) setBusy(false);
+    }
+  }
+
+  async function resumeRun(active) {
+    setRunId(active.run_id);
+    setBusy(true);
+    try {
+      await pollUntilDone(active.run_id, !!active.want_memo);
+    } catch (e) {
+      setLog(String(e?.message || e));
+    } finally {
+      if (!abortRef.current) setBusy(false);
     }
   }
 
-  async function pollUntilDone(id) {
+  // Follows a run until it finishes, fails, times out or is cancelled. Only one
+  // run is tracked at a time; starting another aborts the previous tracker.
+  async function pollUntilDone(id, wantMemo = doMemo) {
+    abortRef.current?.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setTimedOut(false);
+    setLiveTrace([]);
+    // Local runs don't survive a reload, so there is nothing to resume.
+    if (!isLocalRun(id)) saveActiveRun({ run_id: id, want_memo: wantMemo, started_at: new Date().toISOString() });
     setLog("Run started. Polling status...");
-    const maxMs = doMemo ? 240000 : 180000;
-    const start = Date.now();
 
-    while (true) {
-      const res = await fetch(`${API_BASE}/api/runs/${id}`);
-      if (!res.ok) throw new Error(`GET /api/runs/${id} failed: ${res.status}`);
-      const st = await res.json();
-      setStatus(st);
+    try {
+      const st = await followRun(id, {
+        signal: controller.signal,
+        onProgress: (p) => setLiveTrace((t) => appendTrace(t, p)),
+        timeoutMs: wantMemo ? 240000 : 180000,
+        onStatus: (s) => {
+          setStatus(s);
+          if (!isTerminal(s)) setLog("Running...");
+        },
+        onRetry: (n, e) => setLog(`Connection problem (${e.message}). Retrying, attempt ${n}...`),
+      });
+
+      if (!isTerminal(st)) {
+        setTimedOut(true);
+        setLog("Still running after the timeout. Keep waiting, or cancel the run.");
+        return st;
+      }
 
+      clearActiveRun();
       if (st.status === "done") {
+        setHistory((h) => patchRun(h, id, { status: "done" }));
         setLog("Done! Fetching summary...");
         await fetchSummary(id);
-        if (doMemo) {
+        if (wantMemo) {
           setLog("Fetching LLM memo...");
           await fetchMemo(id);
-        } else {
-          setLog("Done.");
         }
-        return;
+        setLog("Done.");
+      } else {
+        setHistory((h) => patchRun(h, id, { status: st.status }));
+        setLog(st.status === "error" || st.status === "failed" ? `Error: ${st.error || "unknown error"}` : "Run cancelled.");
       }
+      return st;
+    } catch (e) {
+      if (e?.name === "AbortError") return null;
+      throw e;
+    } finally {
+      if (abortRef.current === controller) abortRef.current = null;
+    }
+  }
 
-      if (st.status === "error") {
-        setLog(`Error: ${st.error || "unknown error"}`);
-        return;
-      }
+  async function keepWaiting() {
+    const known = history.find((e) => e.run_id === runId);
+    await resumeRun({ run_id: runId, want_memo: known ? known.do_memo : doMemo });
+  }
 
-      if (Date.now() - start > maxMs) {
-        setLog("Timed out waiting for run to finish (check server logs).");
-        return;
+  async function cancelActiveRun() {
+    const id = runId;
+    abortRef.current?.abort();
+    abortRef.current = null;
+    clearActiveRun();
+    setTimedOut(false);
+    setBusy(false);
+    setLog("Cancelling...");
+    try {
+      if (await cancelRun(id)) {
+        setHistory((h) => patchRun(h, id, { status: "cancelled" }));
+        setStatus((s) => (s ? { ...s, status: "cancelled" } : s));
+        setLog("Run cancelled.");
+      } else {
+        setLog("Stopped watching. The server can't cancel runs, so it may still finish; reopen it from history later.");
       }
+    } catch (e) {
+      setLog(`Stopped watching, but the cancel request failed: ${String(e?.message || e)}`);
+    }
+  }
 
-      await new Promise((r) => setTimeout(r, 800));
+  function checkBackend(profile) {
+    setBackendHealth((h) => ({ ...h, [profile.id]: "checking" }));
+    checkHealth(connectionFor(profile)).then((result) => setBackendHealth((h) => ({ ...h, [profile.id]: result })));
+  }
+
+  // Applies a change from the backend settings. Switching to another server
+  // closes the open run, since its run_id means nothing there.
+  function updateBackends(next) {
+    const prevConn = connectionFor(activeBackend(backends));
+    const profile = activeBackend(next);
+    const conn = connectionFor(profile);
+    configureApi(conn);
+    setBackends(next);
+    if (conn.baseUrl !== prevConn.baseUrl) {
+      abortRef.current?.abort();
+      abortRef.current = null;
+      clearActiveRun();
+      setBusy(false);
+      setTimedOut(false);
+      setRunId("");
+      setStatus(null);
+      setSummary(null);
+      setMemoSelected("");
+      setMemoError("");
+      setLiveTrace([]);
+      setLog(`Switched to backend ${profile.name} (${conn.baseUrl}).`);
     }
+    if (JSON.stringify(conn) !== JSON.stringify(prevConn)) checkBackend(profile);
   }
 
   async function fetchSummary(id) {
-    const res = await fetch(`${API_BASE}/api/runs/${id}/summary`);
-    if (!res.ok) throw new Error(`GET /summary failed: ${res.status}`);
-    setSummary(await res.json());
-  }
-
-  async function fetchMemo(id) {
-    const res = await fetch(`${API_BASE}/api/runs/${id}/memo`);
-    if (!res.ok) throw new Error(`GET /memo failed: ${res.status} ${await res.text()}`);
-    setMemo(await res.json());
-    setLog("Done.");
-  }
-
-  function artifactsLinks() {
-    if (!status?.files?.length || !runUrlBase) return null;
-    const important = [
-      "summary.json",
-      "weights_opt.csv",
-      "trades.csv",
-      "objective_history.csv",
-      "portfolio_returns_full.csv",
-    ];
-    return (
-      <div className="space-y-2">
-        <div className="font-semibold">Downloads</div>
-        <div className="flex flex-wrap gap-2">
-          {important.map((p) => (
-            <a
-              key={p}
-              className="px-3 py-1.5 rounded-xl bg-blue-200 text-white text-sm hover:bg-blue-700 transition-colors"
-              href={`${runUrlBase}/${p}`}
-              target="_blank"
-              rel="noreferrer"
-            >
-              {p}
-            </a>
-          ))}
-        </div>
-      </div>
-    );
+    const data = await getRunSummary(id);
+    setSummary(data);
+    setHistory((h) => patchRun(h, id, { headline: headlineFromSummary(data) }));
+  }
+
+  // Stores a memo as the run's newest version and shows it.
+  function recordMemo(id, memo, model) {
+    const parsed = parseMemo(memo);
+    if (!parsed) return;
+    setMemoVersions((map) => addMemoVersion(map, id, parsed, model).map);
+    setMemoSelected("");
+  }
+
+  // Memo problems are reported in the memo card; the run itself succeeded.
+  async function fetchMemo(id, { quiet = false } = {}) {
+    try {
+      recordMemo(id, await getRunMemo(id));
+      setMemoError("");
+    } catch (e) {
+      if (!quiet) setMemoError(`Couldn't load the memo: ${String(e?.message || e)}`);
+    }
+  }
+
+  async function generateRunMemo(model) {
+    const id = runId;
+    setMemoGenerating(true);
+    setMemoError("");
+    try {
+      recordMemo(id, await generateMemo(id, { model }), model);
+    } catch (e) {
+      setMemoError(
+        e?.status === 405 || e?.status === 501
+          ? "This backend can't generate memos for finished runs (no POST /api/runs/{run_id}/memo)."
+          : `Memo generation failed: ${String(e?.message || e)}`
+      );
+    } finally {
+      setMemoGenerating(false);
+    }
   }
 
   // Auto-detect figures from backend response
@@ -235,14 +803,27 @@ export default function App() {
     }));
   }, [status?.files]);
 
-  const memoObj = useMemo(() => {
-    if (!memo) return null;
-    try {
-      return typeof memo === "string" ? JSON.parse(memo) : memo;
-    } catch {
-      return null;
-    }
-  }, [memo]);
+  const hasChartData = useMemo(
+    () => CHART_ARTIFACTS.some((name) => findArtifact(status?.files, name)),
+    [status?.files]
+  );
+  // The config this run was submitted with, when we know it (for train_ratio).
+  const runEntry = history.find((e) => e.run_id === runId);
+  const runConfig = runEntry?.config;
+  const runTrainRatio = summary?.train_ratio ?? runConfig?.train_ratio ?? config.train_ratio;
+  const runAlpha = Number(summary?.alpha ?? runConfig?.alpha ?? config.alpha);
+  const runCostBps = Number(
+    runConfig?.transaction_cost_bps ?? summary?.transaction_cost_bps ?? config.transaction_cost_bps
+  );
+
+  function focusChartsOn(date) {
+    setFocusDate(date);
+    setChartMode("interactive");
+    document.getElementById("run-charts")?.scrollIntoView({ behavior: "smooth", block: "start" });
+  }
+
+  const runMemoVersions = memoVersions[runId] || [];
+  const memoObj = (runMemoVersions.find((v) => v.id === memoSelected) || runMemoVersions[runMemoVersions.length - 1])?.memo;
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-slate-100">
@@ -251,27 +832,124 @@ export default function App() {
           <header className="text-center py-6">
             <h1 className="text-4xl font-bold text-slate-900 mb-2">Portfolio Optimizer</h1>
             <p className="text-slate-600">CVaR-based portfolio optimization with simulated annealing</p>
+            <button
+              onClick={() => setShowBackends((v) => !v)}
+              title="Backend settings"
+              className="mt-3 inline-flex items-center gap-2 px-3 py-1 rounded-full border bg-white text-xs text-slate-700 hover:bg-slate-50"
+            >
+              <HealthDot health={backendHealth[backend.id]} />
+              Backend: <span className="font-semibold">{backend.name}</span>
+              <span className="text-slate-500">{connectionFor(backend).baseUrl}</span>
+            </button>
           </header>
 
+          {showBackends && (
+            <section className="bg-white rounded-2xl shadow-sm border p-6 space-y-4">
+              <div className="flex items-center justify-between">
+                <h2 className="text-lg font-semibold text-slate-900">Backend</h2>
+                <button onClick={() => setShowBackends(false)} className="text-xs text-slate-600">
+                  Close
+                </button>
+              </div>
+              <BackendSettings backends={backends} health={backendHealth} onChange={updateBackends} onCheck={checkBackend} />
+            </section>
+          )}
+
           {/* Upload */}
           <section className="bg-white rounded-2xl shadow-sm border p-6 space-y-4">
-            <h2 className="text-lg font-semibold text-slate-900">1) Upload portfolio.csv</h2>
+            <div className="flex flex-wrap items-center justify-between gap-3">
+              <h2 className="text-lg font-semibold text-slate-900">1) Portfolio</h2>
+              <div className="inline-flex rounded-xl border bg-slate-50 p-1 text-sm">
+                {[
+                  { value: "upload", label: "Upload CSV" },
+                  { value: "builder", label: "Build in browser" },
+                ].map((t) => (
+                  <button
+                    key={t.value}
+                    onClick={() => setPortfolioSource(t.value)}
+                    className={`px-3 py-1.5 rounded-lg transition-colors ${
+                      portfolioSource === t.value ? "bg-blue-600 text-white" : "bg-transparent text-slate-700"
+                    }`}
+                  >
+                    {t.label}
+                  </button>
+                ))}
+              </div>
+            </div>
             <p className="text-sm text-slate-600">
               Format: <code className="bg-slate-100 px-2 py-0.5 rounded">date</code>, then asset columns with
-              initial weights. First row is header. Second row is the start date.
+              initial weights. First row is header. Second row is the start date. More dated rows (historical holdings)
+              make a rebalance schedule with one optimization per date.
             </p>
 
-            <input
-              type="file"
-              accept=".csv"
-              onChange={(e) => setPortfolioFile(e.target.files?.[0] || null)}
-              className="block w-full text-sm text-slate-600 file:mr-4 file:py-2 file:px-4 file:rounded-xl file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100 file:transition-colors"
-            />
+            {portfolioSource === "upload" ? (
+              <>
+                <input
+                  type="file"
+                  accept=".csv"
+                  onChange={(e) => loadPortfolioFile(e.target.files?.[0] || null)}
+                  className="block w-full text-sm text-slate-600 file:mr-4 file:py-2 file:px-4 file:rounded-xl file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100 file:transition-colors"
+                />
 
-            {portfolioFile && (
-              <div className="text-sm text-slate-700 bg-green-50 border border-green-200 rounded-xl p-3">
-                ✓ Loaded: <span className="font-semibold">{portfolioFile.name}</span>
-              </div>
+                {portfolioFile && (
+                  <div className="flex flex-wrap items-center gap-3 text-sm text-slate-700 bg-green-50 border border-green-200 rounded-xl p-3">
+                    <span>
+                      ✓ Loaded: <span className="font-semibold">{portfolioFile.name}</span>
+                    </span>
+                    {portfolio && (
+                      <button
+                        onClick={editUploadInBuilder}
+                        className="ml-auto px-3 py-1 rounded-lg bg-white border text-blue-700 hover:bg-blue-50 transition-colors"
+                      >
+                        Edit in builder
+                      </button>
+                    )}
+                  </div>
+                )}
+
+                {schedule && (
+                  <div className="text-sm text-slate-700 bg-blue-50 border border-blue-200 rounded-xl p-3 space-y-1">
+                    <div>
+                      Rebalance schedule: <span className="font-semibold">{schedule.length} dates</span> from{" "}
+                      {schedule[0].date} to {schedule[schedule.length - 1].date}. The table below is the first date;
+                      single runs use it, and <span className="font-semibold">Run rebalance backtest</span> (step 3)
+                      optimizes every date as uploaded.
+                    </div>
+                    <IssueList issues={rebalancePlan?.issues || []} />
+                  </div>
+                )}
+
+                {portfolio ? (
+                  <PortfolioPreview portfolio={portfolio} issues={portfolioIssues} onChange={setPortfolio} />
+                ) : (
+                  <IssueList issues={parseIssues} />
+                )}
+              </>
+            ) : (
+              <>
+                <div className="flex flex-wrap gap-3">
+                  <button
+                    onClick={editUploadInBuilder}
+                    disabled={!portfolio}
+                    className="px-4 py-2 rounded-xl bg-blue-50 text-blue-700 text-sm hover:bg-blue-100 disabled:opacity-50 transition-colors"
+                  >
+                    Load uploaded CSV
+                  </button>
+                  <button
+                    onClick={() => setBuilderPortfolio(emptyBuilderPortfolio())}
+                    className="px-4 py-2 rounded-xl bg-blue-50 text-blue-700 text-sm hover:bg-blue-100 transition-colors"
+                  >
+                    Start over
+                  </button>
+                </div>
+                <PortfolioBuilder
+                  portfolio={builderPortfolio}
+                  issues={builderIssues}
+                  longOnly={config.long_only}
+                  onChange={setBuilderPortfolio}
+                  onDownload={() => downloadTextFile("portfolio_builder.csv", portfolioToCSV(builderPortfolio))}
+                />
+              </>
             )}
 
             <div className="flex flex-wrap gap-3">
@@ -287,6 +965,12 @@ export default function App() {
               >
                 Download demo
               </button>
+              <button
+                onClick={() => downloadTextFile("portfolio_rebalance_demo.csv", makeRebalanceDemoCSV())}
+                className="px-4 py-2 rounded-xl bg-slate-600 text-white text-sm hover:bg-slate-700 transition-colors"
+              >
+                Download rebalance demo
+              </button>
             </div>
           </section>
 
@@ -294,65 +978,127 @@ export default function App() {
           <section className="bg-white rounded-2xl shadow-sm border p-6 space-y-4">
             <div className="flex items-center justify-between">
               <h2 className="text-lg font-semibold text-slate-900">2) Configuration</h2>
-              <button
-                onClick={resetDefaults}
-                className="px-4 py-2 rounded-xl bg-slate-600 text-white text-sm font-semibold hover:bg-slate-700 transition-colors"
-              >
-                Reset defaults
-              </button>
+              <div className="flex items-center gap-3">
+                <label className="flex items-center gap-2 text-sm text-slate-900">
+                  <input
+                    type="checkbox"
+                    checked={sweepEnabled}
+                    onChange={(e) => setSweepEnabled(e.target.checked)}
+                    className="w-4 h-4 rounded"
+                  />
+                  Sweep mode
+                </label>
+                <label className="flex items-center gap-2 text-sm text-slate-900">
+                  <input
+                    type="checkbox"
+                    checked={robustEnabled}
+                    onChange={(e) => setRobustEnabled(e.target.checked)}
+                    className="w-4 h-4 rounded"
+                  />
+                  Robustness check
+                </label>
+                <button
+                  onClick={copyLink}
+                  title={runId ? "Link to this config and the current run" : "Link to this config"}
+                  className="px-4 py-2 rounded-xl border bg-white text-slate-700 text-sm font-semibold hover:bg-slate-50 transition-colors"
+                >
+                  {linkCopied ? "Copied!" : "Copy link"}
+                </button>
+                <button
+                  onClick={resetDefaults}
+                  className="px-4 py-2 rounded-xl bg-slate-600 text-white text-sm font-semibold hover:bg-slate-700 transition-colors"
+                >
+                  Reset defaults
+                </button>
+              </div>
             </div>
 
+            {linkIssues.length > 0 && (
+              <div className="flex items-start gap-3 bg-amber-50 border border-amber-200 rounded-xl p-3">
+                <IssueList issues={linkIssues} />
+                <button onClick={() => setLinkIssues([])} className="ml-auto text-xs text-slate-600">
+                  Dismiss
+                </button>
+              </div>
+            )}
+
+            <PresetBar
+              presets={allPresets}
+              selected={presetName}
+              changed={presetChanged}
+              onSelect={selectPreset}
+              onSave={savePreset}
+              onDelete={deletePreset}
+              onRevert={() => selectPreset(presetName)}
+              onImportPresets={importPresets}
+              onImportConfig={(c) => {
+                setConfig(c);
+                setPresetName("");
+              }}
+              onExportPresets={() => downloadTextFile("cvar_presets.json", presetsToJSON(presets), "application/json")}
+              onExportConfig={() => downloadTextFile("cvar_config.json", configToJSON(config), "application/json")}
+            />
+
+            {sweepEnabled && (
+              <p className="text-sm text-slate-600">
+                Give any numeric field a list (<code className="bg-slate-100 px-2 py-0.5 rounded">0.25, 0.5, 1</code>)
+                or a range (<code className="bg-slate-100 px-2 py-0.5 rounded">0..2 step 0.25</code>). The sweep runs
+                every combination of the swept values; other fields keep their current value.
+              </p>
+            )}
+
             <div className="space-y-4">
-              <ConfigCard title="Data window">
-                <Field label="lookback_days" help={FIELD_HELP.lookback_days} value={config.lookback_days} step="1"
-                       onChange={(v) => updateConfig("lookback_days", Math.max(50, Math.floor(num(v, 504))))} />
-                <Field label="train_ratio" help={FIELD_HELP.train_ratio} value={config.train_ratio} step="0.05"
-                       onChange={(v) => updateConfig("train_ratio", Math.min(0.9, Math.max(0.5, num(v, 0.7))))} />
-              </ConfigCard>
-
-              <ConfigCard title="Risk objective">
-                <Select
-                  label="objective"
-                  help={FIELD_HELP.objective}
-                  value={config.objective}
-                  onChange={(v) => updateConfig("objective", v)}
-                  options={[
-                    { value: "min_cvar", label: "min_cvar (minimize tail risk)" },
-                    { value: "mean_minus_lambda_cvar", label: "mean_minus_lambda_cvar (return − λ·risk)" },
-                  ]}
-                />
-                <Field label="alpha" help={FIELD_HELP.alpha} value={config.alpha} step="0.01"
-                       onChange={(v) => updateConfig("alpha", Math.min(0.2, Math.max(0.01, num(v, 0.05))))} />
-                <Field label="lambda" help={FIELD_HELP.lambda} value={config.lambda} step="0.1"
-                       disabled={config.objective !== "mean_minus_lambda_cvar"}
-                       onChange={(v) => updateConfig("lambda", Math.max(0, num(v, 0.5)))} />
-              </ConfigCard>
-
-              <ConfigCard title="Constraints & cost">
-                <Field label="w_max" help={FIELD_HELP.w_max} value={config.w_max} step="0.05"
-                       onChange={(v) => updateConfig("w_max", Math.min(1, Math.max(0.05, num(v, 0.6))))} />
-                <Field label="turnover_max" help={FIELD_HELP.turnover_max} value={config.turnover_max} step="0.05"
-                       onChange={(v) => updateConfig("turnover_max", Math.min(2, Math.max(0, num(v, 0.5))))} />
-                <Field label="transaction_cost_bps" help={FIELD_HELP.transaction_cost_bps} value={config.transaction_cost_bps} step="1"
-                       onChange={(v) => updateConfig("transaction_cost_bps", Math.max(0, num(v, 10)))} />
-              </ConfigCard>
-
-              <ConfigCard title="Simulated annealing">
-                <Field label="iters" help={FIELD_HELP.iters} value={config.iters} step="500"
-                       onChange={(v) => updateConfig("iters", Math.max(200, Math.min(20000, Math.floor(num(v, 4000)))))} />
-                <Field label="step_size" help={FIELD_HELP.step_size} value={config.step_size} step="0.01"
-                       onChange={(v) => updateConfig("step_size", Math.max(0.001, Math.min(0.5, num(v, 0.05))))} />
-                <Field label="init_temp" help={FIELD_HELP.init_temp} value={config.init_temp} step="0.1"
-                       onChange={(v) => updateConfig("init_temp", Math.max(0.001, num(v, 1.0)))} />
-                <Field label="final_temp" help={FIELD_HELP.final_temp} value={config.final_temp} step="0.0005"
-                       onChange={(v) => updateConfig("final_temp", Math.max(0.000001, num(v, 0.001)))} />
-                <Field label="seed" help={FIELD_HELP.seed} value={config.seed} step="1"
-                       onChange={(v) => updateConfig("seed", Math.floor(num(v, 42)))} />
-                <Field label="penalty_turnover" help={FIELD_HELP.penalty_turnover} value={config.penalty_turnover} step="5"
-                       onChange={(v) => updateConfig("penalty_turnover", Math.max(0, num(v, 50)))} />
-              </ConfigCard>
+              {CONFIG_GROUPS.map((g) => {
+                const fields = schema.filter((f) => f.group === g.id || (g.id === "other" && !GROUP_IDS.includes(f.group)));
+                if (!fields.length) return null;
+                return (
+                  <ConfigCard key={g.id} title={g.title}>
+                    {fields.map((f) => {
+                      const common = {
+                        label: f.key,
+                        help: f.help,
+                        value: config[f.key],
+                        error: configErrors[f.key],
+                        disabled: !isFieldEnabled(f, config),
+                        ...presetMark(f.key),
+                      };
+                      if (f.type === "enum") {
+                        return <Select key={f.key} {...common} options={f.options} onChange={(v) => updateConfig(f.key, v)} />;
+                      }
+                      if (f.type === "boolean") {
+                        return <Toggle key={f.key} {...common} onChange={(v) => updateConfig(f.key, v)} />;
+                      }
+                      return (
+                        <Field
+                          key={f.key}
+                          {...common}
+                          step={String(f.step ?? "any")}
+                          min={f.min}
+                          max={f.max}
+                          onChange={(v) => updateConfig(f.key, parseFieldInput(f.key, v, schema))}
+                          {...sweepProps(f.key)}
+                        />
+                      );
+                    })}
+                  </ConfigCard>
+                );
+              })}
             </div>
 
+            <ConfigCard title="Per-asset & group constraints" wide>
+              {activeTickers.length ? (
+                <ConstraintsEditor
+                  tickers={activeTickers}
+                  constraints={constraints}
+                  onChange={setConstraints}
+                  issues={constraintIssues}
+                  config={config}
+                />
+              ) : (
+                <div className="text-sm text-slate-500">Load or build a portfolio to set bounds per asset.</div>
+              )}
+            </ConfigCard>
+
             <div className="flex flex-col sm:flex-row sm:items-center gap-3 pt-3 border-t">
               <label className="flex items-center gap-2 text-sm text-slate-900">
                 <input
@@ -365,11 +1111,11 @@ export default function App() {
                 Generate "Quant Risk Assistant" memo (costs tokens)
               </label>
 
-              <input
-                className="sm:ml-auto w-full sm:w-72 px-3 py-2 rounded-xl border bg-white text-sm text-slate-900 disabled:bg-slate-100 disabled:text-slate-500"
-                placeholder="memo model (optional, e.g. gpt-4o-mini)"
+              <ModelPicker
+                className="sm:ml-auto"
+                models={memoModels}
                 value={memoModel}
-                onChange={(e) => setMemoModel(e.target.value)}
+                onChange={setMemoModel}
                 disabled={!doMemo}
               />
             </div>
@@ -377,15 +1123,203 @@ export default function App() {
 
           {/* Run */}
           <section className="bg-white rounded-2xl shadow-sm border p-6 space-y-4">
-            <h2 className="text-lg font-semibold text-slate-900">3) Run</h2>
+            <div className="flex flex-wrap items-center justify-between gap-3">
+              <h2 className="text-lg font-semibold text-slate-900">3) Run</h2>
+              <div className="inline-flex rounded-xl border bg-slate-50 p-1 text-sm">
+                {[
+                  { value: "backend", label: "Backend" },
+                  { value: "local", label: "In browser" },
+                ].map((t) => (
+                  <button
+                    key={t.value}
+                    onClick={() => setEngine(t.value)}
+                    className={`px-3 py-1.5 rounded-lg transition-colors ${
+                      engine === t.value ? "bg-blue-600 text-white" : "bg-transparent text-slate-700"
+                    }`}
+                  >
+                    {t.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {engine === "local" && (
+              <LocalEnginePanel
+                fileName={market?.name}
+                kind={marketKind}
+                onKindChange={setMarketKind}
+                onFile={loadMarketFile}
+                market={marketData}
+                issues={marketIssues}
+              />
+            )}
+
+            {sweepEnabled && (
+              <div className="flex flex-wrap items-center gap-3 bg-slate-50 border rounded-xl p-3 text-sm text-slate-700">
+                <button
+                  onClick={startSweep}
+                  disabled={busy || sweep.running || !activePortfolio || !configValid || !sweepPlan?.members.length}
+                  className="px-6 py-3 rounded-xl bg-blue-600 text-white font-semibold hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  {sweep.running ? "Sweeping..." : `Run sweep (${sweepPlan?.members.length || 0} runs)`}
+                </button>
+                <label className="flex items-center gap-2">
+                  concurrent runs
+                  <input
+                    type="number"
+                    min="1"
+                    max="8"
+                    value={sweepConcurrency}
+                    onChange={(e) => setSweepConcurrency(Math.min(8, Math.max(1, Math.floor(Number(e.target.value) || 1))))}
+                    className="w-16 px-2 py-1 rounded-lg border bg-white text-slate-900"
+                  />
+                </label>
+                {sweepPlan && !sweepPlan.keys.length && <span>Enter sweep values on at least one field.</span>}
+                {sweepPlan?.tooMany && (
+                  <span className="text-red-600">
+                    {sweepPlan.total} combinations is too many (max {MAX_SWEEP_RUNS}).
+                  </span>
+                )}
+              </div>
+            )}
+
+            {robustEnabled && (
+              <div className="space-y-3 bg-slate-50 border rounded-xl p-3 text-sm text-slate-700">
+                <div>
+                  Re-runs the current config for every combination of these <code>train_ratio</code> and{" "}
+                  <code>seed</code> values, then shows how much test CVaR, test mean and the weights vary. Lists and
+                  ranges work as in sweep mode.
+                </div>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                  {ROBUSTNESS_KEYS.map((key) => {
+                    const info = robustPlan?.parsed[key];
+                    return (
+                      <label key={key} className="space-y-1">
+                        <span className="text-xs text-slate-600">{key}</span>
+                        <input
+                          value={robustSpecs[key]}
+                          onChange={(e) => setRobustSpecs((s) => ({ ...s, [key]: e.target.value }))}
+                          className={`w-full px-3 py-1.5 rounded-xl border bg-white text-slate-900 ${info?.error ? "border-red-400" : ""}`}
+                        />
+                        {info?.error && <div className="text-xs text-red-600">{info.error}</div>}
+                        {info?.warning && <div className="text-xs text-amber-700">{info.warning}</div>}
+                        {info?.values?.length > 0 && (
+                          <div className="text-xs text-slate-500">{info.values.join(", ")}</div>
+                        )}
+                      </label>
+                    );
+                  })}
+                </div>
+                <div className="flex flex-wrap items-center gap-3">
+                  <button
+                    onClick={startRobustness}
+                    disabled={busy || robustness.running || !activePortfolio || !configValid || !robustPlan?.members.length}
+                    className="px-6 py-3 rounded-xl bg-blue-600 text-white font-semibold hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                  >
+                    {robustness.running ? "Checking..." : `Run robustness check (${robustPlan?.members.length || 0} runs)`}
+                  </button>
+                  <span>{sweepConcurrency} at a time.</span>
+                  {robustPlan?.error && <span>{robustPlan.error}</span>}
+                  {robustPlan?.tooMany && (
+                    <span className="text-red-600">
+                      {robustPlan.total} combinations is too many (max {MAX_SWEEP_RUNS}).
+                    </span>
+                  )}
+                </div>
+              </div>
+            )}
+
+            {robustness.members.length > 0 && (
+              <RobustnessResults
+                members={robustness.members}
+                running={robustness.running}
+                onStop={robustness.stop}
+                onCompare={setCompareIds}
+              />
+            )}
+
+            {rebalancePlan && (
+              <div className="flex flex-wrap items-center gap-3 bg-slate-50 border rounded-xl p-3 text-sm text-slate-700">
+                <button
+                  onClick={startRebalance}
+                  disabled={busy || rebalance.running || !configValid || !rebalanceRunnable}
+                  className="px-6 py-3 rounded-xl bg-blue-600 text-white font-semibold hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  {rebalance.running ? "Backtesting..." : `Run rebalance backtest (${rebalanceRunnable} dates)`}
+                </button>
+                <span>
+                  Uses a walk-forward run when the backend supports it, else one run per date ({sweepConcurrency} at a
+                  time).
+                </span>
+                {rebalancePlan.members.length > rebalanceRunnable && (
+                  <span className="text-amber-700">
+                    {rebalancePlan.members.length - rebalanceRunnable} date(s) will be skipped; see the table once started.
+                  </span>
+                )}
+              </div>
+            )}
+
+            {(rebalance.walkForward || rebalance.members.length > 0) && (
+              <RebalanceResults
+                members={rebalance.members}
+                walkForward={rebalance.walkForward}
+                running={rebalance.running}
+                onStop={rebalance.stop}
+                onCompare={setCompareIds}
+              />
+            )}
+
+            {sweep.members.length > 0 && (
+              <SweepResults
+                key={sweepKeys.join(",")}
+                members={sweep.members}
+                sweptKeys={sweepKeys}
+                running={sweep.running}
+                onStop={sweep.stop}
+                onCompare={setCompareIds}
+              />
+            )}
 
             <button
               onClick={startRun}
-              disabled={busy}
+              disabled={busy || !portfolioValid || !configValid || (engine === "local" && !marketReady)}
               className="px-6 py-3 rounded-xl bg-blue-600 text-white font-semibold hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
             >
-              {busy ? "Running..." : "Run optimizer"}
+              {busy ? "Running..." : engine === "local" ? "Run in browser" : "Run optimizer"}
             </button>
+            {runId && (busy || timedOut) && (
+              <div className="space-y-2">
+                {busy && <LiveProgress status={status} trace={liveTrace} />}
+                <div className="flex flex-wrap gap-2">
+                  {timedOut && !busy && (
+                    <button
+                      onClick={keepWaiting}
+                      className="px-4 py-2 rounded-xl bg-blue-600 text-white text-sm hover:bg-blue-700 transition-colors"
+                    >
+                      Keep waiting
+                    </button>
+                  )}
+                  <button
+                    onClick={cancelActiveRun}
+                    className="px-4 py-2 rounded-xl border bg-white text-sm text-red-600 hover:bg-red-50 transition-colors"
+                  >
+                    Cancel run
+                  </button>
+                </div>
+              </div>
+            )}
+            {!busy && (!portfolioValid || !configValid) && (
+              <div className="text-sm text-slate-500">
+                {!activePortfolio
+                  ? "Upload portfolio.csv or build one to enable the run."
+                  : !portfolioValid
+                    ? "Fix the portfolio errors above to enable the run."
+                    : `Fix the configuration errors above to enable the run (${[
+                        ...Object.keys(configErrors),
+                        ...(constraintIssues.some((x) => x.level === "error") ? ["constraints"] : []),
+                      ].join(", ")}).`}
+              </div>
+            )}
 
             <div className="text-sm text-slate-700 space-y-2">
               {log && <div className="whitespace-pre-wrap bg-slate-50 p-3 rounded-xl">{log}</div>}
@@ -407,20 +1341,123 @@ export default function App() {
           {status?.status === "done" && (
             <section className="bg-white rounded-2xl shadow-sm border p-6 space-y-6">
               <h2 className="text-lg font-semibold text-slate-900">4) Results</h2>
-              {artifactsLinks()}
+              {status.files?.length > 0 && (
+                <ArtifactDownloads
+                  key={runId}
+                  runId={runId}
+                  runUrlBase={runUrlBase}
+                  files={status.files}
+                  config={runEntry?.config}
+                  portfolioCsv={runEntry?.portfolio_csv}
+                />
+              )}
+              <ReportActions
+                runId={runId}
+                runUrlBase={runUrlBase}
+                files={status.files}
+                plots={plots}
+                summary={summary}
+                memo={memoObj}
+                config={runConfig ?? submitConfig}
+                configKnown={Boolean(runConfig)}
+                apiBase={apiSettings().baseUrl}
+              />
 
               {summary && (
                 <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-6 gap-3">
-                  <Stat title="Objective" value={summary.objective} />
-                  <Stat title="Alpha" value={summary.alpha} />
-                  <Stat title="Turnover" value={Number(summary.turnover).toFixed(4)} />
-                  <Stat title="Train CVaR" value={Number(summary.train?.cvar).toFixed(4)} />
-                  <Stat title="Test CVaR" value={Number(summary.test?.cvar).toFixed(4)} />
-                  <Stat title="Test Mean" value={Number(summary.test?.mean).toFixed(6)} />
+                  {summaryStats(summary).map((s) => (
+                    <Stat key={s.title} title={s.title} value={s.value} />
+                  ))}
                 </div>
               )}
 
-              {plots.length > 0 && (
+              {findArtifact(status.files, "portfolio_returns_full.csv") && (
+                <RiskAnalytics
+                  key={runId}
+                  runUrlBase={runUrlBase}
+                  files={status.files}
+                  alpha={runAlpha}
+                  trainRatio={runTrainRatio}
+                  onFocusDate={focusChartsOn}
+                />
+              )}
+
+              {(findArtifact(status.files, "trades.csv") || findArtifact(status.files, "weights_opt.csv")) && (
+                <TradeTicket
+                  key={runId}
+                  runId={runId}
+                  runUrlBase={runUrlBase}
+                  files={status.files}
+                  costBps={runCostBps}
+                />
+              )}
+
+              <CrossCheck
+                local={isLocalRun(runId)}
+                available={Boolean(runEntry?.portfolio_csv && runEntry?.config) && (isLocalRun(runId) || marketReady)}
+                reason={
+                  !runEntry?.portfolio_csv || !runEntry?.config
+                    ? "The portfolio and config of this run aren't in the run history."
+                    : isLocalRun(runId) || marketReady
+                      ? ""
+                      : "Load market data under 3) Run → In browser to re-run this in the browser."
+                }
+                check={crossCheck?.from === runId ? crossCheck : null}
+                summary={summary}
+                onStart={startCrossCheck}
+                onCompare={() => {
+                  setCompareIds([runId, crossCheck.run_id]);
+                  document.getElementById("compare-runs")?.scrollIntoView({ behavior: "smooth", block: "start" });
+                }}
+              />
+
+              {findArtifact(status.files, "weights_opt.csv") && (
+                <WhatIfEditor
+                  key={runId}
+                  runUrlBase={runUrlBase}
+                  files={status.files}
+                  alpha={runAlpha}
+                  trainRatio={runTrainRatio}
+                  costBps={runCostBps}
+                  wMax={Number(runConfig?.w_max ?? config.w_max)}
+                  longOnly={(runConfig?.long_only ?? config.long_only) !== false}
+                />
+              )}
+
+              {hasChartData && (
+                <div id="run-charts" className="flex items-center justify-between">
+                  <div className="font-semibold">Charts</div>
+                  <div className="inline-flex rounded-xl border bg-slate-50 p-1 text-sm">
+                    {[
+                      { value: "interactive", label: "Interactive" },
+                      { value: "png", label: "PNG figures" },
+                    ].map((t) => (
+                      <button
+                        key={t.value}
+                        onClick={() => setChartMode(t.value)}
+                        className={`px-3 py-1.5 rounded-lg transition-colors ${
+                          chartMode === t.value ? "bg-blue-600 text-white" : "bg-transparent text-slate-700"
+                        }`}
+                      >
+                        {t.label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {hasChartData && chartMode === "interactive" && (
+                <RunCharts
+                  key={runId}
+                  runUrlBase={runUrlBase}
+                  files={status.files}
+                  trainRatio={runTrainRatio}
+                  focusDate={focusDate}
+                  onFallback={() => setChartMode("png")}
+                />
+              )}
+
+              {(!hasChartData || chartMode === "png") && plots.length > 0 && (
                 <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
                   {plots.map((p) => (
                     <PlotImage
@@ -432,151 +1469,120 @@ export default function App() {
                 </div>
               )}
 
-              {doMemo && memoObj && (
-                <div className="bg-gradient-to-br from-blue-50 to-indigo-50 border border-blue-200 rounded-2xl p-6 space-y-4">
-                  <div className="flex items-center gap-2 mb-4">
-                    <div className="text-2xl">📊</div>
-                    <h3 className="text-xl font-bold text-slate-900">Quant Risk Assistant</h3>
-                  </div>
-                  
-                  {/* Headline */}
-                  {memoObj.memo?.headline && (
-                    <div className="bg-white rounded-xl p-4 border border-blue-200">
-                      <div className="text-base font-semibold text-blue-900">
-                        {memoObj.memo.headline}
-                      </div>
-                    </div>
-                  )}
-
-                  {/* Key Findings */}
-                  {memoObj.memo?.key_findings && Array.isArray(memoObj.memo.key_findings) && (
-                    <div className="bg-white rounded-xl p-4 border border-blue-200">
-                      <div className="text-sm font-bold text-slate-900 mb-3">Key Findings</div>
-                      <ul className="space-y-2">
-                        {memoObj.memo.key_findings.map((finding, idx) => (
-                          <li key={idx} className="text-sm text-slate-700 flex gap-2">
-                            <span className="text-blue-600 font-bold">•</span>
-                            <span>{finding}</span>
-                          </li>
-                        ))}
-                      </ul>
-                    </div>
-                  )}
-
-                  {/* Risk Story */}
-                  {memoObj.memo?.risk_story && (
-                    <div className="bg-white rounded-xl p-4 border border-blue-200">
-                      <div className="text-sm font-bold text-slate-900 mb-2">Risk Story</div>
-                      <p className="text-sm text-slate-700 leading-relaxed">
-                        {memoObj.memo.risk_story}
-                      </p>
-                    </div>
-                  )}
-
-                  {/* Return Story */}
-                  {memoObj.memo?.return_story && (
-                    <div className="bg-white rounded-xl p-4 border border-blue-200">
-                      <div className="text-sm font-bold text-slate-900 mb-2">Return Story</div>
-                      <p className="text-sm text-slate-700 leading-relaxed">
-                        {memoObj.memo.return_story}
-                      </p>
-                    </div>
-                  )}
-
-                  {/* Crash Days Commentary */}
-                  {memoObj.memo?.crash_days_commentary && (
-                    <div className="bg-white rounded-xl p-4 border border-blue-200">
-                      <div className="text-sm font-bold text-slate-900 mb-2">Crash Days Analysis</div>
-                      <p className="text-sm text-slate-700 leading-relaxed">
-                        {memoObj.memo.crash_days_commentary}
-                      </p>
-                    </div>
-                  )}
-
-                  {/* Limitations */}
-                  {memoObj.memo?.limitations && Array.isArray(memoObj.memo.limitations) && (
-                    <div className="bg-white rounded-xl p-4 border border-yellow-200">
-                      <div className="text-sm font-bold text-slate-900 mb-3">Limitations</div>
-                      <ul className="space-y-2">
-                        {memoObj.memo.limitations.map((limitation, idx) => (
-                          <li key={idx} className="text-sm text-slate-700 flex gap-2">
-                            <span className="text-yellow-600 font-bold">•</span>
-                            <span>{limitation}</span>
-                          </li>
-                        ))}
-                      </ul>
-                    </div>
-                  )}
-
-                  {/* Next Experiments */}
-                  {memoObj.memo?.next_experiments && Array.isArray(memoObj.memo.next_experiments) && (
-                    <div className="bg-white rounded-xl p-4 border border-green-200">
-                      <div className="text-sm font-bold text-slate-900 mb-3">Next Experiments</div>
-                      <ul className="space-y-2">
-                        {memoObj.memo.next_experiments.map((experiment, idx) => (
-                          <li key={idx} className="text-sm text-slate-700 flex gap-2">
-                            <span className="text-green-600 font-bold">•</span>
-                            <span>{experiment}</span>
-                          </li>
-                        ))}
-                      </ul>
-                    </div>
-                  )}
-
-                  {/* Model info */}
-                  {memoObj.model && (
-                    <div className="text-xs text-slate-500 text-right pt-2">
-                      Generated by: {memoObj.model}
-                    </div>
-                  )}
-                </div>
+              {!isLocalRun(runId) && (
+                <MemoCard
+                  key={runId}
+                  runId={runId}
+                  versions={runMemoVersions}
+                  selectedId={memoSelected}
+                  onSelect={setMemoSelected}
+                  models={memoModels}
+                  onGenerate={generateRunMemo}
+                  generating={memoGenerating}
+                  error={memoError}
+                />
               )}
             </section>
           )}
+
+          <RunHistory
+            entries={history}
+            activeRunId={runId}
+            busy={busy}
+            onOpen={openRun}
+            onDelete={(id) => setHistory((h) => removeRun(h, id))}
+            onClear={() => setHistory([])}
+            onLoadConfig={loadRunConfig}
+            compareIds={compareIds}
+            onToggleCompare={(id) =>
+              setCompareIds((ids) => (ids.includes(id) ? ids.filter((x) => x !== id) : [...ids, id]))
+            }
+          />
+
+          <CompareRuns runIds={compareIds} onRunIdsChange={setCompareIds} history={history} />
         </div>
       </div>
     </div>
   );
 }
 
-function ConfigCard({ title, children }) {
+function ConfigCard({ title, children, wide = false }) {
   return (
     <div className="border rounded-2xl p-4 bg-slate-50">
       <div className="font-semibold mb-3 text-slate-900">{title}</div>
-      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">{children}</div>
+      <div className={wide ? "" : "grid grid-cols-1 sm:grid-cols-2 gap-3"}>{children}</div>
     </div>
   );
 }
 
-function Field({ label, help, value, onChange, step = "1", disabled = false }) {
+function Field({
+  label,
+  help,
+  value,
+  onChange,
+  step = "1",
+  min,
+  max,
+  disabled = false,
+  error,
+  sweep,
+  sweepInfo,
+  onSweepChange,
+  presetValue,
+}) {
   return (
     <div className="space-y-1">
       <label className="text-xs text-slate-700 flex items-center gap-2">
         <span>{label}</span>
         {help && <InfoTip text={help} />}
+        <PresetMark presetValue={presetValue} />
       </label>
       <input
-        className="w-full px-3 py-2 rounded-xl border bg-white disabled:bg-slate-100 disabled:text-slate-500 text-slate-900"
+        className={`w-full px-3 py-2 rounded-xl border bg-white disabled:bg-slate-100 disabled:text-slate-500 text-slate-900 ${
+          error && !disabled ? "border-red-400" : ""
+        }`}
         value={value}
         step={step}
+        min={min}
+        max={max}
         disabled={disabled}
         onChange={(e) => onChange(e.target.value)}
         type="number"
       />
+      {error && !disabled && <div className="text-xs text-red-600">{error}</div>}
+      {sweep !== undefined && (
+        <>
+          <input
+            className={`w-full px-3 py-1.5 rounded-xl border bg-white text-xs text-slate-900 ${sweepInfo?.error ? "border-red-400" : ""}`}
+            placeholder="sweep: 0.1, 0.2 or 0..1 step 0.1"
+            value={sweep}
+            onChange={(e) => onSweepChange(e.target.value)}
+          />
+          {sweepInfo?.error && <div className="text-xs text-red-600">{sweepInfo.error}</div>}
+          {sweepInfo?.values?.length > 0 && (
+            <div className={`text-xs ${sweepInfo.warning ? "text-amber-700" : "text-slate-500"}`}>
+              {sweepInfo.values.length} value(s): {sweepInfo.values.join(", ")}
+              {sweepInfo.warning && ` (${sweepInfo.warning})`}
+            </div>
+          )}
+        </>
+      )}
     </div>
   );
 }
 
-function Select({ label, help, value, onChange, options }) {
+function Select({ label, help, value, onChange, options, disabled = false, error, presetValue }) {
   return (
     <div className="space-y-1">
       <label className="text-xs text-slate-700 flex items-center gap-2">
         <span>{label}</span>
         {help && <InfoTip text={help} />}
+        <PresetMark presetValue={presetValue} />
       </label>
       <select
-        className="w-full px-3 py-2 rounded-xl border bg-white text-slate-900"
+        className="w-full px-3 py-2 rounded-xl border bg-white text-slate-900 disabled:bg-slate-100"
         value={value}
+        disabled={disabled}
         onChange={(e) => onChange(e.target.value)}
       >
         {options.map((o) => (
@@ -585,10 +1591,44 @@ function Select({ label, help, value, onChange, options }) {
           </option>
         ))}
       </select>
+      {error && <div className="text-xs text-red-600">{error}</div>}
+    </div>
+  );
+}
+
+function Toggle({ label, help, value, onChange, disabled = false, error, presetValue }) {
+  return (
+    <div className="space-y-1">
+      <label className="text-xs text-slate-700 flex items-center gap-2">
+        <span>{label}</span>
+        {help && <InfoTip text={help} />}
+        <PresetMark presetValue={presetValue} />
+      </label>
+      <label className="flex items-center gap-2 px-3 py-2 rounded-xl border bg-white text-sm text-slate-900">
+        <input
+          type="checkbox"
+          checked={!!value}
+          disabled={disabled}
+          onChange={(e) => onChange(e.target.checked)}
+          className="w-4 h-4 rounded"
+        />
+        {value ? "true" : "false"}
+      </label>
+      {error && <div className="text-xs text-red-600">{error}</div>}
     </div>
   );
 }
 
+function PresetMark({ presetValue }) {
+  if (presetValue === undefined) return null;
+  return (
+    <span className="ml-auto inline-flex items-center gap-1 text-amber-700" title="Differs from the loaded preset">
+      <span className="w-1.5 h-1.5 rounded-full bg-amber-500" />
+      preset: {String(presetValue)}
+    </span>
+  );
+}
+
 function InfoTip({ text }) {
   return (
     <span className="relative group inline-flex items-center">
@@ -606,6 +1646,33 @@ function PlotImage({ title, src }) {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(false);
   const [retryCount, setRetryCount] = useState(0);
+  // <img> can't send the API key, so authenticated backends get the image via
+  // fetch and an object URL instead.
+  const needsAuth = Boolean(apiSettings().apiKey);
+  const [blobSrc, setBlobSrc] = useState(null);
+
+  useEffect(() => {
+    if (!needsAuth) return;
+    let cancelled = false;
+    let url = null;
+    fetchArtifact(src)
+      .then((res) => res.blob())
+      .then((blob) => {
+        if (cancelled) return;
+        url = URL.createObjectURL(blob);
+        setBlobSrc(url);
+      })
+      .catch(() => {
+        if (cancelled) return;
+        setLoading(false);
+        setError(true);
+      });
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [src, needsAuth, retryCount]);
+  const imgSrc = needsAuth ? blobSrc : src;
 
   const handleLoad = () => {
     setLoading(false);
@@ -643,14 +1710,16 @@ function PlotImage({ title, src }) {
             </button>
           </div>
         ) : (
-          <img
-            key={`${src}-${retryCount}`}
-            className="w-full"
-            src={src}
-            alt={title}
-            onLoad={handleLoad}
-            onError={handleError}
-          />
+          imgSrc && (
+            <img
+              key={`${imgSrc}-${retryCount}`}
+              className="w-full"
+              src={imgSrc}
+              alt={title}
+              onLoad={handleLoad}
+              onError={handleError}
+            />
+          )
         )}
       </div>
     </div>
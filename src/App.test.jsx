@@ -0,0 +1,174 @@
+import { act, fireEvent, render, screen, waitFor, within } from "@testing-library/react";
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import App from "./App.jsx";
+import { fakeBackend, json } from "./test/fakeBackend.js";
+
+const BASE = "http://127.0.0.1:8000";
+const PORTFOLIO = "date,SPY.US,GLD.US,TLT.US\n2024-03-01,0.40,0.30,0.30\n";
+const SUMMARY = {
+  objective: "min_cvar",
+  alpha: 0.05,
+  turnover: 0.3123,
+  train: { cvar: 0.0123456, mean: 0.0004 },
+  test: { cvar: 0.015, mean: 0.000123456 },
+  weights: { "SPY.US": 0.3, "GLD.US": 0.3, "TLT.US": 0.4 },
+};
+const FIGURES = ["figures/cumulative_returns.png", "figures/objective_history.png"];
+const DONE = { status: "done", files: ["summary.json", "weights_opt.csv", ...FIGURES] };
+const FILES = { "weights_opt.csv": "asset,w_init,w_opt\nSPY.US,0.4,0.3\nGLD.US,0.3,0.3\nTLT.US,0.3,0.4\n" };
+
+// Uploads the portfolio and clicks Run; `setup` can tick options first.
+async function submitRun(setup) {
+  const view = render(<App />);
+  const upload = view.container.querySelector('input[type="file"]');
+  fireEvent.change(upload, { target: { files: [new File([PORTFOLIO], "portfolio.csv", { type: "text/csv" })] } });
+  const run = screen.getByRole("button", { name: "Run optimizer" });
+  await waitFor(() => expect(run.disabled).toBe(false));
+  setup?.();
+  fireEvent.click(run);
+  return view;
+}
+
+// weights_opt.csv is chart data, so the figures sit behind the PNG toggle.
+async function showFigures() {
+  await screen.findByRole("heading", { name: "4) Results" }, { timeout: 3000 });
+  fireEvent.click(screen.getByRole("button", { name: "PNG figures" }));
+}
+
+function stat(title) {
+  return screen.getByText(title, { selector: ".mb-1" }).nextSibling.textContent;
+}
+
+beforeEach(() => {
+  // Fixed backoff (the shortest delay) so polling takes a predictable time.
+  vi.spyOn(Math, "random").mockReturnValue(0);
+});
+
+describe("run flow", () => {
+  it("submits the portfolio and config, then polls until the run is done", async () => {
+    const backend = fakeBackend({
+      statuses: [{ status: "queued" }, { status: "running", progress: 0.5 }, DONE],
+      summary: SUMMARY,
+      files: FILES,
+    });
+    await submitRun();
+
+    expect(await screen.findByRole("heading", { name: "4) Results" }, { timeout: 3000 })).toBeTruthy();
+    const post = backend.calls.find((c) => c.method === "POST" && c.path === "/api/runs");
+    expect(await post.body.get("portfolio").text()).toBe(PORTFOLIO);
+    expect(JSON.parse(post.body.get("config_json"))).toMatchObject({ objective: "min_cvar", alpha: 0.05 });
+    expect(post.body.get("do_memo")).toBe("false");
+    expect(backend.polls()).toBe(3);
+    expect(screen.getByText("run-1", { selector: "code" })).toBeTruthy();
+    expect(screen.getByText("Done.")).toBeTruthy();
+    expect(JSON.parse(localStorage.getItem("cvar.activeRun.v1"))).toBeNull();
+  });
+
+  it("shows the error when the run fails", async () => {
+    fakeBackend({ statuses: [{ status: "running" }, { status: "error", error: "Solver diverged" }] });
+    await submitRun();
+
+    expect((await screen.findAllByText("Error: Solver diverged", {}, { timeout: 3000 })).length).toBeGreaterThan(0);
+    expect(screen.queryByRole("heading", { name: "4) Results" })).toBeNull();
+    expect(screen.getByRole("button", { name: "Run optimizer" }).disabled).toBe(false);
+  });
+
+  it("offers to keep waiting after the timeout and picks the run up again", async () => {
+    vi.useFakeTimers({ shouldAdvanceTime: true });
+    let finished = false;
+    fakeBackend({
+      summary: SUMMARY,
+      files: FILES,
+      routes: { "GET /api/runs/run-1": () => json(200, finished ? DONE : { status: "running" }) },
+    });
+    await submitRun();
+
+    await act(() => vi.advanceTimersByTimeAsync(200000));
+    expect(screen.getByText("Still running after the timeout. Keep waiting, or cancel the run.")).toBeTruthy();
+    expect(screen.queryByRole("heading", { name: "4) Results" })).toBeNull();
+
+    finished = true;
+    fireEvent.click(screen.getByRole("button", { name: "Keep waiting" }));
+    await act(() => vi.advanceTimersByTimeAsync(15000));
+    expect(screen.getByRole("heading", { name: "4) Results" })).toBeTruthy();
+  });
+
+  it("marks local runs that were still running before a reload as lost", async () => {
+    const backend = fakeBackend();
+    const entry = { run_id: "local-abc", created_at: "2024-03-01T00:00:00Z", status: "running" };
+    localStorage.setItem("cvar.runHistory.v1", JSON.stringify([entry]));
+    render(<App />);
+
+    expect(screen.getByText("Local runs don't survive a page reload.")).toBeTruthy();
+    expect(JSON.parse(localStorage.getItem("cvar.runHistory.v1"))[0].status).toBe("error");
+    await waitFor(() => expect(backend.calls.length).toBeGreaterThan(0));
+    expect(backend.calls.some((c) => c.path.includes("local-abc"))).toBe(false);
+  });
+});
+
+describe("results", () => {
+  it("formats the summary stats and shows dashes for missing fields", async () => {
+    fakeBackend({ statuses: [DONE], summary: { objective: "min_cvar", test: { cvar: 0.02 } }, files: FILES });
+    await submitRun();
+    await screen.findByRole("heading", { name: "4) Results" }, { timeout: 3000 });
+
+    await waitFor(() => expect(stat("Test CVaR")).toBe("0.0200"));
+    expect(stat("Objective")).toBe("min_cvar");
+    expect(stat("Alpha")).toBe("—");
+    expect(stat("Turnover")).toBe("—");
+    expect(stat("Train CVaR")).toBe("—");
+    expect(stat("Test Mean")).toBe("—");
+  });
+
+  it("titles the figures from their file names and links every artifact", async () => {
+    fakeBackend({ statuses: [DONE], summary: SUMMARY, files: FILES });
+    await submitRun();
+    await showFigures();
+
+    const img = screen.getByAltText("Cumulative Returns");
+    const src = new RegExp(`^${BASE}/runs/run-1/figures/cumulative_returns\\.png\\?t=\\d+$`);
+    expect(img.getAttribute("src")).toMatch(src);
+    expect(screen.getByAltText("Objective History")).toBeTruthy();
+    expect(screen.getByRole("link", { name: "figures/objective_history.png" }).getAttribute("href")).toBe(
+      `${BASE}/runs/run-1/figures/objective_history.png`
+    );
+    expect(screen.getByTitle("Open raw weights_opt.csv").getAttribute("href")).toBe(
+      `${BASE}/runs/run-1/weights_opt.csv`
+    );
+  });
+
+  it("retries a figure that failed to load", async () => {
+    fakeBackend({ statuses: [DONE], summary: SUMMARY, files: FILES });
+    await submitRun();
+    await showFigures();
+
+    fireEvent.error(screen.getByAltText("Cumulative Returns"));
+    expect(screen.getByText("Failed to load image")).toBeTruthy();
+    expect(screen.queryByAltText("Cumulative Returns")).toBeNull();
+
+    fireEvent.click(screen.getByRole("button", { name: "Retry" }));
+    const img = screen.getByAltText("Cumulative Returns");
+    const frame = within(img.parentElement);
+    expect(frame.getByText("Loading...")).toBeTruthy();
+    fireEvent.load(img);
+    expect(frame.queryByText("Loading...")).toBeNull();
+    expect(screen.queryByText("Failed to load image")).toBeNull();
+  });
+
+  it.each([
+    [
+      "a JSON string",
+      JSON.stringify({ memo: { headline: "Tail risk down 20%", key_findings: ["Less SPY"] }, model: "gpt-4o" }),
+      ["Tail risk down 20%", "Key Findings", "Less SPY"],
+    ],
+    ["an object", { headline: "Tail risk down 20%", limitations: ["Short history"] }, ["Limitations", "Short history"]],
+    ["plain text", "The optimizer moved into bonds.", ["The optimizer moved into bonds."]],
+  ])("renders the memo from %s", async (_, memo, expected) => {
+    const backend = fakeBackend({ statuses: [DONE], summary: SUMMARY, files: FILES, memo });
+    await submitRun(() => fireEvent.click(screen.getByLabelText(/Quant Risk Assistant/)));
+
+    for (const text of expected) expect(await screen.findByText(text, {}, { timeout: 3000 })).toBeTruthy();
+    const post = backend.calls.find((c) => c.method === "POST" && c.path === "/api/runs");
+    expect(post.body.get("do_memo")).toBe("true");
+  });
+});
@@ -0,0 +1,133 @@
+import { useState } from "react";
+import CsvViewer from "./CsvViewer.jsx";
+import { apiSettings, fetchArtifact } from "../lib/api.js";
+import { groupArtifacts } from "../lib/artifacts.js";
+import { downloadBlob } from "../lib/download.js";
+import { isLocalRun } from "../lib/localRuns.js";
+import { buildRunArchive } from "../lib/runArchive.js";
+
+// Every file the run published, grouped by kind, plus "Download all" as a zip.
+// CSV files open in the table viewer; the ↗ link next to them opens the raw file.
+export default function ArtifactDownloads({ runId, runUrlBase, files, config, portfolioCsv }) {
+  const [progress, setProgress] = useState(null);
+  const [failed, setFailed] = useState([]);
+  const [error, setError] = useState("");
+  const [viewing, setViewing] = useState("");
+  const groups = groupArtifacts(files);
+
+  // With an API key the browser can't open artifact URLs directly, so fetch
+  // the file with the key and save it instead. Local runs' files only exist
+  // in this tab, so they are always saved that way.
+  async function openAuthed(e, path) {
+    if (!apiSettings().apiKey && !isLocalRun(runId)) return;
+    e.preventDefault();
+    try {
+      const blob = await (await fetchArtifact(`${runUrlBase}/${path}`)).blob();
+      downloadBlob(path.split("/").pop(), blob);
+    } catch (err) {
+      setError(String(err.message || err));
+    }
+  }
+
+  async function downloadAll() {
+    setProgress({ done: 0, total: files.length });
+    setFailed([]);
+    setError("");
+    try {
+      const res = await buildRunArchive({
+        runId,
+        runUrlBase,
+        files,
+        config,
+        portfolioCsv,
+        onProgress: (done, total) => setProgress({ done, total }),
+      });
+      setFailed(res.failed);
+      downloadBlob(`cvar_run_${runId}.zip`, new Blob([res.zip], { type: "application/zip" }));
+    } catch (e) {
+      setError(String(e.message || e));
+    } finally {
+      setProgress(null);
+    }
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-3">
+        <div className="font-semibold">Downloads</div>
+        <span className="text-xs text-slate-500">{files.length} file(s)</span>
+        <button
+          onClick={downloadAll}
+          disabled={Boolean(progress)}
+          className="ml-auto px-3 py-1.5 rounded-xl bg-blue-600 text-white text-sm hover:bg-blue-700 disabled:opacity-50"
+        >
+          {progress ? `Fetching ${progress.done}/${progress.total}…` : "Download all (.zip)"}
+        </button>
+      </div>
+
+      {groups.map((g) => (
+        <div key={g.id} className="space-y-1">
+          <div className="text-xs text-slate-600">{g.title}</div>
+          <div className="flex flex-wrap gap-2">
+            {g.files.map((p) =>
+              /\.csv$/i.test(p) ? (
+                <span key={p} className="inline-flex items-center gap-1">
+                  <button
+                    onClick={() => setViewing(viewing === p ? "" : p)}
+                    className={`px-3 py-1.5 rounded-xl text-white text-sm hover:bg-blue-700 transition-colors ${
+                      viewing === p ? "bg-blue-600" : "bg-blue-200"
+                    }`}
+                  >
+                    {p}
+                  </button>
+                  <a
+                    href={`${runUrlBase}/${p}`}
+                    target="_blank"
+                    rel="noreferrer"
+                    onClick={(e) => openAuthed(e, p)}
+                    title={`Open raw ${p}`}
+                    className="px-1 text-sm text-blue-700 hover:text-blue-900"
+                  >
+                    ↗
+                  </a>
+                </span>
+              ) : (
+                <a
+                  key={p}
+                  className="px-3 py-1.5 rounded-xl bg-blue-200 text-white text-sm hover:bg-blue-700 transition-colors"
+                  href={`${runUrlBase}/${p}`}
+                  target="_blank"
+                  rel="noreferrer"
+                  onClick={(e) => openAuthed(e, p)}
+                >
+                  {p}
+                </a>
+              )
+            )}
+          </div>
+        </div>
+      ))}
+
+      {viewing && <CsvViewer key={viewing} runUrlBase={runUrlBase} files={files} path={viewing} onClose={() => setViewing("")} />}
+
+      {!portfolioCsv && (
+        <div className="text-xs text-slate-500">
+          The submitted portfolio CSV isn't on record for this run, so the zip won't include it.
+        </div>
+      )}
+      {failed.length > 0 && (
+        <div className="text-xs text-amber-700">
+          Left out of the zip (listed in MISSING.txt):
+          <ul className="list-disc ml-5">
+            {failed.map((f) => (
+              <li key={f.path}>
+                {f.path}: {f.reason}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {error && <div className="text-xs text-red-600">{error}</div>}
+    </div>
+  );
+}
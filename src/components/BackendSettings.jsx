@@ -0,0 +1,220 @@
+import { useState } from "react";
+import { BUILTIN_BACKEND, profileError } from "../lib/backends.js";
+
+const AUTH_LABELS = { none: "No auth", bearer: "Bearer token", header: "API key header" };
+const EMPTY_FORM = { id: "", name: "", baseUrl: "", auth: "none", token: "", header: "X-API-Key" };
+
+export function HealthDot({ health }) {
+  const color =
+    health === "checking"
+      ? "bg-slate-300 animate-pulse"
+      : health?.level === "ok"
+        ? "bg-green-500"
+        : health?.level === "warn"
+          ? "bg-amber-500"
+          : health?.level === "error"
+            ? "bg-red-500"
+            : "bg-slate-300";
+  const title = health === "checking" ? "Checking…" : health ? `${health.message} (${health.ms} ms)` : "Not checked";
+  return <span title={title} className={`inline-block w-2.5 h-2.5 rounded-full ${color}`} />;
+}
+
+// Backend profiles: pick the active one, add/edit/remove profiles and test
+// the connection. Tokens are kept in this browser's localStorage.
+export default function BackendSettings({ backends, health, onChange, onCheck }) {
+  const [form, setForm] = useState(null);
+  const error = form ? profileError(form, backends.profiles) : null;
+  // Unsaved profiles are tested under the id "draft".
+  const formHealth = form ? health[form.id || "draft"] : null;
+
+  function save() {
+    if (error) return;
+    const profile = { ...form, name: form.name.trim(), baseUrl: form.baseUrl.trim(), token: form.token.trim(), header: form.header.trim() };
+    const exists = backends.profiles.some((p) => p.id === profile.id);
+    const profiles = exists
+      ? backends.profiles.map((p) => (p.id === profile.id ? profile : p))
+      : [...backends.profiles, { ...profile, id: `b${Date.now().toString(36)}` }];
+    onChange({ ...backends, profiles });
+    setForm(null);
+  }
+
+  function remove(id) {
+    onChange({
+      profiles: backends.profiles.filter((p) => p.id !== id),
+      activeId: backends.activeId === id ? BUILTIN_BACKEND.id : backends.activeId,
+    });
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-slate-600 border-b">
+              <th className="py-2 pr-3 font-normal">active</th>
+              <th className="py-2 pr-3 font-normal">name</th>
+              <th className="py-2 pr-3 font-normal">base URL</th>
+              <th className="py-2 pr-3 font-normal">auth</th>
+              <th className="py-2 pr-3 font-normal">status</th>
+              <th className="py-2 font-normal" />
+            </tr>
+          </thead>
+          <tbody>
+            {backends.profiles.map((p) => {
+              const h = health[p.id];
+              return (
+                <tr key={p.id} className="border-b last:border-0">
+                  <td className="py-1.5 pr-3">
+                    <input
+                      type="radio"
+                      name="active-backend"
+                      checked={backends.activeId === p.id}
+                      onChange={() => onChange({ ...backends, activeId: p.id })}
+                      className="w-4 h-4"
+                    />
+                  </td>
+                  <td className="py-1.5 pr-3 font-semibold text-slate-900">
+                    {p.name}
+                    {p.builtin && <span className="ml-1 text-xs font-normal text-slate-500">(build)</span>}
+                  </td>
+                  <td className="py-1.5 pr-3 text-slate-700 break-all">{p.baseUrl}</td>
+                  <td className="py-1.5 pr-3 text-xs text-slate-600">
+                    {p.auth === "header" ? `${p.header} header` : AUTH_LABELS[p.auth]}
+                  </td>
+                  <td className="py-1.5 pr-3">
+                    <span className="inline-flex items-center gap-2 text-xs text-slate-600">
+                      <HealthDot health={h} />
+                      {h === "checking" ? "Checking…" : h ? `${h.message} · ${h.ms} ms` : ""}
+                    </span>
+                  </td>
+                  <td className="py-1.5 whitespace-nowrap text-right space-x-1">
+                    <button
+                      onClick={() => onCheck(p)}
+                      className="px-2 py-1 rounded-lg border bg-white text-xs text-slate-700 hover:bg-slate-50"
+                    >
+                      Test
+                    </button>
+                    {!p.builtin && (
+                      <>
+                        <button
+                          onClick={() => setForm({ ...EMPTY_FORM, ...p })}
+                          className="px-2 py-1 rounded-lg border bg-white text-xs text-slate-700 hover:bg-slate-50"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => remove(p.id)}
+                          className="px-2 py-1 rounded-lg border bg-white text-xs text-red-600 hover:bg-red-50"
+                        >
+                          Delete
+                        </button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {form ? (
+        <div className="border rounded-xl p-4 bg-slate-50 space-y-3">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 text-sm">
+            <label className="space-y-1">
+              <div className="text-xs text-slate-600">Name</div>
+              <input
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                placeholder="staging"
+                className="w-full px-3 py-2 rounded-xl border bg-white text-slate-900"
+              />
+            </label>
+            <label className="space-y-1">
+              <div className="text-xs text-slate-600">Base URL</div>
+              <input
+                value={form.baseUrl}
+                onChange={(e) => setForm({ ...form, baseUrl: e.target.value })}
+                placeholder="https://cvar-staging.example.com"
+                className="w-full px-3 py-2 rounded-xl border bg-white text-slate-900"
+              />
+            </label>
+            <label className="space-y-1">
+              <div className="text-xs text-slate-600">Auth</div>
+              <select
+                value={form.auth}
+                onChange={(e) => setForm({ ...form, auth: e.target.value })}
+                className="w-full px-3 py-2 rounded-xl border bg-white text-slate-900"
+              >
+                {Object.entries(AUTH_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            {form.auth !== "none" && (
+              <label className="space-y-1">
+                <div className="text-xs text-slate-600">{form.auth === "bearer" ? "Token" : "Key"}</div>
+                <input
+                  type="password"
+                  autoComplete="off"
+                  value={form.token}
+                  onChange={(e) => setForm({ ...form, token: e.target.value })}
+                  className="w-full px-3 py-2 rounded-xl border bg-white text-slate-900"
+                />
+              </label>
+            )}
+            {form.auth === "header" && (
+              <label className="space-y-1">
+                <div className="text-xs text-slate-600">Header name</div>
+                <input
+                  value={form.header}
+                  onChange={(e) => setForm({ ...form, header: e.target.value })}
+                  className="w-full px-3 py-2 rounded-xl border bg-white text-slate-900"
+                />
+              </label>
+            )}
+          </div>
+          {error && <div className="text-xs text-red-600">{error}</div>}
+          <div className="flex gap-2">
+            <button
+              onClick={save}
+              disabled={Boolean(error)}
+              className="px-3 py-1.5 rounded-xl bg-blue-600 text-white text-sm hover:bg-blue-700 disabled:opacity-50"
+            >
+              {form.id ? "Save" : "Add backend"}
+            </button>
+            <button
+              onClick={() => onCheck({ ...form, id: form.id || "draft" })}
+              disabled={Boolean(error)}
+              className="px-3 py-1.5 rounded-xl border bg-white text-sm text-slate-700 hover:bg-slate-50 disabled:opacity-50"
+            >
+              Test
+            </button>
+            <button onClick={() => setForm(null)} className="px-3 py-1.5 rounded-xl border bg-white text-sm text-slate-700">
+              Cancel
+            </button>
+            {formHealth && (
+              <span className="inline-flex items-center gap-2 text-xs text-slate-600">
+                <HealthDot health={formHealth} />
+                {formHealth === "checking" ? "Checking…" : formHealth.message}
+              </span>
+            )}
+          </div>
+        </div>
+      ) : (
+        <button
+          onClick={() => setForm(EMPTY_FORM)}
+          className="px-3 py-1.5 rounded-xl border bg-white text-sm text-slate-700 hover:bg-slate-50"
+        >
+          Add backend
+        </button>
+      )}
+      <p className="text-xs text-slate-500">
+        Tokens are stored unencrypted in this browser. Runs, history entries and artifacts belong to the backend that
+        produced them; switching backends closes the open run.
+      </p>
+    </div>
+  );
+}
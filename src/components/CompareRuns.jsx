@@ -0,0 +1,250 @@
+import { useEffect, useRef, useState } from "react";
+import { PALETTE } from "./charts/axis.js";
+import { artifactUrl, fetchArtifact, getRunSummary } from "../lib/api.js";
+import { COMPARE_METRICS, bestIndex, configDiff, weightsOverlay } from "../lib/compare.js";
+import { parseWeightsCSV } from "../lib/csv.js";
+
+const RUN_COLORS = PALETTE;
+
+async function loadRun(id) {
+  const [summary, weights] = await Promise.all([
+    getRunSummary(id),
+    fetchArtifact(artifactUrl(id, "weights_opt.csv"))
+      .then((res) => res.text())
+      .then(parseWeightsCSV)
+      .catch(() => null),
+  ]);
+  return { summary, weights };
+}
+
+function fmtValue(v) {
+  if (v === undefined) return "?";
+  if (typeof v === "number") return String(v);
+  return JSON.stringify(v);
+}
+
+export default function CompareRuns({ runIds, onRunIdsChange, history }) {
+  const [results, setResults] = useState({});
+  const [input, setInput] = useState("");
+  const requested = useRef(new Set());
+
+  useEffect(() => {
+    runIds
+      .filter((id) => !requested.current.has(id))
+      .forEach((id) => {
+        requested.current.add(id);
+        loadRun(id)
+          .then((r) => setResults((prev) => ({ ...prev, [id]: r })))
+          .catch((e) => setResults((prev) => ({ ...prev, [id]: { error: String(e?.message || e) } })));
+      });
+  }, [runIds]);
+
+  function addIds() {
+    const ids = input.split(/[\s,]+/).map((x) => x.trim()).filter(Boolean);
+    onRunIdsChange([...new Set([...runIds, ...ids])]);
+    setInput("");
+  }
+
+  function removeId(id) {
+    onRunIdsChange(runIds.filter((x) => x !== id));
+  }
+
+  function refresh() {
+    requested.current = new Set();
+    setResults({});
+    onRunIdsChange([...runIds]);
+  }
+
+  const entries = runIds.map((id) => history.find((e) => e.run_id === id));
+  const loaded = runIds.map((id) => results[id]);
+  const summaries = loaded.map((r) => r?.summary || null);
+  // Prefer the config we submitted; fall back to one echoed in summary.json.
+  const configs = runIds.map((_, i) => entries[i]?.config || summaries[i]?.config || null);
+  const diff = configDiff(configs);
+  const overlay = weightsOverlay(loaded.map((r) => r?.weights));
+  const maxWeight = Math.max(0.0001, ...overlay.flatMap((row) => row.weights.map((w) => Math.abs(w || 0))));
+
+  const label = (id, i) => (
+    <span className="inline-flex items-center gap-1.5">
+      <span className="w-2.5 h-2.5 rounded-full" style={{ background: RUN_COLORS[i % RUN_COLORS.length] }} />
+      <span className="font-mono" title={id}>
+        {id.length > 10 ? `${id.slice(0, 10)}…` : id}
+      </span>
+    </span>
+  );
+
+  return (
+    <section id="compare-runs" className="bg-white rounded-2xl shadow-sm border p-6 space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold text-slate-900">Compare runs</h2>
+        {runIds.length > 0 && (
+          <button
+            onClick={refresh}
+            className="px-4 py-2 rounded-xl bg-slate-600 text-white text-sm font-semibold hover:bg-slate-700 transition-colors"
+          >
+            Refresh
+          </button>
+        )}
+      </div>
+
+      <div className="flex flex-col sm:flex-row gap-2">
+        <input
+          className="flex-1 px-3 py-2 rounded-xl border bg-white text-sm text-slate-900"
+          placeholder="run_ids to compare (comma or space separated), or use Compare in Run history"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && addIds()}
+        />
+        <button
+          onClick={addIds}
+          disabled={!input.trim()}
+          className="px-4 py-2 rounded-xl bg-blue-600 text-white text-sm font-semibold hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          Add
+        </button>
+      </div>
+
+      {runIds.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {runIds.map((id, i) => (
+            <span key={id} className="inline-flex items-center gap-2 px-3 py-1 rounded-xl border bg-slate-50 text-sm text-slate-700">
+              {label(id, i)}
+              {entries[i]?.portfolio_name && <span className="text-slate-500">{entries[i].portfolio_name}</span>}
+              {!results[id] && <span className="text-slate-400">loading…</span>}
+              {results[id]?.error && <span className="text-red-600">{results[id].error}</span>}
+              <button onClick={() => removeId(id)} className="p-0 bg-transparent text-slate-500 hover:text-red-600">
+                ✕
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+
+      {runIds.length < 2 ? (
+        <div className="text-sm text-slate-500">Add at least two runs to compare them side by side.</div>
+      ) : (
+        <>
+          <div className="overflow-x-auto">
+            <div className="font-semibold text-slate-900 mb-2">Config differences</div>
+            {diff.length === 0 ? (
+              <div className="text-sm text-slate-500">All runs use the default config.</div>
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-slate-600 border-b">
+                    <th className="py-2 pr-3 font-normal">field</th>
+                    <th className="py-2 pr-3 font-normal">default</th>
+                    {runIds.map((id, i) => (
+                      <th key={id} className="py-2 pr-3 font-normal">
+                        {label(id, i)}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {diff.map((row) => (
+                    <tr key={row.key} className="border-b last:border-0">
+                      <td className="py-2 pr-3 text-slate-700">{row.key}</td>
+                      <td className="py-2 pr-3 text-slate-500">{fmtValue(row.defaultValue)}</td>
+                      {row.values.map((v, i) => (
+                        <td
+                          key={runIds[i]}
+                          className={`py-2 pr-3 ${
+                            v !== undefined && JSON.stringify(v) !== JSON.stringify(row.defaultValue)
+                              ? "font-semibold text-slate-900"
+                              : "text-slate-600"
+                          }`}
+                        >
+                          {fmtValue(v)}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {configs.some((c) => !c) && (
+              <div className="text-xs text-slate-500 mt-2">
+                ? = config unknown (run was not started from this browser).
+              </div>
+            )}
+          </div>
+
+          <div className="overflow-x-auto">
+            <div className="font-semibold text-slate-900 mb-2">Metrics</div>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-slate-600 border-b">
+                  <th className="py-2 pr-3 font-normal">metric</th>
+                  {runIds.map((id, i) => (
+                    <th key={id} className="py-2 pr-3 font-normal text-right">
+                      {label(id, i)}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {COMPARE_METRICS.map((m) => {
+                  const best = bestIndex(m, summaries);
+                  return (
+                    <tr key={m.key} className="border-b last:border-0">
+                      <td className="py-2 pr-3 text-slate-700">{m.label}</td>
+                      {summaries.map((s, i) => {
+                        const v = s ? Number(m.get(s)) : NaN;
+                        return (
+                          <td
+                            key={runIds[i]}
+                            className={`py-2 pr-3 text-right ${
+                              i === best ? "font-bold text-green-700" : "text-slate-900"
+                            }`}
+                          >
+                            {Number.isFinite(v) ? v.toFixed(m.digits) : "—"}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="space-y-2">
+            <div className="font-semibold text-slate-900">Optimized weights</div>
+            {overlay.length === 0 ? (
+              <div className="text-sm text-slate-500">No weights_opt.csv available for these runs.</div>
+            ) : (
+              <div className="space-y-3">
+                {overlay.map((row) => (
+                  <div key={row.asset} className="grid grid-cols-[7rem_1fr] gap-3 items-center">
+                    <div className="text-sm text-slate-700 truncate" title={row.asset}>
+                      {row.asset}
+                    </div>
+                    <div className="space-y-0.5">
+                      {row.weights.map((w, i) => (
+                        <div key={runIds[i]} className="flex items-center gap-2">
+                          <div
+                            className="h-2.5 rounded-full"
+                            style={{
+                              width: `${(Math.abs(w || 0) / maxWeight) * 100}%`,
+                              minWidth: w ? 2 : 0,
+                              background: RUN_COLORS[i % RUN_COLORS.length],
+                              opacity: w < 0 ? 0.5 : 1,
+                            }}
+                          />
+                          <span className="text-xs text-slate-600">
+                            {Number.isFinite(w) ? `${(w * 100).toFixed(1)}%` : "—"}
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
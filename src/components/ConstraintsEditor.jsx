@@ -0,0 +1,143 @@
+import { IssueList } from "./PortfolioPreview.jsx";
+import { EMPTY_CONSTRAINTS, groupNames } from "../lib/constraints.js";
+
+function BoundInput({ value, onChange, placeholder, invalid }) {
+  return (
+    <input
+      type="number"
+      step="0.01"
+      value={value ?? ""}
+      onChange={(e) => onChange(e.target.value)}
+      placeholder={placeholder}
+      className={`w-24 px-2 py-1 rounded-lg border bg-white text-slate-900 ${invalid ? "border-red-400" : ""}`}
+    />
+  );
+}
+
+// Per-asset min/max and group tags for the tickers of the active portfolio,
+// plus limits per group. Blank bounds fall back to the global ones.
+export default function ConstraintsEditor({ tickers, constraints, onChange, issues, config }) {
+  const groups = groupNames(constraints, tickers);
+  const longOnly = config.long_only !== false;
+  const defaultMin = longOnly ? "0" : `-${config.w_max}`;
+
+  function setAsset(ticker, patch) {
+    onChange({
+      ...constraints,
+      assets: { ...constraints.assets, [ticker]: { min: "", max: "", group: "", ...constraints.assets[ticker], ...patch } },
+    });
+  }
+
+  function setGroup(name, patch) {
+    onChange({ ...constraints, groups: { ...constraints.groups, [name]: { min: "", max: "", ...constraints.groups[name], ...patch } } });
+  }
+
+  const hasAny = tickers.some((t) => {
+    const a = constraints.assets[t];
+    return a && (a.min !== "" || a.max !== "" || a.group);
+  });
+  const flagged = (key) => new Set(issues.filter((x) => x.level === "error" && x[key]).map((x) => x[key]));
+  const badTickers = flagged("ticker");
+  const badGroups = flagged("group");
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center gap-3">
+        <div className="text-xs text-slate-600">
+          Blank min/max use the global bounds ({defaultMin} to w_max {config.w_max}). Tag assets with the same group name
+          to limit their combined weight.
+        </div>
+        {hasAny && (
+          <button
+            onClick={() => onChange(EMPTY_CONSTRAINTS)}
+            className="ml-auto px-3 py-1.5 rounded-xl border bg-white text-xs text-slate-700 hover:bg-slate-50"
+          >
+            Clear
+          </button>
+        )}
+      </div>
+
+      <datalist id="constraint-groups">
+        {groups.map((g) => (
+          <option key={g} value={g} />
+        ))}
+      </datalist>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-slate-600 border-b">
+              <th className="py-2 pr-3 font-normal">asset</th>
+              <th className="py-2 pr-3 font-normal">min</th>
+              <th className="py-2 pr-3 font-normal">max</th>
+              <th className="py-2 pr-3 font-normal">group</th>
+            </tr>
+          </thead>
+          <tbody>
+            {tickers.map((t) => {
+              const a = constraints.assets[t] || {};
+              return (
+                <tr key={t} className="border-b last:border-0">
+                  <td className={`py-1.5 pr-3 ${badTickers.has(t) ? "text-red-600" : "text-slate-900"}`}>{t}</td>
+                  <td className="py-1.5 pr-3">
+                    <BoundInput value={a.min} onChange={(v) => setAsset(t, { min: v })} placeholder={defaultMin} invalid={badTickers.has(t)} />
+                  </td>
+                  <td className="py-1.5 pr-3">
+                    <BoundInput value={a.max} onChange={(v) => setAsset(t, { max: v })} placeholder={String(config.w_max)} invalid={badTickers.has(t)} />
+                  </td>
+                  <td className="py-1.5 pr-3">
+                    <input
+                      list="constraint-groups"
+                      value={a.group || ""}
+                      onChange={(e) => setAsset(t, { group: e.target.value })}
+                      placeholder="e.g. equities"
+                      className="w-36 px-2 py-1 rounded-lg border bg-white text-slate-900"
+                    />
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {groups.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-slate-600 border-b">
+                <th className="py-2 pr-3 font-normal">group</th>
+                <th className="py-2 pr-3 font-normal">assets</th>
+                <th className="py-2 pr-3 font-normal">min total</th>
+                <th className="py-2 pr-3 font-normal">max total</th>
+              </tr>
+            </thead>
+            <tbody>
+              {groups.map((name) => {
+                const g = constraints.groups[name] || {};
+                return (
+                  <tr key={name} className="border-b last:border-0">
+                    <td className={`py-1.5 pr-3 font-semibold ${badGroups.has(name) ? "text-red-600" : "text-slate-900"}`}>
+                      {name}
+                    </td>
+                    <td className="py-1.5 pr-3 text-xs text-slate-600">
+                      {tickers.filter((t) => constraints.assets[t]?.group?.trim() === name).join(", ")}
+                    </td>
+                    <td className="py-1.5 pr-3">
+                      <BoundInput value={g.min} onChange={(v) => setGroup(name, { min: v })} placeholder="none" invalid={badGroups.has(name)} />
+                    </td>
+                    <td className="py-1.5 pr-3">
+                      <BoundInput value={g.max} onChange={(v) => setGroup(name, { max: v })} placeholder="none" invalid={badGroups.has(name)} />
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <IssueList issues={issues} />
+    </div>
+  );
+}
@@ -0,0 +1,214 @@
+import { useEffect, useMemo, useState } from "react";
+import { fmtTick } from "./charts/axis.js";
+import Sparkline from "./charts/Sparkline.jsx";
+import { loadArtifact } from "../lib/artifacts.js";
+import { parseCSV, rowsToCSV } from "../lib/csv.js";
+import { columnStats, describeColumns, parseFilter, sparklinePoints, viewRows } from "../lib/csvView.js";
+import { downloadTextFile } from "../lib/download.js";
+
+const ROW_H = 28;
+const VIEW_H = 420;
+const OVERSCAN = 10;
+
+function num(v) {
+  return Number.isFinite(v) ? fmtTick(v) : "—";
+}
+
+// Table view of one CSV artifact. Only the rows in view are rendered, so long
+// return series stay responsive. Sort by clicking a header; filters accept
+// text, or conditions like ">0.01" and "0..1" on numeric columns. Stats,
+// copy and export apply to the filtered rows.
+export default function CsvViewer({ runUrlBase, files, path, onClose }) {
+  const [table, setTable] = useState(null);
+  const [error, setError] = useState("");
+  const [sort, setSort] = useState(null);
+  const [filters, setFilters] = useState({});
+  const [scrollTop, setScrollTop] = useState(0);
+  const [copyState, setCopyState] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    loadArtifact(runUrlBase, files, path)
+      .then((text) => {
+        if (cancelled) return;
+        if (text == null) setError(`${path} is not available.`);
+        else setTable(parseCSV(text));
+      })
+      .catch((e) => !cancelled && setError(String(e?.message || e)));
+    return () => {
+      cancelled = true;
+    };
+  }, [runUrlBase, files, path]);
+
+  const columnInfo = useMemo(() => (table ? describeColumns(table.columns, table.rows) : []), [table]);
+  const filterErrors = Object.fromEntries(
+    Object.entries(filters)
+      .map(([c, text]) => [c, parseFilter(text, columnInfo[c]?.numeric).error])
+      .filter(([, err]) => err)
+  );
+  const shown = useMemo(
+    () => (table ? viewRows(table.rows, columnInfo, filters, sort) : []),
+    [table, columnInfo, filters, sort]
+  );
+  const stats = useMemo(
+    () =>
+      columnInfo
+        .filter((c) => c.numeric)
+        .map((c) => {
+          const values = shown.map((i) => table.rows[i][c.index]);
+          return { ...c, ...columnStats(values), spark: sparklinePoints(values) };
+        }),
+    [columnInfo, shown, table]
+  );
+
+  if (error) return <div className="text-sm text-red-600">{error}</div>;
+  if (!table) return <div className="text-sm text-slate-500">Loading {path}…</div>;
+
+  const selection = () => shown.map((i) => table.rows[i]);
+  const first = Math.max(0, Math.floor(scrollTop / ROW_H) - OVERSCAN);
+  const last = Math.min(shown.length, Math.ceil((scrollTop + VIEW_H) / ROW_H) + OVERSCAN);
+  const baseName = path.split("/").pop().replace(/\.csv$/i, "");
+
+  function toggleSort(col) {
+    setSort((s) => (s?.col !== col ? { col, dir: 1 } : s.dir === 1 ? { col, dir: -1 } : null));
+  }
+
+  async function copySelection() {
+    const tsv = [table.columns, ...selection()].map((r) => r.join("\t")).join("\n");
+    try {
+      await navigator.clipboard.writeText(tsv);
+      setCopyState("Copied!");
+    } catch {
+      setCopyState("Copy failed");
+    }
+    setTimeout(() => setCopyState(""), 1500);
+  }
+
+  return (
+    <div className="space-y-3 border rounded-xl p-4 bg-slate-50">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <div className="font-semibold text-slate-900 mr-auto">{path}</div>
+        <span className="text-xs text-slate-600">
+          {shown.length === table.rows.length
+            ? `${table.rows.length} rows`
+            : `${shown.length} of ${table.rows.length} rows`}
+        </span>
+        {Object.values(filters).some((f) => f) && (
+          <button
+            onClick={() => setFilters({})}
+            className="px-3 py-1.5 rounded-xl border bg-white text-xs text-slate-700 hover:bg-slate-50"
+          >
+            Clear filters
+          </button>
+        )}
+        <button
+          onClick={copySelection}
+          disabled={!shown.length}
+          className="px-3 py-1.5 rounded-xl border bg-white text-xs text-slate-700 hover:bg-slate-50 disabled:opacity-50"
+        >
+          {copyState || "Copy rows"}
+        </button>
+        <button
+          onClick={() => downloadTextFile(`${baseName}_filtered.csv`, rowsToCSV(table.columns, selection()))}
+          disabled={!shown.length}
+          className="px-3 py-1.5 rounded-xl border bg-white text-xs text-slate-700 hover:bg-slate-50 disabled:opacity-50"
+        >
+          Export CSV
+        </button>
+        <button onClick={onClose} className="px-3 py-1.5 rounded-xl border bg-white text-xs text-slate-700 hover:bg-slate-50">
+          Close
+        </button>
+      </div>
+
+      <div
+        className="overflow-auto bg-white rounded-xl border"
+        style={{ height: Math.min(VIEW_H, (shown.length + 2) * ROW_H + 12) }}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      >
+        <table className="w-full text-xs">
+          <thead className="sticky top-0 bg-white z-10">
+            <tr className="text-left text-slate-600 border-b">
+              {columnInfo.map((c) => (
+                <th
+                  key={c.index}
+                  onClick={() => toggleSort(c.index)}
+                  className={`px-2 py-1.5 font-semibold cursor-pointer select-none whitespace-nowrap ${c.numeric ? "text-right" : ""}`}
+                >
+                  {c.name}
+                  {sort?.col === c.index ? (sort.dir === 1 ? " ▲" : " ▼") : ""}
+                </th>
+              ))}
+            </tr>
+            <tr className="border-b">
+              {columnInfo.map((c) => (
+                <th key={c.index} className="px-1 py-1 font-normal">
+                  <input
+                    value={filters[c.index] || ""}
+                    onChange={(e) => setFilters((f) => ({ ...f, [c.index]: e.target.value }))}
+                    placeholder={c.numeric ? ">0, 0..1" : "contains"}
+                    title={filterErrors[c.index] || ""}
+                    className={`w-full min-w-16 px-2 py-0.5 rounded-lg border bg-white text-slate-900 ${
+                      filterErrors[c.index] ? "border-red-400" : ""
+                    }`}
+                  />
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {first > 0 && <tr style={{ height: first * ROW_H }} />}
+            {shown.slice(first, last).map((i) => (
+              <tr key={i} className="border-b last:border-0" style={{ height: ROW_H }}>
+                {columnInfo.map((c) => (
+                  <td key={c.index} className={`px-2 whitespace-nowrap text-slate-900 ${c.numeric ? "text-right tabular-nums" : ""}`}>
+                    {table.rows[i][c.index]}
+                  </td>
+                ))}
+              </tr>
+            ))}
+            {last < shown.length && <tr style={{ height: (shown.length - last) * ROW_H }} />}
+          </tbody>
+        </table>
+        {!shown.length && <div className="p-3 text-sm text-slate-500">No rows match the filters.</div>}
+      </div>
+      {Object.values(filterErrors).map((err) => (
+        <div key={err} className="text-xs text-red-600">
+          {err}
+        </div>
+      ))}
+
+      {stats.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-left text-slate-600 border-b">
+                {["column", "count", "missing", "min", "max", "mean", "median", "std", ""].map((h) => (
+                  <th key={h} className="py-1.5 pr-3 font-normal">
+                    {h}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {stats.map((s) => (
+                <tr key={s.index} className="border-b last:border-0">
+                  <td className="py-1 pr-3 font-semibold text-slate-900">{s.name}</td>
+                  <td className="py-1 pr-3 tabular-nums">{s.count}</td>
+                  <td className="py-1 pr-3 tabular-nums">{s.missing}</td>
+                  <td className="py-1 pr-3 tabular-nums">{num(s.min)}</td>
+                  <td className="py-1 pr-3 tabular-nums">{num(s.max)}</td>
+                  <td className="py-1 pr-3 tabular-nums">{num(s.mean)}</td>
+                  <td className="py-1 pr-3 tabular-nums">{num(s.median)}</td>
+                  <td className="py-1 pr-3 tabular-nums">{num(s.std)}</td>
+                  <td className="py-1">
+                    <Sparkline values={s.spark} />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
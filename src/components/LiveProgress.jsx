@@ -0,0 +1,47 @@
+import LineChart from "./charts/LineChart.jsx";
+import { runProgress } from "../lib/runTracker.js";
+
+function num(v, digits = 6) {
+  return Number.isFinite(v) ? Number(v).toFixed(digits) : "—";
+}
+
+// Progress bar for an in-flight run plus, when the backend streams annealing
+// progress, the objective converging live. `trace` holds the streamed
+// progress events; without it the bar falls back to the polled status and is
+// indeterminate when that carries no progress either.
+export default function LiveProgress({ status, trace }) {
+  const latest = trace[trace.length - 1];
+  const progress = runProgress(latest ? { progress: latest } : status);
+  const fraction = progress?.fraction;
+  const hasObjective = trace.some((p) => Number.isFinite(p.objective));
+  const hasBest = trace.some((p) => Number.isFinite(p.best_objective));
+
+  return (
+    <div className="space-y-3">
+      <div className="space-y-1">
+        <div className="h-2 rounded-full bg-slate-100 overflow-hidden">
+          <div
+            className={`h-full bg-blue-600 transition-all ${fraction == null ? "w-1/3 animate-pulse" : ""}`}
+            style={fraction == null ? undefined : { width: `${fraction * 100}%` }}
+          />
+        </div>
+        <div className="flex flex-wrap gap-x-4 text-xs text-slate-500">
+          <span>{progress?.label || status?.status || "submitting"}</span>
+          {latest && Number.isFinite(latest.temperature) && <span>temperature {num(latest.temperature, 4)}</span>}
+          {latest && Number.isFinite(latest.best_objective) && <span>best objective {num(latest.best_objective)}</span>}
+        </div>
+      </div>
+
+      {trace.length > 1 && (hasObjective || hasBest) && (
+        <LineChart
+          title="Objective (live)"
+          labels={trace.map((p) => String(p.iteration))}
+          series={[
+            ...(hasBest ? [{ name: "best", values: trace.map((p) => Number(p.best_objective)) }] : []),
+            ...(hasObjective ? [{ name: "current", values: trace.map((p) => Number(p.objective)) }] : []),
+          ]}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,146 @@
+import { IssueList } from "./PortfolioPreview.jsx";
+import { MARKET_KINDS } from "../lib/localEngine.js";
+import { summaryWeights } from "../lib/summary.js";
+
+function fmt(v, digits = 4) {
+  return Number.isFinite(v) ? v.toFixed(digits) : "—";
+}
+
+const CHECK_METRICS = [
+  { label: "Train CVaR", get: (s) => Number(s?.train?.cvar), digits: 4 },
+  { label: "Test CVaR", get: (s) => Number(s?.test?.cvar), digits: 4 },
+  { label: "Test Mean", get: (s) => Number(s?.test?.mean), digits: 6 },
+  { label: "Turnover", get: (s) => Number(s?.turnover), digits: 4 },
+];
+
+// Market data for the in-browser engine: the upload, how to read it and
+// what was found.
+export default function LocalEnginePanel({ fileName, kind, onKindChange, onFile, market, issues }) {
+  const data = market?.data;
+  return (
+    <div className="space-y-3 bg-slate-50 border rounded-xl p-3 text-sm text-slate-700">
+      <div>
+        Runs the same simulated annealing in this browser, on your own daily prices or returns: a <code>date</code>{" "}
+        column and one column per ticker in the portfolio. It uses the last <code>lookback_days</code> before the
+        portfolio date and every config field. Sweeps, robustness checks, rebalance backtests and memos still need
+        the backend.
+      </div>
+      <div className="flex flex-wrap items-center gap-3">
+        <input
+          type="file"
+          accept=".csv"
+          onChange={(e) => onFile(e.target.files?.[0] || null)}
+          className="text-sm text-slate-600 file:mr-4 file:py-2 file:px-4 file:rounded-xl file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100 file:transition-colors"
+        />
+        <label className="flex items-center gap-2">
+          values are
+          <select
+            value={kind}
+            onChange={(e) => onKindChange(e.target.value)}
+            className="px-2 py-1 rounded-lg border bg-white text-slate-900"
+          >
+            {MARKET_KINDS.map((k) => (
+              <option key={k.value} value={k.value}>
+                {k.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      {data && (
+        <div className="text-xs text-slate-600">
+          {fileName}: {data.tickers.length} tickers, {data.rows.length} days of returns ({data.dates[0]} –{" "}
+          {data.dates[data.dates.length - 1]}), read as {market.kind}.
+        </div>
+      )}
+      <IssueList issues={[...(market?.issues || []), ...issues]} />
+    </div>
+  );
+}
+
+// Re-runs the open run's portfolio and config on the other engine (backend
+// for a local run, local for a backend run) and lines the results up.
+export function CrossCheck({ local, available, reason, check, summary, onStart, onCompare }) {
+  const running = check?.status === "submitting" || check?.status === "running";
+  const other = check?.summary;
+  const mine = summaryWeights(summary) || {};
+  const theirs = summaryWeights(other) || {};
+  const gaps = [...new Set([...Object.keys(mine), ...Object.keys(theirs)])]
+    .map((asset) => ({ asset, gap: Math.abs((mine[asset] ?? 0) - (theirs[asset] ?? 0)) }))
+    .sort((a, b) => b.gap - a.gap);
+  const thisLabel = local ? "local" : "backend";
+  const otherLabel = local ? "backend" : "local";
+
+  return (
+    <div className="border rounded-2xl p-4 bg-slate-50 space-y-3">
+      <div className="flex flex-wrap items-center gap-3">
+        <div className="font-semibold text-slate-900">Cross-check</div>
+        <div className="text-sm text-slate-600">
+          {local ? "Computed in this browser by the local engine." : "Computed by the backend."}
+        </div>
+        <button
+          onClick={onStart}
+          disabled={!available || running}
+          className="ml-auto px-4 py-2 rounded-xl bg-blue-600 text-white text-sm hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          {running ? "Checking..." : local ? "Run on the backend" : "Run in the browser"}
+        </button>
+      </div>
+      {!available && reason && <div className="text-xs text-slate-500">{reason}</div>}
+      {check && (
+        <div className="text-sm text-slate-600">
+          {otherLabel} run: <span className="font-semibold">{check.status}</span>
+          {check.run_id && <span className="ml-2 text-xs text-slate-500 font-mono">{check.run_id}</span>}
+          {check.error && <div className="text-red-600">{check.error}</div>}
+        </div>
+      )}
+
+      {other && summary && (
+        <>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-slate-600 border-b">
+                  <th className="py-2 pr-3 font-normal">metric</th>
+                  <th className="py-2 pr-3 font-normal text-right">{thisLabel}</th>
+                  <th className="py-2 pr-3 font-normal text-right">{otherLabel}</th>
+                  <th className="py-2 pr-3 font-normal text-right">difference</th>
+                </tr>
+              </thead>
+              <tbody>
+                {CHECK_METRICS.map((m) => (
+                  <tr key={m.label} className="border-b last:border-0">
+                    <td className="py-1.5 pr-3 text-slate-900">{m.label}</td>
+                    <td className="py-1.5 pr-3 text-right text-slate-700">{fmt(m.get(summary), m.digits)}</td>
+                    <td className="py-1.5 pr-3 text-right text-slate-700">{fmt(m.get(other), m.digits)}</td>
+                    <td className="py-1.5 pr-3 text-right text-slate-900">
+                      {fmt(m.get(other) - m.get(summary), m.digits)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {gaps.length > 0 && (
+            <div className="text-sm text-slate-700">
+              Largest weight difference: <span className="font-semibold">{(gaps[0].gap * 100).toFixed(2)}%</span> (
+              {gaps[0].asset}).
+            </div>
+          )}
+          <div className="flex flex-wrap items-center gap-3">
+            <div className="text-xs text-slate-500">
+              Same portfolio, config and seed, but the engines draw different random moves and may not see the same
+              return history, so expect close rather than identical numbers.
+            </div>
+            <button
+              onClick={onCompare}
+              className="ml-auto px-4 py-2 rounded-xl border bg-white text-sm text-slate-700 hover:bg-slate-50 transition-colors"
+            >
+              Open in Compare runs
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
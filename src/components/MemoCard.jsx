@@ -0,0 +1,202 @@
+import { useState } from "react";
+import { downloadTextFile } from "../lib/download.js";
+import { memoSections, memoToMarkdown } from "../lib/memo.js";
+
+const OTHER = "__other__";
+
+// Model choice from a list, with "Other…" for a free-text model name. "" is
+// the backend's default model.
+export function ModelPicker({ models, value, onChange, disabled = false, className = "" }) {
+  const [otherChosen, setOtherChosen] = useState(false);
+  const custom = otherChosen || (Boolean(value) && !models.includes(value));
+  return (
+    <span className={`inline-flex gap-2 ${className}`}>
+      <select
+        value={custom ? OTHER : value}
+        onChange={(e) => {
+          const isOther = e.target.value === OTHER;
+          setOtherChosen(isOther);
+          onChange(isOther ? "" : e.target.value);
+        }}
+        disabled={disabled}
+        className="px-3 py-2 rounded-xl border bg-white text-sm text-slate-900 disabled:bg-slate-100 disabled:text-slate-500"
+      >
+        <option value="">Default model</option>
+        {models.map((m) => (
+          <option key={m} value={m}>
+            {m}
+          </option>
+        ))}
+        <option value={OTHER}>Other…</option>
+      </select>
+      {custom && (
+        <input
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          disabled={disabled}
+          placeholder="model name"
+          className="w-40 px-3 py-2 rounded-xl border bg-white text-sm text-slate-900 disabled:bg-slate-100"
+        />
+      )}
+    </span>
+  );
+}
+
+function MemoBody({ memo }) {
+  const sections = memoSections(memo);
+  if (!sections.length) return <div className="text-sm text-slate-500">This memo has no content.</div>;
+  return (
+    <div className="space-y-4">
+      {sections.map((s) => {
+        const warn = s.key === "limitations";
+        if (s.key === "headline") {
+          return (
+            <div key={s.key} className="bg-white rounded-xl p-4 border border-blue-200">
+              <div className="text-base font-semibold text-blue-900">{s.text ?? s.items.join(" ")}</div>
+            </div>
+          );
+        }
+        return (
+          <div key={s.key} className={`bg-white rounded-xl p-4 border ${warn ? "border-yellow-200" : "border-blue-200"}`}>
+            <div className={`text-sm font-bold text-slate-900 ${s.kind === "list" ? "mb-3" : "mb-2"}`}>{s.title}</div>
+            {s.kind === "list" ? (
+              <ul className="space-y-2">
+                {s.items.map((item, idx) => (
+                  <li key={idx} className="text-sm text-slate-700 flex gap-2">
+                    <span className={`font-bold ${warn ? "text-yellow-600" : "text-blue-600"}`}>•</span>
+                    <span>{item}</span>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-sm text-slate-700 leading-relaxed whitespace-pre-line">{s.text}</p>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+function versionLabel(v, i) {
+  return `v${i + 1} · ${v.model || "default model"} · ${new Date(v.created_at).toLocaleString()}`;
+}
+
+// The run's "Quant Risk Assistant" memo: every stored version, generate or
+// regenerate with a chosen model, side-by-side comparison of two versions,
+// and Markdown copy/export. Memo errors are shown here, not in the run log.
+export default function MemoCard({ runId, versions, selectedId, onSelect, models, onGenerate, generating, error }) {
+  const [model, setModel] = useState(versions[versions.length - 1]?.model || "");
+  const [compareId, setCompareId] = useState("");
+  const [copyState, setCopyState] = useState("");
+
+  // Newest version unless another one was picked.
+  const picked = versions.findIndex((v) => v.id === selectedId);
+  const index = picked === -1 ? versions.length - 1 : picked;
+  const current = versions[index] || null;
+  const compareIndex = versions.findIndex((v) => v.id === compareId && v.id !== current?.id);
+  const markdown = current
+    ? memoToMarkdown(current.memo, { runId, model: current.model, createdAt: current.created_at })
+    : "";
+
+  async function copy() {
+    try {
+      await navigator.clipboard.writeText(markdown);
+      setCopyState("Copied!");
+    } catch {
+      setCopyState("Copy failed");
+    }
+    setTimeout(() => setCopyState(""), 1500);
+  }
+
+  return (
+    <div className="bg-gradient-to-br from-blue-50 to-indigo-50 border border-blue-200 rounded-2xl p-6 space-y-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="text-2xl">📊</div>
+        <h3 className="text-xl font-bold text-slate-900 mr-auto">Quant Risk Assistant</h3>
+        <ModelPicker models={models} value={model} onChange={setModel} disabled={generating} />
+        <button
+          onClick={() => onGenerate(model.trim())}
+          disabled={generating}
+          className="px-3 py-2 rounded-xl bg-blue-600 text-white text-sm hover:bg-blue-700 disabled:opacity-50"
+        >
+          {generating ? "Generating…" : versions.length ? "Regenerate" : "Generate memo"}
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-xl p-3 text-sm text-red-700">{error}</div>
+      )}
+
+      {current ? (
+        <>
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            {versions.length > 1 && (
+              <>
+                <select
+                  value={current.id}
+                  onChange={(e) => onSelect(e.target.value)}
+                  className="px-3 py-1.5 rounded-xl border bg-white text-slate-900"
+                >
+                  {versions.map((v, i) => (
+                    <option key={v.id} value={v.id}>
+                      {versionLabel(v, i)}
+                    </option>
+                  ))}
+                </select>
+                <select
+                  value={compareIndex === -1 ? "" : compareId}
+                  onChange={(e) => setCompareId(e.target.value)}
+                  className="px-3 py-1.5 rounded-xl border bg-white text-slate-900"
+                >
+                  <option value="">Compare with…</option>
+                  {versions.map((v, i) =>
+                    v.id === current.id ? null : (
+                      <option key={v.id} value={v.id}>
+                        {versionLabel(v, i)}
+                      </option>
+                    )
+                  )}
+                </select>
+              </>
+            )}
+            <span className="ml-auto" />
+            <button onClick={copy} className="px-3 py-1.5 rounded-xl border bg-white text-xs text-slate-700 hover:bg-slate-50">
+              {copyState || "Copy Markdown"}
+            </button>
+            <button
+              onClick={() => downloadTextFile(`cvar_memo_${runId}_v${index + 1}.md`, markdown, "text/markdown;charset=utf-8")}
+              className="px-3 py-1.5 rounded-xl border bg-white text-xs text-slate-700 hover:bg-slate-50"
+            >
+              Export .md
+            </button>
+          </div>
+
+          {compareIndex === -1 ? (
+            <MemoBody memo={current.memo} />
+          ) : (
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+              {[
+                [current, index],
+                [versions[compareIndex], compareIndex],
+              ].map(([v, i]) => (
+                <div key={v.id} className="space-y-2">
+                  <div className="text-xs font-semibold text-slate-600">{versionLabel(v, i)}</div>
+                  <MemoBody memo={v.memo} />
+                </div>
+              ))}
+            </div>
+          )}
+
+          {current.model && <div className="text-xs text-slate-500 text-right pt-2">Generated by: {current.model}</div>}
+        </>
+      ) : (
+        !generating && (
+          <div className="text-sm text-slate-600">
+            No memo for this run yet. Pick a model and generate one (costs tokens).
+          </div>
+        )
+      )}
+    </div>
+  );
+}
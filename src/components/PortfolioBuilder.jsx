@@ -0,0 +1,123 @@
+import { IssueList } from "./PortfolioPreview.jsx";
+import { SUM_TOLERANCE, normalizeWeights, weightValue, weightsTotal } from "../lib/portfolioCsv.js";
+
+// Portfolio editor for building a portfolio.csv from scratch: add/remove rows,
+// weights by input or slider, and a running total against 1.0.
+export default function PortfolioBuilder({ portfolio, issues, longOnly, onChange, onDownload }) {
+  const total = weightsTotal(portfolio.assets);
+  const remaining = 1 - total;
+  const rowIssues = (i) => issues.filter((x) => x.row === i);
+  const dateIssues = issues.filter((x) => x.field === "date");
+  const generalIssues = issues.filter((x) => x.row === undefined && x.field !== "date");
+
+  function setAssets(assets) {
+    onChange({ ...portfolio, assets });
+  }
+
+  function updateAsset(i, key, value) {
+    setAssets(portfolio.assets.map((a, j) => (j === i ? { ...a, [key]: value } : a)));
+  }
+
+  function equalWeights() {
+    setAssets(normalizeWeights(portfolio.assets.map((a) => ({ ...a, weight: "1" }))));
+  }
+
+  return (
+    <div className="border rounded-2xl p-4 bg-slate-50 space-y-3">
+      <div className="space-y-1">
+        <label className="text-xs text-slate-700">start date</label>
+        <input
+          type="date"
+          value={portfolio.date}
+          onChange={(e) => onChange({ ...portfolio, date: e.target.value })}
+          className="block px-3 py-2 rounded-xl border bg-white text-sm text-slate-900"
+        />
+      </div>
+      <IssueList issues={dateIssues} />
+
+      <div className="space-y-2">
+        {portfolio.assets.map((a, i) => {
+          const rIssues = rowIssues(i);
+          const w = weightValue(a.weight);
+          const bad = (field) => rIssues.some((x) => x.field === field && x.level === "error");
+          return (
+            <div key={i} className="space-y-1">
+              <div className="flex flex-wrap sm:flex-nowrap items-center gap-2">
+                <input
+                  placeholder="ticker, e.g. SPY.US"
+                  value={a.ticker}
+                  onChange={(e) => updateAsset(i, "ticker", e.target.value.toUpperCase())}
+                  className={`w-full sm:w-40 px-3 py-1.5 rounded-xl border bg-white text-sm text-slate-900 ${bad("ticker") ? "border-red-400" : ""}`}
+                />
+                <input
+                  type="range"
+                  min={longOnly ? 0 : -1}
+                  max="1"
+                  step="0.01"
+                  value={Number.isFinite(w) ? w : 0}
+                  onChange={(e) => updateAsset(i, "weight", e.target.value)}
+                  className="flex-1 accent-blue-600"
+                />
+                <input
+                  type="number"
+                  step="0.01"
+                  value={a.weight}
+                  onChange={(e) => updateAsset(i, "weight", e.target.value)}
+                  className={`w-24 px-3 py-1.5 rounded-xl border bg-white text-sm text-slate-900 ${bad("weight") ? "border-red-400" : ""}`}
+                />
+                <button
+                  onClick={() => setAssets(portfolio.assets.filter((_, j) => j !== i))}
+                  title="Remove asset"
+                  className="px-3 py-1.5 rounded-xl bg-white border text-sm text-slate-600 hover:text-red-600 transition-colors"
+                >
+                  ✕
+                </button>
+              </div>
+              <IssueList issues={rIssues} />
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={() => setAssets([...portfolio.assets, { ticker: "", weight: "" }])}
+          className="px-4 py-2 rounded-xl bg-blue-600 text-white text-sm hover:bg-blue-700 transition-colors"
+        >
+          + Add asset
+        </button>
+        <button
+          onClick={equalWeights}
+          disabled={!portfolio.assets.length}
+          className="px-4 py-2 rounded-xl bg-slate-600 text-white text-sm hover:bg-slate-700 disabled:opacity-50 transition-colors"
+        >
+          Equal weights
+        </button>
+        <button
+          onClick={() => setAssets(normalizeWeights(portfolio.assets))}
+          disabled={!portfolio.assets.length}
+          className="px-4 py-2 rounded-xl bg-slate-600 text-white text-sm hover:bg-slate-700 disabled:opacity-50 transition-colors"
+        >
+          Normalize to 1.0
+        </button>
+        <button
+          onClick={onDownload}
+          className="px-4 py-2 rounded-xl bg-slate-600 text-white text-sm hover:bg-slate-700 transition-colors"
+        >
+          Download CSV
+        </button>
+        <div
+          className={`sm:ml-auto text-sm font-semibold ${
+            Math.abs(remaining) > SUM_TOLERANCE ? "text-red-600" : "text-green-700"
+          }`}
+        >
+          Total {total.toFixed(4)}
+          {Math.abs(remaining) > SUM_TOLERANCE &&
+            (remaining > 0 ? ` (${remaining.toFixed(4)} left)` : ` (${(-remaining).toFixed(4)} over)`)}
+        </div>
+      </div>
+
+      <IssueList issues={generalIssues} />
+    </div>
+  );
+}
@@ -0,0 +1,111 @@
+import { SUM_TOLERANCE, normalizeWeights, weightsTotal } from "../lib/portfolioCsv.js";
+
+// Editable view of the parsed portfolio.csv with the validation results inline.
+export default function PortfolioPreview({ portfolio, issues, onChange }) {
+  const total = weightsTotal(portfolio.assets);
+  const rowIssues = (i) => issues.filter((x) => x.row === i);
+  const dateIssues = issues.filter((x) => x.field === "date");
+  const generalIssues = issues.filter((x) => x.row === undefined && x.field !== "date");
+  const errorCount = issues.filter((x) => x.level === "error").length;
+
+  function updateAsset(i, key, value) {
+    onChange({
+      ...portfolio,
+      assets: portfolio.assets.map((a, j) => (j === i ? { ...a, [key]: value } : a)),
+    });
+  }
+
+  return (
+    <div className="border rounded-2xl p-4 bg-slate-50 space-y-3">
+      <div className="flex flex-wrap items-end gap-3">
+        <div className="space-y-1">
+          <label className="text-xs text-slate-700">start date</label>
+          <input
+            type="date"
+            value={portfolio.date}
+            onChange={(e) => onChange({ ...portfolio, date: e.target.value })}
+            className="block px-3 py-2 rounded-xl border bg-white text-sm text-slate-900"
+          />
+        </div>
+        <button
+          onClick={() => onChange({ ...portfolio, assets: normalizeWeights(portfolio.assets) })}
+          className="sm:ml-auto px-4 py-2 rounded-xl bg-slate-600 text-white text-sm hover:bg-slate-700 transition-colors"
+        >
+          Normalize to 1.0
+        </button>
+      </div>
+      <IssueList issues={dateIssues} />
+
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-xs text-slate-600">
+            <th className="py-1 pr-3 font-normal">ticker</th>
+            <th className="py-1 pr-3 font-normal">weight</th>
+            <th className="py-1 font-normal"></th>
+          </tr>
+        </thead>
+        <tbody>
+          {portfolio.assets.map((a, i) => {
+            const rIssues = rowIssues(i);
+            const bad = (field) => rIssues.some((x) => x.field === field && x.level === "error");
+            return (
+              <tr key={i} className="align-top">
+                <td className="py-1 pr-3">
+                  <input
+                    value={a.ticker}
+                    onChange={(e) => updateAsset(i, "ticker", e.target.value)}
+                    className={`w-full px-3 py-1.5 rounded-xl border bg-white text-slate-900 ${bad("ticker") ? "border-red-400" : ""}`}
+                  />
+                </td>
+                <td className="py-1 pr-3 w-36">
+                  <input
+                    type="number"
+                    step="0.01"
+                    value={a.weight}
+                    onChange={(e) => updateAsset(i, "weight", e.target.value)}
+                    className={`w-full px-3 py-1.5 rounded-xl border bg-white text-slate-900 ${bad("weight") ? "border-red-400" : ""}`}
+                  />
+                </td>
+                <td className="py-1">
+                  <IssueList issues={rIssues} />
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+        <tfoot>
+          <tr className="border-t">
+            <td className="py-2 pr-3 text-slate-600">Total ({portfolio.assets.length} assets)</td>
+            <td
+              className={`py-2 pr-3 font-semibold ${
+                Math.abs(total - 1) > SUM_TOLERANCE ? "text-red-600" : "text-slate-900"
+              }`}
+            >
+              {total.toFixed(4)}
+            </td>
+            <td />
+          </tr>
+        </tfoot>
+      </table>
+
+      <IssueList issues={generalIssues} />
+
+      <div className={`text-sm ${errorCount ? "text-red-600" : "text-green-700"}`}>
+        {errorCount ? `${errorCount} error(s) must be fixed before running.` : "✓ Portfolio is valid."}
+      </div>
+    </div>
+  );
+}
+
+export function IssueList({ issues }) {
+  if (!issues.length) return null;
+  return (
+    <ul className="space-y-1">
+      {issues.map((x, i) => (
+        <li key={i} className={`text-xs ${x.level === "error" ? "text-red-600" : "text-amber-700"}`}>
+          {x.level === "error" ? "✕" : "!"} {x.message}
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,166 @@
+import { useState } from "react";
+import { IssueList } from "./PortfolioPreview.jsx";
+import { parsePresetFile } from "../lib/presets.js";
+
+// Preset picker for the Configuration header: load, save-as, delete, revert
+// to the loaded preset, and JSON import/export of presets or the current config.
+export default function PresetBar({
+  presets,
+  selected,
+  changed,
+  onSelect,
+  onSave,
+  onDelete,
+  onRevert,
+  onImportPresets,
+  onImportConfig,
+  onExportPresets,
+  onExportConfig,
+}) {
+  const [saving, setSaving] = useState(false);
+  const [name, setName] = useState("");
+  const [importIssues, setImportIssues] = useState([]);
+  const [importNote, setImportNote] = useState("");
+
+  const current = presets.find((p) => p.name === selected);
+  const builtinNames = presets.filter((p) => p.builtin).map((p) => p.name);
+  const nameTaken = builtinNames.includes(name.trim());
+
+  function save() {
+    const n = name.trim();
+    if (!n || nameTaken) return;
+    onSave(n);
+    setSaving(false);
+    setName("");
+  }
+
+  async function importFile(file) {
+    if (!file) return;
+    const { presets: imported, config, issues } = parsePresetFile(await file.text());
+    setImportIssues(issues);
+    if (imported) {
+      const usable = imported.filter((p) => !builtinNames.includes(p.name));
+      onImportPresets(usable);
+      setImportNote(`Imported ${usable.length} preset(s) from ${file.name}.`);
+    } else if (config) {
+      onImportConfig(config);
+      setImportNote(`Loaded config from ${file.name}.`);
+    } else {
+      setImportNote(`Nothing imported from ${file.name}.`);
+    }
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <select
+          value={selected}
+          onChange={(e) => onSelect(e.target.value)}
+          className="px-3 py-2 rounded-xl border bg-white text-slate-900"
+        >
+          <option value="">No preset</option>
+          <optgroup label="Built-in">
+            {presets
+              .filter((p) => p.builtin)
+              .map((p) => (
+                <option key={p.name} value={p.name}>
+                  {p.name}
+                </option>
+              ))}
+          </optgroup>
+          {presets.some((p) => !p.builtin) && (
+            <optgroup label="Saved">
+              {presets
+                .filter((p) => !p.builtin)
+                .map((p) => (
+                  <option key={p.name} value={p.name}>
+                    {p.name}
+                  </option>
+                ))}
+            </optgroup>
+          )}
+        </select>
+
+        {current && changed.length > 0 && (
+          <span className="inline-flex items-center gap-2 text-xs text-amber-700">
+            {changed.length} field(s) differ from preset
+            <button
+              onClick={onRevert}
+              className="px-2 py-0.5 rounded-lg border bg-white text-xs text-blue-700 hover:bg-blue-50"
+            >
+              Revert
+            </button>
+          </span>
+        )}
+
+        {saving ? (
+          <span className="inline-flex items-center gap-1">
+            <input
+              autoFocus
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") save();
+                if (e.key === "Escape") setSaving(false);
+              }}
+              placeholder="preset name"
+              className={`w-44 px-3 py-1.5 rounded-xl border bg-white text-slate-900 ${nameTaken ? "border-red-400" : ""}`}
+            />
+            <button
+              onClick={save}
+              disabled={!name.trim() || nameTaken}
+              className="px-3 py-1.5 rounded-xl bg-blue-600 text-white text-sm hover:bg-blue-700 disabled:opacity-50"
+            >
+              Save
+            </button>
+            <button onClick={() => setSaving(false)} className="px-3 py-1.5 rounded-xl border bg-white text-slate-700">
+              Cancel
+            </button>
+          </span>
+        ) : (
+          <button
+            onClick={() => {
+              setName(current && !current.builtin ? current.name : "");
+              setSaving(true);
+            }}
+            className="px-3 py-1.5 rounded-xl border bg-white text-slate-700 hover:bg-slate-50"
+          >
+            Save as preset
+          </button>
+        )}
+
+        {current && !current.builtin && (
+          <button
+            onClick={() => onDelete(current.name)}
+            className="px-3 py-1.5 rounded-xl border bg-white text-red-600 hover:bg-red-50"
+          >
+            Delete
+          </button>
+        )}
+
+        <label className="px-3 py-1.5 rounded-xl border bg-white text-slate-700 hover:bg-slate-50 cursor-pointer">
+          Import JSON
+          <input
+            type="file"
+            accept=".json,application/json"
+            className="hidden"
+            onChange={(e) => {
+              importFile(e.target.files?.[0]);
+              e.target.value = "";
+            }}
+          />
+        </label>
+        <button onClick={onExportPresets} className="px-3 py-1.5 rounded-xl border bg-white text-slate-700 hover:bg-slate-50">
+          Export presets
+        </button>
+        <button onClick={onExportConfig} className="px-3 py-1.5 rounded-xl border bg-white text-slate-700 hover:bg-slate-50">
+          Export config
+        </button>
+      </div>
+
+      {nameTaken && saving && <div className="text-xs text-red-600">Built-in presets can't be overwritten.</div>}
+      {importNote && <div className="text-xs text-slate-600">{importNote}</div>}
+      <IssueList issues={importIssues} />
+    </div>
+  );
+}
@@ -0,0 +1,145 @@
+import BarChart from "./charts/BarChart.jsx";
+import LineChart from "./charts/LineChart.jsx";
+import StackedAreaChart from "./charts/StackedAreaChart.jsx";
+import { fmtPct } from "./charts/axis.js";
+import { periodFromSummary, rebalanceSeries } from "../lib/rebalance.js";
+
+const STATUS_STYLE = {
+  pending: "text-slate-500",
+  submitting: "text-blue-600",
+  running: "text-blue-600",
+  done: "text-green-700",
+  error: "text-red-600",
+  timeout: "text-amber-700",
+  skipped: "text-amber-700",
+  cancelled: "text-slate-500",
+};
+
+function fmt(v, digits = 4) {
+  return Number.isFinite(v) ? v.toFixed(digits) : "—";
+}
+
+// Results of a rebalance backtest: one row per date, then the optimized
+// weights over time, cumulative turnover and cost, and test CVaR per period.
+// Shows the walk-forward run when there is one, else the per-date runs.
+export default function RebalanceResults({ members, walkForward, running, onStop, onCompare }) {
+  const rows = walkForward
+    ? (walkForward.periods || []).map((p) => ({ key: p.date, date: p.date, status: "done", period: p }))
+    : members.map((m) => ({
+        key: m.index,
+        date: m.params.date,
+        status: m.status,
+        run_id: m.run_id,
+        error: m.error,
+        period:
+          m.status === "done"
+            ? periodFromSummary(m.params.date, m.summary, m.portfolio, m.config.transaction_cost_bps)
+            : null,
+      }));
+  const periods = rows.filter((r) => r.period).map((r) => r.period);
+  const series = rebalanceSeries(periods);
+  const doneIds = rows.filter((r) => r.status === "done" && r.run_id).map((r) => r.run_id);
+  const counts = rows.reduce((acc, r) => ({ ...acc, [r.status]: (acc[r.status] || 0) + 1 }), {});
+
+  return (
+    <div className="border rounded-2xl p-4 bg-slate-50 space-y-4">
+      <div className="flex flex-wrap items-center gap-3">
+        <div className="font-semibold text-slate-900">
+          Rebalance backtest ({walkForward ? "walk-forward run" : `${members.length} dates`})
+        </div>
+        <div className="text-sm text-slate-600">
+          {walkForward ? (
+            <span className={STATUS_STYLE[walkForward.status] || ""}>
+              {walkForward.status}
+              {walkForward.run_id && <span className="ml-2 text-xs text-slate-500 font-mono">{walkForward.run_id}</span>}
+            </span>
+          ) : (
+            Object.entries(counts)
+              .map(([k, n]) => `${n} ${k}`)
+              .join(" · ")
+          )}
+        </div>
+        <div className="ml-auto flex gap-2">
+          {running && (
+            <button
+              onClick={onStop}
+              className="px-4 py-2 rounded-xl bg-slate-600 text-white text-sm hover:bg-slate-700 transition-colors"
+            >
+              {walkForward ? "Stop watching" : "Stop submitting"}
+            </button>
+          )}
+          {doneIds.length >= 2 && (
+            <button
+              onClick={() => onCompare(doneIds)}
+              className="px-4 py-2 rounded-xl bg-blue-600 text-white text-sm hover:bg-blue-700 transition-colors"
+            >
+              Compare finished runs
+            </button>
+          )}
+        </div>
+      </div>
+      {walkForward?.error && <div className="text-sm text-red-600">{walkForward.error}</div>}
+
+      {rows.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-slate-600 border-b">
+                <th className="py-2 pr-3 font-normal">date</th>
+                <th className="py-2 pr-3 font-normal">status</th>
+                <th className="py-2 pr-3 font-normal text-right">Turnover</th>
+                <th className="py-2 pr-3 font-normal text-right">Cost</th>
+                <th className="py-2 pr-3 font-normal text-right">Test CVaR</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r) => (
+                <tr key={r.key} className="border-b last:border-0 align-top">
+                  <td className="py-2 pr-3 text-slate-900">{r.date}</td>
+                  <td className={`py-2 pr-3 ${STATUS_STYLE[r.status] || ""}`}>
+                    {r.status}
+                    {r.run_id && <div className="text-xs text-slate-500 font-mono">{r.run_id.slice(0, 10)}</div>}
+                    {r.error && <div className="text-xs">{r.error}</div>}
+                    {r.period && !r.period.weights && <div className="text-xs text-amber-700">No weights in summary</div>}
+                  </td>
+                  <td className="py-2 pr-3 text-right text-slate-900">{fmt(r.period?.turnover)}</td>
+                  <td className="py-2 pr-3 text-right text-slate-900">{fmt(r.period?.cost, 6)}</td>
+                  <td className="py-2 pr-3 text-right text-slate-900">{fmt(r.period?.test_cvar)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {periods.length > 0 && (
+        <div className="space-y-6">
+          <StackedAreaChart
+            title="Optimized weights by rebalance date"
+            labels={series.labels}
+            series={series.weights}
+            yFormat={(v) => fmtPct(v, 0)}
+          />
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+            <LineChart
+              title="Cumulative turnover"
+              labels={series.labels}
+              series={[{ name: "turnover", values: series.cumTurnover, area: true }]}
+            />
+            <LineChart
+              title="Cumulative cost"
+              labels={series.labels}
+              series={[{ name: "cost", values: series.cumCost, color: "#dc2626", area: true }]}
+              yFormat={(v) => fmtPct(v, 2)}
+            />
+          </div>
+          <BarChart
+            title="Test CVaR per period (held-out window)"
+            categories={series.labels}
+            series={[{ name: "test CVaR", values: series.testCvar }]}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+import { useState } from "react";
+import { downloadTextFile } from "../lib/download.js";
+import { printHtml } from "../lib/html.js";
+import { buildReportHTML, collectReportData } from "../lib/report.js";
+
+// "Download report" / "Print / PDF" for a finished run. Artifacts are fetched
+// when a button is pressed, not up front.
+export default function ReportActions({ runId, runUrlBase, files, plots, summary, memo, config, configKnown, apiBase }) {
+  const [building, setBuilding] = useState(false);
+  const [error, setError] = useState("");
+  const [note, setNote] = useState("");
+
+  async function build() {
+    const data = await collectReportData({ runUrlBase, files, plots });
+    setNote(data.missing.length ? `Left out (failed to load): ${data.missing.join(", ")}` : "");
+    return buildReportHTML({ runId, apiBase, config, configKnown, summary, memo, ...data });
+  }
+
+  async function run(action) {
+    setBuilding(true);
+    setError("");
+    try {
+      action(await build());
+    } catch (e) {
+      setError(String(e.message || e));
+    } finally {
+      setBuilding(false);
+    }
+  }
+
+  return (
+    <div className="space-y-1">
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={() => run((html) => downloadTextFile(`cvar_report_${runId}.html`, html, "text/html;charset=utf-8"))}
+          disabled={building}
+          className="px-3 py-1.5 rounded-xl border bg-white text-slate-700 text-sm hover:bg-slate-50 disabled:opacity-50"
+        >
+          {building ? "Building report…" : "Download report"}
+        </button>
+        <button
+          onClick={() => run(printHtml)}
+          disabled={building}
+          className="px-3 py-1.5 rounded-xl border bg-white text-slate-700 text-sm hover:bg-slate-50 disabled:opacity-50"
+        >
+          Print / PDF
+        </button>
+      </div>
+      {note && <div className="text-xs text-amber-700">{note}</div>}
+      {error && <div className="text-xs text-red-600">{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,205 @@
+import { useEffect, useState } from "react";
+import { fmtPct } from "./charts/axis.js";
+import { loadArtifact } from "../lib/artifacts.js";
+import { CVAR_LEVELS, windowStats, worstDays } from "../lib/riskStats.js";
+import { parseReturnsCSV, resolveSplit } from "../lib/series.js";
+
+function pct(v, digits = 2) {
+  return Number.isFinite(v) ? fmtPct(v, digits) : "—";
+}
+
+function ratio(v) {
+  return Number.isFinite(v) ? v.toFixed(2) : "—";
+}
+
+// Prefer the optimized portfolio when the file carries several series.
+function defaultSeries(series) {
+  return (series.find((s) => /opt/i.test(s.name)) || series[0])?.name || "";
+}
+
+// Tail-risk panel computed in the browser from portfolio_returns_full.csv,
+// split into the train and test windows.
+export default function RiskAnalytics({ runUrlBase, files, alpha, trainRatio, onFocusDate }) {
+  const [parsed, setParsed] = useState(null);
+  const [error, setError] = useState("");
+  const [seriesName, setSeriesName] = useState("");
+  const [count, setCount] = useState(10);
+  const [sort, setSort] = useState({ key: "ret", dir: 1 });
+
+  useEffect(() => {
+    let cancelled = false;
+    loadArtifact(runUrlBase, files, "portfolio_returns_full.csv")
+      .then((text) => {
+        if (cancelled) return;
+        if (!text) setError("portfolio_returns_full.csv is not available for this run.");
+        else setParsed(parseReturnsCSV(text));
+      })
+      .catch((e) => !cancelled && setError(String(e?.message || e)));
+    return () => {
+      cancelled = true;
+    };
+  }, [runUrlBase, files]);
+
+  if (error) return <div className="text-sm text-slate-500">Tail risk analytics unavailable: {error}</div>;
+  if (!parsed) return <div className="text-sm text-slate-500">Loading returns...</div>;
+  if (!parsed.series.length) return <div className="text-sm text-slate-500">No return series found.</div>;
+
+  const name = parsed.series.some((s) => s.name === seriesName) ? seriesName : defaultSeries(parsed.series);
+  const returns = parsed.series.find((s) => s.name === name).returns;
+  const split = resolveSplit(parsed, trainRatio);
+  const windows = [
+    ...(split
+      ? [
+          { key: "train", label: "Train", returns: returns.slice(0, split.index) },
+          { key: "test", label: split.estimated ? "Test (est.)" : "Test", returns: returns.slice(split.index) },
+        ]
+      : []),
+    { key: "full", label: "Full", returns },
+  ].map((w) => ({ ...w, stats: windowStats(w.returns, alpha) }));
+
+  const levels = [...new Set([...CVAR_LEVELS, alpha])].sort((a, b) => a - b);
+  const rows = [
+    { label: "Days", get: (s) => String(s.n) },
+    { label: "Annualized return", get: (s) => pct(s.annReturn) },
+    { label: "Annualized volatility", get: (s) => pct(s.annVol) },
+    { label: "Sharpe (rf = 0)", get: (s) => ratio(s.sharpe) },
+    { label: "Sortino (rf = 0)", get: (s) => ratio(s.sortino) },
+    { label: "Max drawdown", get: (s) => pct(s.maxDrawdown) },
+    { label: `VaR ${pct(alpha, 1)} (daily loss)`, get: (s) => pct(s.var), strong: true },
+    ...levels.map((a) => ({
+      label: `CVaR ${pct(a, 1)} (daily loss)`,
+      get: (s) => pct(s.cvar[a]),
+      strong: a === alpha,
+    })),
+    { label: "Skewness", get: (s) => ratio(s.skew) },
+    { label: "Excess kurtosis", get: (s) => ratio(s.kurtosis) },
+    { label: "Best day", get: (s) => pct(s.best) },
+    { label: "Worst day", get: (s) => pct(s.worst) },
+  ];
+
+  const worst = worstDays(parsed.dates, returns, count, split?.index).sort((a, b) =>
+    sort.key === "date" ? a.date.localeCompare(b.date) * sort.dir : (a[sort.key] - b[sort.key]) * sort.dir
+  );
+
+  function sortBy(key) {
+    setSort((s) => (s.key === key ? { key, dir: -s.dir } : { key, dir: 1 }));
+  }
+
+  const sortMark = (key) => (sort.key === key ? (sort.dir === 1 ? " ▲" : " ▼") : "");
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-3">
+        <div className="font-semibold">Tail risk analytics</div>
+        {parsed.series.length > 1 && (
+          <select
+            value={name}
+            onChange={(e) => setSeriesName(e.target.value)}
+            className="px-2 py-1 rounded-lg border bg-white text-sm text-slate-900"
+          >
+            {parsed.series.map((s) => (
+              <option key={s.name} value={s.name}>
+                {s.name}
+              </option>
+            ))}
+          </select>
+        )}
+        <div className="text-xs text-slate-500">
+          Historical, from daily returns. Losses shown as positive numbers.
+          {split?.estimated && " Train/test split estimated from train_ratio."}
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-slate-600 border-b">
+              <th className="py-2 pr-3 font-normal">metric</th>
+              {windows.map((w) => (
+                <th key={w.key} className="py-2 pr-3 font-normal text-right">
+                  {w.label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r) => (
+              <tr key={r.label} className="border-b last:border-0">
+                <td className={`py-1.5 pr-3 ${r.strong ? "font-semibold text-slate-900" : "text-slate-700"}`}>
+                  {r.label}
+                </td>
+                {windows.map((w) => (
+                  <td
+                    key={w.key}
+                    className={`py-1.5 pr-3 text-right ${r.strong ? "font-semibold text-slate-900" : "text-slate-900"}`}
+                  >
+                    {w.stats ? r.get(w.stats) : "—"}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="space-y-2">
+        <div className="flex items-center gap-3">
+          <div className="text-sm font-semibold text-slate-900">Worst days</div>
+          <select
+            value={count}
+            onChange={(e) => setCount(Number(e.target.value))}
+            className="px-2 py-1 rounded-lg border bg-white text-sm text-slate-900"
+          >
+            {[10, 20, 50].map((c) => (
+              <option key={c} value={c}>
+                {c}
+              </option>
+            ))}
+          </select>
+          <div className="text-xs text-slate-500">Click a date to show it on the charts.</div>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-slate-600 border-b">
+                {[
+                  { key: "rank", label: "#" },
+                  { key: "date", label: "date" },
+                  { key: "ret", label: "return" },
+                ].map((c) => (
+                  <th key={c.key} className="py-2 pr-3 font-normal">
+                    <button onClick={() => sortBy(c.key)} className="p-0 bg-transparent text-xs text-slate-600">
+                      {c.label}
+                      {sortMark(c.key)}
+                    </button>
+                  </th>
+                ))}
+                <th className="py-2 pr-3 font-normal">window</th>
+              </tr>
+            </thead>
+            <tbody>
+              {worst.map((d) => (
+                <tr key={d.index} className="border-b last:border-0">
+                  <td className="py-1.5 pr-3 text-slate-500">{d.rank}</td>
+                  <td className="py-1.5 pr-3">
+                    <a
+                      href={`#${d.date}`}
+                      onClick={(e) => {
+                        e.preventDefault();
+                        onFocusDate(d.date);
+                      }}
+                    >
+                      {d.date}
+                    </a>
+                  </td>
+                  <td className="py-1.5 pr-3 text-red-600">{pct(d.ret)}</td>
+                  <td className="py-1.5 pr-3 text-slate-600">{d.window || "—"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,179 @@
+import ScatterChart from "./charts/ScatterChart.jsx";
+import { UNSTABLE_RANGE, robustnessStats } from "../lib/robustness.js";
+
+function fmt(v, digits = 4) {
+  return Number.isFinite(v) ? v.toFixed(digits) : "—";
+}
+
+function pct(v) {
+  return Number.isFinite(v) ? `${(v * 100).toFixed(1)}%` : "—";
+}
+
+// min / median / max of one columnStats result in a single cell.
+function Spread({ stats, digits }) {
+  if (!stats?.count) return <span className="text-slate-400">—</span>;
+  return (
+    <span>
+      <span className="text-slate-500">{fmt(stats.min, digits)}</span> /{" "}
+      <span className="font-semibold">{fmt(stats.median, digits)}</span> /{" "}
+      <span className="text-slate-500">{fmt(stats.max, digits)}</span>
+    </span>
+  );
+}
+
+function RatioRow({ label, row, strong }) {
+  return (
+    <tr className={`border-b last:border-0 ${strong ? "bg-white font-semibold" : ""}`}>
+      <td className="py-2 pr-3 text-slate-900">{label}</td>
+      <td className="py-2 pr-3 text-right text-slate-700">{row.runs}</td>
+      <td className="py-2 pr-3 text-right text-slate-900">
+        <Spread stats={row.testCvar} digits={4} />
+      </td>
+      <td className="py-2 pr-3 text-right text-slate-900">
+        <Spread stats={row.testMean} digits={6} />
+      </td>
+      <td className="py-2 pr-3 text-right text-slate-900">{fmt(row.gap.median)}</td>
+    </tr>
+  );
+}
+
+// Out-of-sample dispersion across train_ratio × seed runs, and how stable
+// each asset's optimized weight is across seeds.
+export default function RobustnessResults({ members, running, onStop, onCompare }) {
+  const stats = robustnessStats(members);
+  const counts = members.reduce((acc, m) => ({ ...acc, [m.status]: (acc[m.status] || 0) + 1 }), {});
+  const doneIds = members.filter((m) => m.status === "done" && m.run_id).map((m) => m.run_id);
+  const failed = members.filter((m) => m.error);
+  const unstable = stats.assets.filter((a) => a.unstable);
+
+  return (
+    <div className="border rounded-2xl p-4 bg-slate-50 space-y-4">
+      <div className="flex flex-wrap items-center gap-3">
+        <div className="font-semibold text-slate-900">Robustness check ({members.length} runs)</div>
+        <div className="text-sm text-slate-600">
+          {Object.entries(counts)
+            .map(([k, n]) => `${n} ${k}`)
+            .join(" · ")}
+        </div>
+        <div className="ml-auto flex gap-2">
+          {running && (
+            <button
+              onClick={onStop}
+              className="px-4 py-2 rounded-xl bg-slate-600 text-white text-sm hover:bg-slate-700 transition-colors"
+            >
+              Stop submitting
+            </button>
+          )}
+          {doneIds.length >= 2 && (
+            <button
+              onClick={() => onCompare(doneIds)}
+              className="px-4 py-2 rounded-xl bg-blue-600 text-white text-sm hover:bg-blue-700 transition-colors"
+            >
+              Compare finished runs
+            </button>
+          )}
+        </div>
+      </div>
+
+      {failed.length > 0 && (
+        <ul className="space-y-1">
+          {failed.map((m) => (
+            <li key={m.index} className="text-xs text-red-600">
+              train_ratio={m.params.train_ratio}, seed={m.params.seed}: {m.error}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {stats.runs > 0 && (
+        <>
+          <div className="space-y-2">
+            <div className="text-sm font-semibold text-slate-900">Out-of-sample results by train_ratio</div>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-slate-600 border-b">
+                    <th className="py-2 pr-3 font-normal">train_ratio</th>
+                    <th className="py-2 pr-3 font-normal text-right">runs</th>
+                    <th className="py-2 pr-3 font-normal text-right">Test CVaR min / median / max</th>
+                    <th className="py-2 pr-3 font-normal text-right">Test Mean min / median / max</th>
+                    <th className="py-2 pr-3 font-normal text-right">median test − train CVaR</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {stats.byRatio.map((row) => (
+                    <RatioRow key={row.ratio} label={row.ratio} row={row} />
+                  ))}
+                  {stats.byRatio.length > 1 && <RatioRow label="all" row={stats.overall} strong />}
+                </tbody>
+              </table>
+            </div>
+            <div className="text-xs text-slate-500">
+              A large positive test − train gap means the weights fit the training window better than they hold up on
+              the test window.
+            </div>
+          </div>
+
+          <ScatterChart
+            xLabel="train_ratio"
+            yLabel="Test CVaR"
+            points={members
+              .filter((m) => m.status === "done" && m.summary)
+              .map((m) => ({
+                x: Number(m.params.train_ratio),
+                y: Number(m.summary.test?.cvar),
+                label: `train_ratio=${m.params.train_ratio}, seed=${m.params.seed}`,
+              }))}
+          />
+
+          <div className="space-y-2">
+            <div className="text-sm font-semibold text-slate-900">Optimized weights across runs</div>
+            <div className={`text-sm ${unstable.length ? "text-amber-700" : "text-slate-600"}`}>
+              {unstable.length
+                ? `${unstable.length} asset(s) move by more than ${pct(UNSTABLE_RANGE)} across seeds: ${unstable
+                    .map((a) => a.asset)
+                    .join(", ")}.`
+                : `No asset moves by more than ${pct(UNSTABLE_RANGE)} across seeds.`}
+            </div>
+            {stats.noWeights > 0 && (
+              <div className="text-xs text-amber-700">{stats.noWeights} run(s) have no weights in summary.json.</div>
+            )}
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-slate-600 border-b">
+                    <th className="py-2 pr-3 font-normal">asset</th>
+                    <th className="py-2 pr-3 font-normal text-right">min</th>
+                    <th className="py-2 pr-3 font-normal text-right">median</th>
+                    <th className="py-2 pr-3 font-normal text-right">max</th>
+                    <th className="py-2 pr-3 font-normal text-right">range across seeds</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {stats.assets.map((a) => (
+                    <tr key={a.asset} className={`border-b last:border-0 ${a.unstable ? "bg-amber-50" : ""}`}>
+                      <td className={`py-2 pr-3 ${a.unstable ? "text-amber-800 font-semibold" : "text-slate-900"}`}>
+                        {a.asset}
+                        {a.unstable && <span className="ml-2 text-xs font-normal">unstable</span>}
+                      </td>
+                      <td className="py-2 pr-3 text-right text-slate-700">{pct(a.min)}</td>
+                      <td className="py-2 pr-3 text-right text-slate-900">{pct(a.median)}</td>
+                      <td className="py-2 pr-3 text-right text-slate-700">{pct(a.max)}</td>
+                      <td className={`py-2 pr-3 text-right ${a.unstable ? "text-amber-800 font-semibold" : "text-slate-900"}`}>
+                        {pct(a.seedRange)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="text-xs text-slate-500">
+              Range across seeds is max − min of the weight between runs with the same train_ratio, averaged over the
+              ratios.
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,121 @@
+import { useEffect, useState } from "react";
+import BarChart from "./charts/BarChart.jsx";
+import LineChart from "./charts/LineChart.jsx";
+import { fmtPct } from "./charts/axis.js";
+import { loadArtifact } from "../lib/artifacts.js";
+import { parseWeightsCSV } from "../lib/csv.js";
+import { cumulativeReturns, drawdowns, parseObjectiveCSV, parseReturnsCSV, resolveSplit } from "../lib/series.js";
+
+// Native charts built from the run's CSV artifacts (the interactive
+// counterpart of the backend PNG figures).
+export default function RunCharts({ runUrlBase, files, trainRatio, focusDate, onFallback }) {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([
+      loadArtifact(runUrlBase, files, "portfolio_returns_full.csv"),
+      loadArtifact(runUrlBase, files, "objective_history.csv"),
+      loadArtifact(runUrlBase, files, "weights_opt.csv"),
+      loadArtifact(runUrlBase, files, "trades.csv").catch(() => null),
+    ])
+      .then(([returnsText, objectiveText, weightsText, tradesText]) => {
+        if (cancelled) return;
+        const weights = weightsText ? parseWeightsCSV(weightsText) : [];
+        // weights_opt.csv may not carry the starting weights; trades.csv usually does.
+        if (weights.length && weights.every((w) => w.initial === undefined) && tradesText) {
+          const fromTrades = parseWeightsCSV(tradesText);
+          weights.forEach((w) => {
+            w.initial = fromTrades.find((t) => t.asset === w.asset)?.initial;
+          });
+        }
+        setData({
+          returns: returnsText ? parseReturnsCSV(returnsText) : null,
+          objective: objectiveText ? parseObjectiveCSV(objectiveText) : null,
+          weights,
+        });
+      })
+      .catch((e) => !cancelled && setError(String(e?.message || e)));
+    return () => {
+      cancelled = true;
+    };
+  }, [runUrlBase, files]);
+
+  if (error) {
+    return (
+      <div className="text-sm text-red-600 bg-red-50 p-3 rounded-xl flex items-center gap-3">
+        Could not load chart data: {error}
+        <button
+          onClick={onFallback}
+          className="ml-auto px-3 py-1 rounded-lg bg-white border text-blue-700 hover:bg-blue-50 transition-colors"
+        >
+          Show PNG figures
+        </button>
+      </div>
+    );
+  }
+  if (!data) return <div className="text-sm text-slate-500">Loading chart data...</div>;
+
+  const { returns, objective, weights } = data;
+  const split = returns ? resolveSplit(returns, trainRatio) : null;
+  const splitMark = split && { index: split.index, left: "train", right: split.estimated ? "test (est.)" : "test" };
+  const hasInitial = weights.some((w) => Number.isFinite(w.initial));
+  const focusIndex = returns && focusDate ? returns.dates.indexOf(focusDate) : -1;
+
+  return (
+    <div className="grid grid-cols-1 gap-4">
+      {returns?.series.length > 0 && (
+        <>
+          <div className="border rounded-2xl p-3 bg-slate-50">
+            <LineChart
+              key={`cum-${focusDate}`}
+              title="Cumulative return"
+              labels={returns.dates}
+              series={returns.series.map((s) => ({ name: s.name, values: cumulativeReturns(s.returns) }))}
+              yFormat={(v) => fmtPct(v)}
+              split={splitMark}
+              focusIndex={focusIndex}
+            />
+          </div>
+          <div className="border rounded-2xl p-3 bg-slate-50">
+            <LineChart
+              key={`dd-${focusDate}`}
+              title="Drawdown"
+              labels={returns.dates}
+              series={returns.series.map((s) => ({ name: s.name, values: drawdowns(s.returns), area: true }))}
+              yFormat={(v) => fmtPct(v)}
+              split={splitMark}
+              focusIndex={focusIndex}
+            />
+          </div>
+        </>
+      )}
+
+      {objective?.series.length > 0 && (
+        <div className="border rounded-2xl p-3 bg-slate-50">
+          <LineChart
+            title="Annealing objective history"
+            labels={objective.x.map(String)}
+            series={objective.series}
+            initiallyHidden={objective.series.filter((s) => /temp|accept/i.test(s.name)).map((s) => s.name)}
+          />
+        </div>
+      )}
+
+      {weights.length > 0 && (
+        <div className="border rounded-2xl p-3 bg-slate-50">
+          <BarChart
+            title={hasInitial ? "Initial vs optimized weights" : "Optimized weights"}
+            categories={weights.map((w) => w.asset)}
+            series={[
+              ...(hasInitial ? [{ name: "initial", values: weights.map((w) => w.initial), color: "#94a3b8" }] : []),
+              { name: "optimized", values: weights.map((w) => w.weight), color: "#2563eb" },
+            ]}
+            yFormat={(v) => fmtPct(v, 0)}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,145 @@
+import { useState } from "react";
+
+function fmt(v, digits) {
+  const x = Number(v);
+  return v == null || !Number.isFinite(x) ? "—" : x.toFixed(digits);
+}
+
+export default function RunHistory({
+  entries,
+  activeRunId,
+  busy,
+  onOpen,
+  onDelete,
+  onClear,
+  onLoadConfig,
+  compareIds,
+  onToggleCompare,
+}) {
+  const [pasted, setPasted] = useState("");
+
+  function openPasted() {
+    const id = pasted.trim();
+    if (!id) return;
+    onOpen(id);
+    setPasted("");
+  }
+
+  return (
+    <section className="bg-white rounded-2xl shadow-sm border p-6 space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold text-slate-900">Run history</h2>
+        {entries.length > 0 && (
+          <button
+            onClick={() => {
+              if (window.confirm("Delete all saved runs from history?")) onClear();
+            }}
+            className="px-4 py-2 rounded-xl bg-slate-600 text-white text-sm font-semibold hover:bg-slate-700 transition-colors"
+          >
+            Clear
+          </button>
+        )}
+      </div>
+
+      <div className="flex flex-col sm:flex-row gap-2">
+        <input
+          className="flex-1 px-3 py-2 rounded-xl border bg-white text-sm text-slate-900"
+          placeholder="Paste a run_id to open it"
+          value={pasted}
+          onChange={(e) => setPasted(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && !busy && openPasted()}
+        />
+        <button
+          onClick={openPasted}
+          disabled={busy || !pasted.trim()}
+          className="px-4 py-2 rounded-xl bg-blue-600 text-white text-sm font-semibold hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          Open run
+        </button>
+      </div>
+
+      {entries.length === 0 ? (
+        <div className="text-sm text-slate-500">No runs yet. Runs you start or open are saved here.</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-slate-600 border-b">
+                <th className="py-2 pr-3 font-normal">started</th>
+                <th className="py-2 pr-3 font-normal">portfolio</th>
+                <th className="py-2 pr-3 font-normal">objective</th>
+                <th className="py-2 pr-3 font-normal">status</th>
+                <th className="py-2 pr-3 font-normal text-right">test CVaR</th>
+                <th className="py-2 pr-3 font-normal text-right">test mean</th>
+                <th className="py-2 font-normal"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((e) => (
+                <tr
+                  key={e.run_id}
+                  className={`border-b last:border-0 ${e.run_id === activeRunId ? "bg-blue-50" : ""}`}
+                >
+                  <td className="py-2 pr-3 text-slate-700 whitespace-nowrap">
+                    {e.created_at ? new Date(e.created_at).toLocaleString() : "—"}
+                    <div className="text-xs text-slate-500 font-mono" title={e.run_id}>
+                      {e.run_id.length > 14 ? `${e.run_id.slice(0, 14)}…` : e.run_id}
+                    </div>
+                  </td>
+                  <td className="py-2 pr-3 text-slate-700">{e.portfolio_name || "—"}</td>
+                  <td className="py-2 pr-3 text-slate-700">
+                    {e.config?.objective || e.headline?.objective || "—"}
+                    {e.config?.alpha != null && <div className="text-xs text-slate-500">alpha {e.config.alpha}</div>}
+                  </td>
+                  <td className="py-2 pr-3 text-slate-700">
+                    {e.status || "—"}
+                    {e.error && <div className="text-xs text-red-600">{e.error}</div>}
+                  </td>
+                  <td className="py-2 pr-3 text-right text-slate-900">{fmt(e.headline?.test_cvar, 4)}</td>
+                  <td className="py-2 pr-3 text-right text-slate-900">{fmt(e.headline?.test_mean, 6)}</td>
+                  <td className="py-2 whitespace-nowrap text-right space-x-1">
+                    <button
+                      onClick={() => onOpen(e.run_id)}
+                      disabled={busy}
+                      className="px-3 py-1 rounded-lg bg-blue-600 text-white text-xs hover:bg-blue-700 disabled:opacity-50 transition-colors"
+                    >
+                      Open
+                    </button>
+                    {e.config && (
+                      <button
+                        onClick={() => onLoadConfig(e)}
+                        disabled={busy}
+                        title="Load this run's config into the form"
+                        className="px-3 py-1 rounded-lg bg-slate-600 text-white text-xs hover:bg-slate-700 disabled:opacity-50 transition-colors"
+                      >
+                        Config
+                      </button>
+                    )}
+                    <button
+                      onClick={() => onToggleCompare(e.run_id)}
+                      title="Add to or remove from the comparison"
+                      className={`px-3 py-1 rounded-lg text-xs border transition-colors ${
+                        compareIds.includes(e.run_id)
+                          ? "bg-blue-50 border-blue-300 text-blue-700"
+                          : "bg-white text-slate-600 hover:text-blue-700"
+                      }`}
+                    >
+                      {compareIds.includes(e.run_id) ? "✓ Compare" : "Compare"}
+                    </button>
+                    <button
+                      onClick={() => onDelete(e.run_id)}
+                      title="Delete from history"
+                      className="px-3 py-1 rounded-lg bg-white border text-xs text-slate-600 hover:text-red-600 transition-colors"
+                    >
+                      ✕
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,163 @@
+import { useState } from "react";
+import ScatterChart from "./charts/ScatterChart.jsx";
+import { COMPARE_METRICS } from "../lib/compare.js";
+
+const STATUS_STYLE = {
+  pending: "text-slate-500",
+  submitting: "text-blue-600",
+  running: "text-blue-600",
+  done: "text-green-700",
+  error: "text-red-600",
+  timeout: "text-amber-700",
+  skipped: "text-amber-700",
+  cancelled: "text-slate-500",
+};
+
+function metricValue(member, key) {
+  const m = COMPARE_METRICS.find((x) => x.key === key);
+  if (m) return member.summary ? Number(m.get(member.summary)) : NaN;
+  return Number(member.params[key]);
+}
+
+export default function SweepResults({ members, sweptKeys, running, onStop, onCompare }) {
+  const [xKey, setXKey] = useState(sweptKeys[0] || "test_cvar");
+  const [yKey, setYKey] = useState("test_cvar");
+
+  const axisOptions = [
+    ...sweptKeys.map((k) => ({ value: k, label: k })),
+    ...COMPARE_METRICS.map((m) => ({ value: m.key, label: m.label })),
+  ];
+  const labelOf = (k) => axisOptions.find((o) => o.value === k)?.label || k;
+  const x = axisOptions.some((o) => o.value === xKey) ? xKey : axisOptions[0].value;
+
+  const counts = members.reduce((acc, m) => ({ ...acc, [m.status]: (acc[m.status] || 0) + 1 }), {});
+  const doneIds = members.filter((m) => m.status === "done" && m.run_id).map((m) => m.run_id);
+  const describe = (m) => sweptKeys.map((k) => `${k}=${m.params[k]}`).join(", ");
+
+  return (
+    <div className="border rounded-2xl p-4 bg-slate-50 space-y-4">
+      <div className="flex flex-wrap items-center gap-3">
+        <div className="font-semibold text-slate-900">Sweep ({members.length} runs)</div>
+        <div className="text-sm text-slate-600">
+          {Object.entries(counts)
+            .map(([k, n]) => `${n} ${k}`)
+            .join(" · ")}
+        </div>
+        <div className="ml-auto flex gap-2">
+          {running && (
+            <button
+              onClick={onStop}
+              className="px-4 py-2 rounded-xl bg-slate-600 text-white text-sm hover:bg-slate-700 transition-colors"
+            >
+              Stop submitting
+            </button>
+          )}
+          {doneIds.length >= 2 && (
+            <button
+              onClick={() => onCompare(doneIds)}
+              className="px-4 py-2 rounded-xl bg-blue-600 text-white text-sm hover:bg-blue-700 transition-colors"
+            >
+              Compare finished runs
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-slate-600 border-b">
+              <th className="py-2 pr-3 font-normal">#</th>
+              {sweptKeys.map((k) => (
+                <th key={k} className="py-2 pr-3 font-normal">
+                  {k}
+                </th>
+              ))}
+              <th className="py-2 pr-3 font-normal">status</th>
+              {COMPARE_METRICS.map((m) => (
+                <th key={m.key} className="py-2 pr-3 font-normal text-right">
+                  {m.label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {members.map((m) => (
+              <tr key={m.index} className="border-b last:border-0 align-top">
+                <td className="py-2 pr-3 text-slate-500">{m.index + 1}</td>
+                {sweptKeys.map((k) => (
+                  <td key={k} className="py-2 pr-3 text-slate-900">
+                    {m.params[k]}
+                  </td>
+                ))}
+                <td className={`py-2 pr-3 ${STATUS_STYLE[m.status] || ""}`}>
+                  {m.status}
+                  {m.run_id && <div className="text-xs text-slate-500 font-mono">{m.run_id.slice(0, 10)}</div>}
+                  {m.error && <div className="text-xs">{m.error}</div>}
+                </td>
+                {COMPARE_METRICS.map((metric) => {
+                  const v = m.summary ? Number(metric.get(m.summary)) : NaN;
+                  return (
+                    <td key={metric.key} className="py-2 pr-3 text-right text-slate-900">
+                      {Number.isFinite(v) ? v.toFixed(metric.digits) : "—"}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="space-y-2">
+        <div className="flex flex-wrap items-center gap-3 text-sm text-slate-700">
+          <label className="flex items-center gap-2">
+            x
+            <select
+              value={x}
+              onChange={(e) => setXKey(e.target.value)}
+              className="px-2 py-1 rounded-lg border bg-white text-slate-900"
+            >
+              {axisOptions.map((o) => (
+                <option key={o.value} value={o.value}>
+                  {o.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center gap-2">
+            y
+            <select
+              value={yKey}
+              onChange={(e) => setYKey(e.target.value)}
+              className="px-2 py-1 rounded-lg border bg-white text-slate-900"
+            >
+              {COMPARE_METRICS.map((m) => (
+                <option key={m.key} value={m.key}>
+                  {m.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <button
+            onClick={() => {
+              setXKey("test_cvar");
+              setYKey("test_mean");
+            }}
+            className="px-3 py-1 rounded-lg bg-white border text-blue-700 text-sm hover:bg-blue-50 transition-colors"
+          >
+            Efficient frontier (test mean vs CVaR)
+          </button>
+        </div>
+        <ScatterChart
+          xLabel={labelOf(x)}
+          yLabel={labelOf(yKey)}
+          connect={sweptKeys.includes(x)}
+          points={members
+            .filter((m) => m.status === "done")
+            .map((m) => ({ x: metricValue(m, x), y: metricValue(m, yKey), label: describe(m) }))}
+        />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,207 @@
+import { useEffect, useState } from "react";
+import { loadArtifact } from "../lib/artifacts.js";
+import { parseWeightsCSV } from "../lib/csv.js";
+import { downloadTextFile } from "../lib/download.js";
+import { printHtml } from "../lib/html.js";
+import { buildTicket, parseTrades, ticketToCSV, ticketToHTML } from "../lib/tradeTicket.js";
+
+function pct(v, digits = 2) {
+  return Number.isFinite(v) ? `${(v * 100).toFixed(digits)}%` : "—";
+}
+
+function usd(v) {
+  return Number.isFinite(v) ? v.toLocaleString(undefined, { style: "currency", currency: "USD" }) : "—";
+}
+
+async function loadTrades(runUrlBase, files) {
+  const text = await loadArtifact(runUrlBase, files, "trades.csv").catch(() => null);
+  const trades = text ? parseTrades(text) : [];
+  if (trades.length) return trades;
+  // Fall back to weights_opt.csv when it carries both initial and optimized weights.
+  const wText = await loadArtifact(runUrlBase, files, "weights_opt.csv");
+  return (wText ? parseWeightsCSV(wText) : [])
+    .filter((w) => Number.isFinite(w.initial))
+    .map((w) => ({ asset: w.asset, current: w.initial, target: w.weight, delta: w.weight - w.initial }));
+}
+
+// Rebalancing ticket for a finished run: weight deltas, sides and estimated
+// costs, optionally converted to dollars and shares.
+export default function TradeTicket({ runId, runUrlBase, files, costBps }) {
+  const [trades, setTrades] = useState(null);
+  const [error, setError] = useState("");
+  const [notional, setNotional] = useState("");
+  const [prices, setPrices] = useState({});
+  const [minTrade, setMinTrade] = useState({ value: 0, unit: "pct" });
+
+  useEffect(() => {
+    let cancelled = false;
+    loadTrades(runUrlBase, files)
+      .then((t) => !cancelled && setTrades(t))
+      .catch((e) => !cancelled && setError(String(e?.message || e)));
+    return () => {
+      cancelled = true;
+    };
+  }, [runUrlBase, files]);
+
+  if (error) return <div className="text-sm text-slate-500">Trade ticket unavailable: {error}</div>;
+  if (!trades) return <div className="text-sm text-slate-500">Loading trades...</div>;
+  if (!trades.length) return <div className="text-sm text-slate-500">No trades found for this run.</div>;
+
+  const notionalValue = Number(notional);
+  const { rows, totals } = buildTicket(trades, { costBps, notional: notionalValue, prices, minTrade });
+  const hasNotional = notionalValue > 0;
+
+  function exportCSV() {
+    downloadTextFile(`trade_ticket_${runId}.csv`, ticketToCSV(rows));
+  }
+
+  function printSheet() {
+    try {
+      printHtml(ticketToHTML(rows, totals, { runId, notional: notionalValue, costBps }));
+    } catch (e) {
+      window.alert(String(e?.message || e));
+    }
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-3">
+        <div className="font-semibold">Trade ticket</div>
+        <div className="text-xs text-slate-500">Cost at {costBps} bps per 1.0 turnover.</div>
+        <div className="ml-auto flex gap-2">
+          <button
+            onClick={exportCSV}
+            className="px-4 py-2 rounded-xl bg-slate-600 text-white text-sm hover:bg-slate-700 transition-colors"
+          >
+            Export CSV
+          </button>
+          <button
+            onClick={printSheet}
+            className="px-4 py-2 rounded-xl bg-slate-600 text-white text-sm hover:bg-slate-700 transition-colors"
+          >
+            Print order sheet
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-end gap-3 text-sm">
+        <label className="space-y-1">
+          <span className="block text-xs text-slate-700">portfolio notional (USD, optional)</span>
+          <input
+            type="number"
+            min="0"
+            step="1000"
+            value={notional}
+            onChange={(e) => setNotional(e.target.value)}
+            placeholder="e.g. 1000000"
+            className="w-44 px-3 py-2 rounded-xl border bg-white text-slate-900"
+          />
+        </label>
+        <label className="space-y-1">
+          <span className="block text-xs text-slate-700">minimum trade size</span>
+          <span className="flex gap-1">
+            <input
+              type="number"
+              min="0"
+              step={minTrade.unit === "usd" ? "100" : "0.1"}
+              value={minTrade.value}
+              onChange={(e) => setMinTrade((m) => ({ ...m, value: Math.max(0, Number(e.target.value) || 0) }))}
+              className="w-28 px-3 py-2 rounded-xl border bg-white text-slate-900"
+            />
+            <select
+              value={minTrade.unit}
+              onChange={(e) => setMinTrade((m) => ({ ...m, unit: e.target.value }))}
+              className="px-2 py-2 rounded-xl border bg-white text-slate-900"
+            >
+              <option value="pct">% of portfolio</option>
+              <option value="usd" disabled={!hasNotional}>
+                USD
+              </option>
+            </select>
+          </span>
+        </label>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-slate-600 border-b">
+              <th className="py-2 pr-3 font-normal">asset</th>
+              <th className="py-2 pr-3 font-normal">side</th>
+              <th className="py-2 pr-3 font-normal text-right">current</th>
+              <th className="py-2 pr-3 font-normal text-right">target</th>
+              <th className="py-2 pr-3 font-normal text-right">delta</th>
+              <th className="py-2 pr-3 font-normal text-right">est. cost</th>
+              {hasNotional && (
+                <>
+                  <th className="py-2 pr-3 font-normal text-right">amount</th>
+                  <th className="py-2 pr-3 font-normal">price</th>
+                  <th className="py-2 pr-3 font-normal text-right">shares</th>
+                </>
+              )}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r) => (
+              <tr key={r.asset} className={`border-b last:border-0 ${r.belowMin ? "bg-amber-50" : ""}`}>
+                <td className="py-1.5 pr-3 text-slate-900">
+                  {r.asset}
+                  {r.belowMin && <div className="text-xs text-amber-700">below minimum size</div>}
+                </td>
+                <td
+                  className={`py-1.5 pr-3 font-semibold ${
+                    r.side === "BUY" ? "text-green-700" : r.side === "SELL" ? "text-red-600" : "text-slate-500"
+                  }`}
+                >
+                  {r.side}
+                </td>
+                <td className="py-1.5 pr-3 text-right text-slate-700">{pct(r.current)}</td>
+                <td className="py-1.5 pr-3 text-right text-slate-700">{pct(r.target)}</td>
+                <td className="py-1.5 pr-3 text-right text-slate-900">{pct(r.delta)}</td>
+                <td className="py-1.5 pr-3 text-right text-slate-700">
+                  {hasNotional ? usd(r.costDollars) : pct(r.cost, 4)}
+                </td>
+                {hasNotional && (
+                  <>
+                    <td className="py-1.5 pr-3 text-right text-slate-900">{usd(r.dollars)}</td>
+                    <td className="py-1.5 pr-3">
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={prices[r.asset] ?? ""}
+                        onChange={(e) => setPrices((p) => ({ ...p, [r.asset]: e.target.value }))}
+                        placeholder="price"
+                        className="w-24 px-2 py-1 rounded-lg border bg-white text-slate-900"
+                      />
+                    </td>
+                    <td className="py-1.5 pr-3 text-right text-slate-900">
+                      {Number.isFinite(r.shares) ? r.shares.toLocaleString() : "—"}
+                    </td>
+                  </>
+                )}
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr className="border-t text-slate-900 font-semibold">
+              <td className="py-2 pr-3" colSpan={4}>
+                Total turnover
+              </td>
+              <td className="py-2 pr-3 text-right">{pct(totals.turnover)}</td>
+              <td className="py-2 pr-3 text-right">{hasNotional ? usd(totals.costDollars) : pct(totals.cost, 4)}</td>
+              {hasNotional && (
+                <td className="py-2 pr-3 text-right text-xs font-normal text-slate-600" colSpan={3}>
+                  buys {usd(totals.buys)} · sells {usd(totals.sells)}
+                </td>
+              )}
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+      {totals.flagged > 0 && (
+        <div className="text-xs text-amber-700">{totals.flagged} trade(s) below the minimum size are highlighted.</div>
+      )}
+    </div>
+  );
+}
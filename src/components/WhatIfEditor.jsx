@@ -0,0 +1,223 @@
+import { useEffect, useMemo, useState } from "react";
+import useWhatIf from "../hooks/useWhatIf.js";
+import { loadArtifact } from "../lib/artifacts.js";
+import { parseWeightsCSV } from "../lib/csv.js";
+import { ASSET_RETURNS_ARTIFACT, WHATIF_WINDOWS, missingAssets, parseAssetReturns, setWeight } from "../lib/whatIf.js";
+
+function pct(v, digits = 2) {
+  return Number.isFinite(v) ? `${(v * 100).toFixed(digits)}%` : "—";
+}
+
+// better: which direction is an improvement.
+const METRICS = [
+  { key: "mean", label: "Mean daily return", format: (v) => pct(v, 3), better: "higher" },
+  { key: "var", label: "VaR", format: (v) => pct(v), better: "lower" },
+  { key: "cvar", label: "CVaR", format: (v) => pct(v), better: "lower" },
+  { key: "turnover", label: "Turnover vs initial", format: (v) => pct(v), better: "lower" },
+  { key: "cost", label: "Transaction cost", format: (v) => pct(v, 3), better: "lower" },
+  { key: "total", label: "Sum of weights", format: (v) => pct(v), better: null },
+];
+
+async function loadInputs(runUrlBase, files, trainRatio) {
+  const [wText, rText] = await Promise.all([
+    loadArtifact(runUrlBase, files, "weights_opt.csv"),
+    loadArtifact(runUrlBase, files, ASSET_RETURNS_ARTIFACT).catch(() => null),
+  ]);
+  const weights = wText ? parseWeightsCSV(wText).filter((w) => Number.isFinite(w.weight)) : [];
+  return { weights, returns: rText ? parseAssetReturns(rText, trainRatio) : null };
+}
+
+// Interactive editor seeded with the optimized weights: re-scores the edited
+// portfolio against the run's per-asset return history and compares it with
+// the optimized baseline.
+export default function WhatIfEditor({ runUrlBase, files, alpha, trainRatio, costBps, wMax, longOnly }) {
+  const [inputs, setInputs] = useState(null);
+  const [error, setError] = useState("");
+  const [edited, setEdited] = useState(null);
+  const [locked, setLocked] = useState([]);
+  const [evalWindow, setEvalWindow] = useState("test");
+
+  useEffect(() => {
+    let cancelled = false;
+    loadInputs(runUrlBase, files, trainRatio)
+      .then((x) => {
+        if (cancelled) return;
+        setInputs(x);
+        setEdited(Object.fromEntries(x.weights.map((w) => [w.asset, w.weight])));
+      })
+      .catch((e) => !cancelled && setError(String(e?.message || e)));
+    return () => {
+      cancelled = true;
+    };
+  }, [runUrlBase, files, trainRatio]);
+
+  const baseline = useMemo(
+    () => Object.fromEntries((inputs?.weights || []).map((w) => [w.asset, w.weight])),
+    [inputs]
+  );
+  const initial = useMemo(() => {
+    const list = inputs?.weights || [];
+    return list.length && list.every((w) => Number.isFinite(w.initial))
+      ? Object.fromEntries(list.map((w) => [w.asset, w.initial]))
+      : null;
+  }, [inputs]);
+  const { results, error: scoreError } = useWhatIf(inputs?.returns || null, [baseline, edited || baseline], {
+    alpha,
+    window: evalWindow,
+    initial,
+    costBps,
+  });
+
+  if (error) return <div className="text-sm text-slate-500">What-if editor unavailable: {error}</div>;
+  if (!inputs || !edited) return <div className="text-sm text-slate-500">Loading weights...</div>;
+  if (!inputs.weights.length) return null;
+
+  const lo = longOnly ? 0 : -wMax;
+  const hi = wMax;
+  const missing = inputs.returns ? missingAssets(inputs.returns, baseline) : [];
+  const changed = inputs.weights.some((w) => Math.abs(edited[w.asset] - w.weight) > 1e-9);
+  // Don't leave the last good numbers up as if they matched the edited weights.
+  const [base, what] = (!scoreError && results) || [];
+
+  function update(asset, value) {
+    if (!Number.isFinite(value)) return;
+    setEdited((w) => setWeight(w, asset, Math.min(hi, Math.max(lo, value)), { locked, lo, hi }));
+  }
+
+  return (
+    <div className="border rounded-2xl p-4 space-y-4">
+      <div className="flex flex-wrap items-center gap-3">
+        <div className="font-semibold text-slate-900">What-if weights</div>
+        <select
+          value={evalWindow}
+          onChange={(e) => setEvalWindow(e.target.value)}
+          disabled={!inputs.returns}
+          className="px-2 py-1 rounded-lg border bg-white text-sm text-slate-900"
+        >
+          {WHATIF_WINDOWS.map((w) => (
+            <option key={w.value} value={w.value}>
+              {w.label}
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={() => setEdited(baseline)}
+          disabled={!changed}
+          className="ml-auto px-3 py-1.5 rounded-xl border bg-white text-sm text-slate-700 hover:bg-slate-50 disabled:opacity-50"
+        >
+          Reset to optimized
+        </button>
+      </div>
+      <div className="text-xs text-slate-600">
+        Moving a weight spreads the difference over the unlocked assets so the total stays at 100%. Risk is the
+        historical VaR/CVaR at alpha {alpha} over the selected window.
+      </div>
+      {!inputs.returns && (
+        <div className="text-sm text-amber-700">
+          This run has no per-asset return history ({ASSET_RETURNS_ARTIFACT}), so only turnover and cost are
+          recomputed.
+        </div>
+      )}
+      {scoreError && <div className="text-sm text-red-600">Could not score the weights: {scoreError}</div>}
+      {missing.length > 0 && (
+        <div className="text-sm text-amber-700">No return history for {missing.join(", ")}; they count as zero return.</div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-slate-600 border-b">
+              <th className="py-2 pr-3 font-normal">asset</th>
+              <th className="py-2 pr-3 font-normal">weight</th>
+              <th className="py-2 pr-3 font-normal text-right">optimized</th>
+              {initial && <th className="py-2 pr-3 font-normal text-right">initial</th>}
+              <th className="py-2 pr-3 font-normal text-center">lock</th>
+            </tr>
+          </thead>
+          <tbody>
+            {inputs.weights.map((w) => (
+              <tr key={w.asset} className="border-b last:border-0">
+                <td className="py-1.5 pr-3 text-slate-900">{w.asset}</td>
+                <td className="py-1.5 pr-3">
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="range"
+                      min={lo}
+                      max={hi}
+                      step="0.005"
+                      value={edited[w.asset]}
+                      disabled={locked.includes(w.asset)}
+                      onChange={(e) => update(w.asset, Number(e.target.value))}
+                      className="w-40"
+                    />
+                    <input
+                      type="number"
+                      step="0.5"
+                      value={Number((edited[w.asset] * 100).toFixed(2))}
+                      disabled={locked.includes(w.asset)}
+                      onChange={(e) => update(w.asset, Number(e.target.value) / 100)}
+                      className="w-20 px-2 py-1 rounded-lg border bg-white text-slate-900"
+                    />
+                    <span className="text-xs text-slate-500">%</span>
+                  </div>
+                </td>
+                <td className="py-1.5 pr-3 text-right text-slate-600">{pct(w.weight)}</td>
+                {initial && <td className="py-1.5 pr-3 text-right text-slate-600">{pct(w.initial)}</td>}
+                <td className="py-1.5 pr-3 text-center">
+                  <input
+                    type="checkbox"
+                    checked={locked.includes(w.asset)}
+                    onChange={(e) =>
+                      setLocked((l) => (e.target.checked ? [...l, w.asset] : l.filter((x) => x !== w.asset)))
+                    }
+                    className="w-4 h-4 rounded"
+                  />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-slate-600 border-b">
+              <th className="py-2 pr-3 font-normal">metric</th>
+              <th className="py-2 pr-3 font-normal text-right">optimized</th>
+              <th className="py-2 pr-3 font-normal text-right">what-if</th>
+              <th className="py-2 pr-3 font-normal text-right">change</th>
+            </tr>
+          </thead>
+          <tbody>
+            {METRICS.map((m) => {
+              const a = base?.[m.key];
+              const b = what?.[m.key];
+              const d = b - a;
+              const tone =
+                !m.better || !Number.isFinite(d) || Math.abs(d) < 1e-12
+                  ? "text-slate-500"
+                  : (d < 0) === (m.better === "lower")
+                    ? "text-green-700"
+                    : "text-red-600";
+              return (
+                <tr key={m.key} className="border-b last:border-0">
+                  <td className="py-1.5 pr-3 text-slate-900">
+                    {m.label}
+                    {(m.key === "var" || m.key === "cvar") && <span className="text-xs text-slate-500"> (alpha {alpha})</span>}
+                  </td>
+                  <td className="py-1.5 pr-3 text-right text-slate-700">{m.format(a)}</td>
+                  <td className="py-1.5 pr-3 text-right font-semibold text-slate-900">{m.format(b)}</td>
+                  <td className={`py-1.5 pr-3 text-right ${tone}`}>
+                    {Number.isFinite(d) ? `${d > 0 ? "+" : ""}${m.format(d)}` : "—"}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      {base?.days > 0 && <div className="text-xs text-slate-500">{base.days} trading days in the selected window.</div>}
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+import { useState } from "react";
+import { PALETTE, fmtTick, padRange, ticks } from "./axis.js";
+
+const W = 720;
+const H = 300;
+const PAD = { l: 64, r: 16, t: 16, b: 64 };
+
+// Grouped vertical bar chart. series: [{ name, values, color? }], one value per category.
+export default function BarChart({ categories, series, yFormat = fmtTick, title }) {
+  const [hover, setHover] = useState(null);
+  if (!categories.length || !series.length) return <div className="text-sm text-slate-500">No data to plot.</div>;
+
+  const shown = series.map((s, k) => ({ ...s, color: s.color || PALETTE[k % PALETTE.length] }));
+  const all = shown.flatMap((s) => s.values).filter(Number.isFinite);
+  const [y0, y1] = padRange(Math.min(0, ...all), Math.max(0, ...all));
+  const sy = (y) => H - PAD.b - ((y - y0) / (y1 - y0)) * (H - PAD.t - PAD.b);
+
+  const groupW = (W - PAD.l - PAD.r) / categories.length;
+  const barW = Math.max(2, (groupW * 0.8) / shown.length);
+  const rotate = categories.length > 8;
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-3">
+        {title && <div className="text-sm font-semibold text-slate-900 mr-auto">{title}</div>}
+        {shown.length > 1 &&
+          shown.map((s) => (
+            <span key={s.name} className="inline-flex items-center gap-1.5 text-xs text-slate-700">
+              <span className="w-2.5 h-2.5 rounded-sm" style={{ background: s.color }} />
+              {s.name}
+            </span>
+          ))}
+      </div>
+      <div className="relative">
+        <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto bg-white rounded-xl border">
+          {ticks(y0, y1).map((t) => (
+            <g key={`y${t}`}>
+              <line x1={PAD.l} x2={W - PAD.r} y1={sy(t)} y2={sy(t)} stroke="#e2e8f0" />
+              <text x={PAD.l - 6} y={sy(t) + 4} textAnchor="end" fontSize="11" fill="#64748b">
+                {yFormat(t)}
+              </text>
+            </g>
+          ))}
+          <line x1={PAD.l} x2={W - PAD.r} y1={sy(0)} y2={sy(0)} stroke="#94a3b8" />
+          {categories.map((c, ci) => {
+            const gx = PAD.l + ci * groupW;
+            const cx = gx + groupW / 2;
+            return (
+              <g key={c} onMouseEnter={() => setHover(ci)} onMouseLeave={() => setHover(null)}>
+                <rect x={gx} y={PAD.t} width={groupW} height={H - PAD.t - PAD.b} fill={hover === ci ? "#f1f5f9" : "transparent"} />
+                {shown.map((s, k) => {
+                  const v = s.values[ci];
+                  if (!Number.isFinite(v)) return null;
+                  const x = cx - (barW * shown.length) / 2 + k * barW;
+                  return (
+                    <rect
+                      key={s.name}
+                      x={x}
+                      y={Math.min(sy(v), sy(0))}
+                      width={barW - 1}
+                      height={Math.abs(sy(v) - sy(0))}
+                      fill={s.color}
+                    />
+                  );
+                })}
+                <text
+                  x={cx}
+                  y={H - PAD.b + 14}
+                  textAnchor={rotate ? "end" : "middle"}
+                  fontSize="11"
+                  fill="#475569"
+                  transform={rotate ? `rotate(-35 ${cx} ${H - PAD.b + 14})` : undefined}
+                >
+                  {c}
+                </text>
+              </g>
+            );
+          })}
+        </svg>
+        {hover !== null && (
+          <div className="absolute top-2 right-2 px-3 py-2 rounded-xl border bg-white shadow text-xs text-slate-800 pointer-events-none">
+            <div className="font-semibold">{categories[hover]}</div>
+            {shown.map((s) => (
+              <div key={s.name} className="flex items-center gap-1.5">
+                <span className="w-2 h-2 rounded-sm" style={{ background: s.color }} />
+                {s.name}: {Number.isFinite(s.values[hover]) ? yFormat(s.values[hover]) : "—"}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,257 @@
+import { useEffect, useRef, useState } from "react";
+import { PALETTE, fmtTick, padRange, svgPoint, ticks } from "./axis.js";
+
+const W = 720;
+const H = 300;
+const PAD = { l: 64, r: 16, t: 20, b: 36 };
+const PLOT_W = W - PAD.l - PAD.r;
+const MIN_SPAN = 5;
+const MAX_POINTS = 1500;
+
+function clampView(a, b, n) {
+  const span = b - a;
+  if (span >= n - 1) return null;
+  if (a < 0) return [0, span];
+  if (b > n - 1) return [n - 1 - span, n - 1];
+  return [a, b];
+}
+
+// Zooms the [a, b] index window around viewBox x position `px`.
+function zoomView([a, b], px, factor, n) {
+  const frac = Math.min(1, Math.max(0, (px - PAD.l) / PLOT_W));
+  const center = a + frac * (b - a);
+  const span = Math.min(n - 1, Math.max(MIN_SPAN, Math.round((b - a) * factor)));
+  const na = Math.round(center - frac * span);
+  return clampView(na, na + span, n);
+}
+
+// Interactive SVG line chart over evenly spaced points (e.g. trading days).
+// Wheel zooms, drag pans, double-click resets; legend entries toggle series.
+// series: [{ name, values, color?, area? }]; labels: one string per point.
+// split: { index, left, right } draws a divider (e.g. train/test).
+// focusIndex marks one point and opens the chart zoomed around it.
+export default function LineChart({ labels, series, yFormat = fmtTick, split, title, initiallyHidden = [], focusIndex }) {
+  const n = labels.length;
+  const [view, setView] = useState(() =>
+    focusIndex != null && focusIndex >= 0 ? clampView(focusIndex - 30, focusIndex + 30, n) : null
+  );
+  const [hidden, setHidden] = useState(initiallyHidden);
+  const [hover, setHover] = useState(null);
+  const svgRef = useRef(null);
+  const dragRef = useRef(null);
+
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg || n < MIN_SPAN) return;
+    function onWheel(e) {
+      e.preventDefault();
+      const { x } = svgPoint(svg, e, W, H);
+      setView((v) => zoomView(v || [0, n - 1], x, e.deltaY < 0 ? 0.8 : 1.25, n));
+    }
+    svg.addEventListener("wheel", onWheel, { passive: false });
+    return () => svg.removeEventListener("wheel", onWheel);
+  }, [n]);
+
+  if (!n || !series.length) return <div className="text-sm text-slate-500">No data to plot.</div>;
+
+  const [i0, i1] = view || [0, n - 1];
+  const shown = series.map((s, k) => ({ ...s, color: s.color || PALETTE[k % PALETTE.length] }));
+  const visible = shown.filter((s) => !hidden.includes(s.name));
+
+  const inView = visible.flatMap((s) => s.values.slice(i0, i1 + 1)).filter(Number.isFinite);
+  const anyArea = visible.some((s) => s.area);
+  const [y0, y1] = padRange(
+    Math.min(anyArea ? 0 : Infinity, ...(inView.length ? inView : [0])),
+    Math.max(anyArea ? 0 : -Infinity, ...(inView.length ? inView : [0]))
+  );
+
+  const sx = (i) => PAD.l + ((i - i0) / Math.max(1, i1 - i0)) * PLOT_W;
+  const sy = (y) => H - PAD.b - ((y - y0) / (y1 - y0)) * (H - PAD.t - PAD.b);
+  const stride = Math.max(1, Math.ceil((i1 - i0 + 1) / MAX_POINTS));
+
+  function pathFor(values) {
+    let d = "";
+    let pen = false;
+    for (let i = i0; i <= i1; i += stride) {
+      const v = values[i];
+      if (!Number.isFinite(v)) {
+        pen = false;
+        continue;
+      }
+      d += `${pen ? "L" : "M"}${sx(i).toFixed(1)},${sy(v).toFixed(1)}`;
+      pen = true;
+    }
+    return d;
+  }
+
+  function indexAt(e) {
+    const { x } = svgPoint(svgRef.current, e, W, H);
+    const i = Math.round(i0 + ((x - PAD.l) / PLOT_W) * (i1 - i0));
+    return Math.min(i1, Math.max(i0, i));
+  }
+
+  function onPointerDown(e) {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { x: svgPoint(svgRef.current, e, W, H).x, view: [i0, i1] };
+  }
+
+  function onPointerMove(e) {
+    const drag = dragRef.current;
+    if (drag && view) {
+      const { x } = svgPoint(svgRef.current, e, W, H);
+      const [a, b] = drag.view;
+      const shift = Math.round(((drag.x - x) / PLOT_W) * (b - a));
+      setView(clampView(a + shift, b + shift, n) || view);
+      setHover(null);
+    } else if (!drag) {
+      setHover(indexAt(e));
+    }
+  }
+
+  function onPointerUp() {
+    dragRef.current = null;
+  }
+
+  const splitVisible = split && split.index > i0 && split.index < i1;
+  const xTicks = [...new Set(ticks(i0, i1, 6).map(Math.round))];
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        {title && <div className="text-sm font-semibold text-slate-900 mr-auto">{title}</div>}
+        {shown.length > 1 &&
+          shown.map((s) => (
+            <button
+              key={s.name}
+              onClick={() =>
+                setHidden((h) => (h.includes(s.name) ? h.filter((x) => x !== s.name) : [...h, s.name]))
+              }
+              className={`inline-flex items-center gap-1.5 px-2 py-0.5 rounded-lg border bg-white text-xs ${
+                hidden.includes(s.name) ? "text-slate-400" : "text-slate-700"
+              }`}
+            >
+              <span className="w-3 h-0.5" style={{ background: hidden.includes(s.name) ? "#cbd5e1" : s.color }} />
+              {s.name}
+            </button>
+          ))}
+        {view && (
+          <button
+            onClick={() => setView(null)}
+            className="px-2 py-0.5 rounded-lg border bg-white text-xs text-blue-700 hover:bg-blue-50"
+          >
+            Reset zoom
+          </button>
+        )}
+      </div>
+
+      <div className="relative">
+        <svg
+          ref={svgRef}
+          viewBox={`0 0 ${W} ${H}`}
+          className={`w-full h-auto bg-white rounded-xl border select-none touch-none ${view ? "cursor-grab" : ""}`}
+          onPointerDown={onPointerDown}
+          onPointerMove={onPointerMove}
+          onPointerUp={onPointerUp}
+          onPointerLeave={() => {
+            dragRef.current = null;
+            setHover(null);
+          }}
+          onDoubleClick={() => setView(null)}
+        >
+          {splitVisible && (
+            <rect
+              x={sx(split.index)}
+              y={PAD.t}
+              width={sx(i1) - sx(split.index)}
+              height={H - PAD.t - PAD.b}
+              fill="#f1f5f9"
+            />
+          )}
+          {ticks(y0, y1).map((t) => (
+            <g key={`y${t}`}>
+              <line x1={PAD.l} x2={W - PAD.r} y1={sy(t)} y2={sy(t)} stroke="#e2e8f0" />
+              <text x={PAD.l - 6} y={sy(t) + 4} textAnchor="end" fontSize="11" fill="#64748b">
+                {yFormat(t)}
+              </text>
+            </g>
+          ))}
+          {xTicks.map((i) => (
+            <text key={`x${i}`} x={sx(i)} y={H - PAD.b + 16} textAnchor="middle" fontSize="11" fill="#64748b">
+              {labels[i]}
+            </text>
+          ))}
+          {y0 < 0 && y1 > 0 && <line x1={PAD.l} x2={W - PAD.r} y1={sy(0)} y2={sy(0)} stroke="#94a3b8" />}
+          {splitVisible && (
+            <g>
+              <line
+                x1={sx(split.index)}
+                x2={sx(split.index)}
+                y1={PAD.t}
+                y2={H - PAD.b}
+                stroke="#475569"
+                strokeDasharray="4 3"
+              />
+              <text x={sx(split.index) - 6} y={PAD.t - 6} textAnchor="end" fontSize="11" fill="#475569">
+                {split.left}
+              </text>
+              <text x={sx(split.index) + 6} y={PAD.t - 6} fontSize="11" fill="#475569">
+                {split.right}
+              </text>
+            </g>
+          )}
+          {focusIndex >= i0 && focusIndex <= i1 && (
+            <line
+              x1={sx(focusIndex)}
+              x2={sx(focusIndex)}
+              y1={PAD.t}
+              y2={H - PAD.b}
+              stroke="#f97316"
+              strokeWidth="2"
+            />
+          )}
+          {visible.map((s) => {
+            const d = pathFor(s.values);
+            return (
+              <g key={s.name}>
+                {s.area && d && (
+                  <path
+                    d={`${d}L${sx(i1).toFixed(1)},${sy(0).toFixed(1)}L${sx(i0).toFixed(1)},${sy(0).toFixed(1)}Z`}
+                    fill={s.color}
+                    fillOpacity="0.15"
+                  />
+                )}
+                <path d={d} fill="none" stroke={s.color} strokeWidth="1.5" />
+              </g>
+            );
+          })}
+          {hover !== null && (
+            <g>
+              <line x1={sx(hover)} x2={sx(hover)} y1={PAD.t} y2={H - PAD.b} stroke="#94a3b8" />
+              {visible.map((s) =>
+                Number.isFinite(s.values[hover]) ? (
+                  <circle key={s.name} cx={sx(hover)} cy={sy(s.values[hover])} r="3.5" fill={s.color} />
+                ) : null
+              )}
+            </g>
+          )}
+        </svg>
+
+        {hover !== null && (
+          <div
+            className="absolute top-2 px-3 py-2 rounded-xl border bg-white shadow text-xs text-slate-800 pointer-events-none"
+            style={sx(hover) > W / 2 ? { right: `${((W - sx(hover)) / W) * 100 + 2}%` } : { left: `${(sx(hover) / W) * 100 + 2}%` }}
+          >
+            <div className="font-semibold">{labels[hover]}</div>
+            {visible.map((s) => (
+              <div key={s.name} className="flex items-center gap-1.5">
+                <span className="w-2 h-2 rounded-full" style={{ background: s.color }} />
+                {s.name}: {Number.isFinite(s.values[hover]) ? yFormat(s.values[hover]) : "—"}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+      <div className="text-xs text-slate-500">Scroll to zoom, drag to pan, double-click to reset.</div>
+    </div>
+  );
+}
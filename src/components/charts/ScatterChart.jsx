@@ -0,0 +1,83 @@
+import { useState } from "react";
+import { fmtTick, padRange, ticks } from "./axis.js";
+
+const W = 640;
+const H = 320;
+const PAD = { l: 64, r: 16, t: 16, b: 44 };
+
+// Small SVG scatter/line chart. points: [{ x, y, label }].
+export default function ScatterChart({ points, xLabel, yLabel, connect = false, color = "#2563eb" }) {
+  const [hover, setHover] = useState(null);
+  const pts = points.filter((p) => Number.isFinite(p.x) && Number.isFinite(p.y));
+  if (!pts.length) return <div className="text-sm text-slate-500">No data to plot yet.</div>;
+
+  const xs = pts.map((p) => p.x);
+  const ys = pts.map((p) => p.y);
+  const [x0, x1] = padRange(Math.min(...xs), Math.max(...xs));
+  const [y0, y1] = padRange(Math.min(...ys), Math.max(...ys));
+  const sx = (x) => PAD.l + ((x - x0) / (x1 - x0)) * (W - PAD.l - PAD.r);
+  const sy = (y) => H - PAD.b - ((y - y0) / (y1 - y0)) * (H - PAD.t - PAD.b);
+
+  const line = connect
+    ? [...pts]
+        .sort((a, b) => a.x - b.x)
+        .map((p, i) => `${i ? "L" : "M"}${sx(p.x)},${sy(p.y)}`)
+        .join(" ")
+    : null;
+
+  return (
+    <div className="relative">
+      <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto bg-white rounded-xl border">
+        {ticks(y0, y1).map((t) => (
+          <g key={`y${t}`}>
+            <line x1={PAD.l} x2={W - PAD.r} y1={sy(t)} y2={sy(t)} stroke="#e2e8f0" />
+            <text x={PAD.l - 6} y={sy(t) + 4} textAnchor="end" fontSize="11" fill="#64748b">
+              {fmtTick(t)}
+            </text>
+          </g>
+        ))}
+        {ticks(x0, x1).map((t) => (
+          <text key={`x${t}`} x={sx(t)} y={H - PAD.b + 16} textAnchor="middle" fontSize="11" fill="#64748b">
+            {fmtTick(t)}
+          </text>
+        ))}
+        <text x={(W + PAD.l) / 2} y={H - 6} textAnchor="middle" fontSize="12" fill="#334155">
+          {xLabel}
+        </text>
+        <text
+          x={14}
+          y={(H - PAD.b) / 2}
+          textAnchor="middle"
+          fontSize="12"
+          fill="#334155"
+          transform={`rotate(-90 14 ${(H - PAD.b) / 2})`}
+        >
+          {yLabel}
+        </text>
+        {line && <path d={line} fill="none" stroke={color} strokeOpacity="0.5" strokeWidth="1.5" />}
+        {pts.map((p, i) => (
+          <circle
+            key={i}
+            cx={sx(p.x)}
+            cy={sy(p.y)}
+            r={hover === i ? 6 : 4}
+            fill={p.color || color}
+            onMouseEnter={() => setHover(i)}
+            onMouseLeave={() => setHover(null)}
+          />
+        ))}
+      </svg>
+      {hover !== null && pts[hover] && (
+        <div className="absolute top-2 right-2 px-3 py-2 rounded-xl border bg-white shadow text-xs text-slate-800">
+          {pts[hover].label && <div className="font-semibold">{pts[hover].label}</div>}
+          <div>
+            {xLabel}: {fmtTick(pts[hover].x)}
+          </div>
+          <div>
+            {yLabel}: {fmtTick(pts[hover].y)}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,21 @@
+import { padRange } from "./axis.js";
+
+// Tiny inline line chart without axes, for table cells.
+export default function Sparkline({ values, width = 120, height = 28, color = "#2563eb" }) {
+  if (values.length < 2) return null;
+  const [lo, hi] = padRange(Math.min(...values), Math.max(...values));
+  const x = (i) => (i / (values.length - 1)) * width;
+  const y = (v) => height - 1 - ((v - lo) / (hi - lo)) * (height - 2);
+  const zero = lo < 0 && hi > 0 ? y(0) : null;
+  return (
+    <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} className="block">
+      {zero !== null && <line x1={0} x2={width} y1={zero} y2={zero} stroke="#e2e8f0" />}
+      <polyline
+        points={values.map((v, i) => `${x(i).toFixed(1)},${y(v).toFixed(1)}`).join(" ")}
+        fill="none"
+        stroke={color}
+        strokeWidth="1.2"
+      />
+    </svg>
+  );
+}
@@ -0,0 +1,124 @@
+import { useRef, useState } from "react";
+import { PALETTE, fmtTick, padRange, svgPoint, ticks } from "./axis.js";
+
+const W = 720;
+const H = 300;
+const PAD = { l: 64, r: 16, t: 16, b: 64 };
+const PLOT_W = W - PAD.l - PAD.r;
+
+// Stacked step-area chart: each label starts a period that holds its values
+// until the next one (e.g. weights between rebalance dates). series: [{ name,
+// values, color? }]. Positive values stack up from 0, negative ones down;
+// missing values count as 0.
+export default function StackedAreaChart({ labels, series, yFormat = fmtTick, title }) {
+  const [hover, setHover] = useState(null);
+  const svgRef = useRef(null);
+  const n = labels.length;
+  if (!n || !series.length) return <div className="text-sm text-slate-500">No data to plot.</div>;
+
+  const up = Array(n).fill(0);
+  const down = Array(n).fill(0);
+  const bands = series.map((s, k) => {
+    const lo = [];
+    const hi = [];
+    labels.forEach((_, i) => {
+      const v = Number.isFinite(s.values[i]) ? s.values[i] : 0;
+      if (v >= 0) {
+        lo.push(up[i]);
+        hi.push((up[i] += v));
+      } else {
+        hi.push(down[i]);
+        lo.push((down[i] += v));
+      }
+    });
+    return { ...s, color: s.color || PALETTE[k % PALETTE.length], lo, hi };
+  });
+
+  const [y0, y1] = padRange(Math.min(0, ...down), Math.max(0, ...up));
+  const colW = PLOT_W / n;
+  const sx = (i) => PAD.l + i * colW;
+  const sy = (y) => H - PAD.b - ((y - y0) / (y1 - y0)) * (H - PAD.t - PAD.b);
+
+  function bandPath({ lo, hi }) {
+    const top = hi.map((v, i) => `${i ? "L" : "M"}${sx(i).toFixed(1)},${sy(v).toFixed(1)}L${sx(i + 1).toFixed(1)},${sy(v).toFixed(1)}`);
+    const bottom = lo
+      .map((v, i) => `L${sx(i + 1).toFixed(1)},${sy(v).toFixed(1)}L${sx(i).toFixed(1)},${sy(v).toFixed(1)}`)
+      .reverse();
+    return `${top.join("")}${bottom.join("")}Z`;
+  }
+
+  const every = Math.max(1, Math.ceil(n / 12));
+  const rotate = n > 6;
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-3">
+        {title && <div className="text-sm font-semibold text-slate-900 mr-auto">{title}</div>}
+        {bands.map((s) => (
+          <span key={s.name} className="inline-flex items-center gap-1.5 text-xs text-slate-700">
+            <span className="w-2.5 h-2.5 rounded-sm" style={{ background: s.color }} />
+            {s.name}
+          </span>
+        ))}
+      </div>
+      <div className="relative">
+        <svg
+          ref={svgRef}
+          viewBox={`0 0 ${W} ${H}`}
+          className="w-full h-auto bg-white rounded-xl border select-none"
+          onPointerMove={(e) => {
+            const { x } = svgPoint(svgRef.current, e, W, H);
+            const i = Math.floor((x - PAD.l) / colW);
+            setHover(i >= 0 && i < n ? i : null);
+          }}
+          onPointerLeave={() => setHover(null)}
+        >
+          {ticks(y0, y1).map((t) => (
+            <g key={`y${t}`}>
+              <line x1={PAD.l} x2={W - PAD.r} y1={sy(t)} y2={sy(t)} stroke="#e2e8f0" />
+              <text x={PAD.l - 6} y={sy(t) + 4} textAnchor="end" fontSize="11" fill="#64748b">
+                {yFormat(t)}
+              </text>
+            </g>
+          ))}
+          {bands.map((s) => (
+            <path key={s.name} d={bandPath(s)} fill={s.color} fillOpacity="0.75" stroke={s.color} strokeWidth="0.5" />
+          ))}
+          <line x1={PAD.l} x2={W - PAD.r} y1={sy(0)} y2={sy(0)} stroke="#94a3b8" />
+          {hover !== null && (
+            <rect x={sx(hover)} y={PAD.t} width={colW} height={H - PAD.t - PAD.b} fill="#0f172a" fillOpacity="0.08" />
+          )}
+          {labels.map((label, i) =>
+            i % every === 0 ? (
+              <text
+                key={label}
+                x={sx(i)}
+                y={H - PAD.b + 14}
+                textAnchor={rotate ? "end" : "start"}
+                fontSize="11"
+                fill="#475569"
+                transform={rotate ? `rotate(-35 ${sx(i)} ${H - PAD.b + 14})` : undefined}
+              >
+                {label}
+              </text>
+            ) : null
+          )}
+        </svg>
+        {hover !== null && (
+          <div
+            className="absolute top-2 px-3 py-2 rounded-xl border bg-white shadow text-xs text-slate-800 pointer-events-none"
+            style={sx(hover) > W / 2 ? { left: "2%" } : { right: "2%" }}
+          >
+            <div className="font-semibold">{labels[hover]}</div>
+            {bands.map((s) => (
+              <div key={s.name} className="flex items-center gap-1.5">
+                <span className="w-2 h-2 rounded-sm" style={{ background: s.color }} />
+                {s.name}: {Number.isFinite(s.values[hover]) ? yFormat(s.values[hover]) : "—"}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,34 @@
+// Shared helpers for the SVG charts.
+
+export const PALETTE = ["#2563eb", "#dc2626", "#16a34a", "#d97706", "#7c3aed", "#0891b2", "#db2777", "#4b5563"];
+
+export function ticks(lo, hi, n = 5) {
+  if (lo === hi) return [lo];
+  return Array.from({ length: n }, (_, i) => lo + ((hi - lo) * i) / (n - 1));
+}
+
+export function fmtTick(v) {
+  const a = Math.abs(v);
+  if (a !== 0 && (a < 0.001 || a >= 100000)) return v.toExponential(1);
+  return Number(v.toPrecision(3)).toString();
+}
+
+export function fmtPct(v, digits = 1) {
+  return `${(v * 100).toFixed(digits)}%`;
+}
+
+// Widens a degenerate [lo, hi] so a flat series still gets a visible axis.
+export function padRange(lo, hi) {
+  if (lo !== hi) return [lo, hi];
+  const d = Math.abs(lo || 1) * 0.1;
+  return [lo - d, hi + d];
+}
+
+// Converts a pointer event to SVG viewBox x/y.
+export function svgPoint(svg, e, width, height) {
+  const rect = svg.getBoundingClientRect();
+  return {
+    x: ((e.clientX - rect.left) * width) / rect.width,
+    y: ((e.clientY - rect.top) * height) / rect.height,
+  };
+}
@@ -0,0 +1,49 @@
+import { useRef, useState } from "react";
+import useSweep from "./useSweep.js";
+import { runWalkForward } from "../lib/rebalance.js";
+
+// Drives a rebalance backtest. The whole schedule goes to the backend as one
+// walk-forward run when it supports that (state in `walkForward`: { status,
+// run_id, error, summary, periods }); otherwise every date is submitted as
+// its own run through the sweep machinery (state in `members`).
+export default function useRebalance({ onMemberUpdate, onWalkForwardUpdate } = {}) {
+  const sweep = useSweep({ onMemberUpdate });
+  const [walkForward, setWalkForward] = useState(null);
+  const [walking, setWalking] = useState(false);
+  const abortRef = useRef(null);
+
+  async function start(plan, scheduleFile, config, concurrency) {
+    const ctrl = new AbortController();
+    abortRef.current = ctrl;
+    setWalkForward(null);
+    setWalking(true);
+    let runId = null;
+    const supported = await runWalkForward({
+      portfolioFile: scheduleFile,
+      config,
+      signal: ctrl.signal,
+      onUpdate: (patch) => {
+        if (patch.run_id) runId = patch.run_id;
+        setWalkForward((w) => ({ ...w, ...patch }));
+        onWalkForwardUpdate?.(runId, patch);
+      },
+    });
+    setWalking(false);
+    if (supported || ctrl.signal.aborted) return;
+
+    const members = plan.map((m) => ({
+      ...m,
+      portfolioFile: new File([m.csv], `portfolio_${m.params.date}.csv`, { type: "text/csv" }),
+    }));
+    await sweep.start(members, null, concurrency);
+  }
+
+  // A walk-forward run stops being tracked; per-date runs stop being
+  // submitted (those already on the backend are still followed).
+  function stop() {
+    abortRef.current?.abort();
+    sweep.stop();
+  }
+
+  return { members: sweep.members, walkForward, running: walking || sweep.running, start, stop };
+}
@@ -0,0 +1,52 @@
+import { useRef, useState } from "react";
+import { runPool, runSweepMember } from "../lib/sweep.js";
+
+// Drives a parameter sweep: submits every planned member with a concurrency
+// limit and tracks each one's status independently. `onMemberUpdate(member,
+// patch)` lets the caller mirror progress elsewhere (e.g. run history). A
+// member may carry its own `portfolioFile` (rebalance dates do).
+export default function useSweep({ onMemberUpdate } = {}) {
+  const [members, setMembers] = useState([]);
+  const [running, setRunning] = useState(false);
+  const stopRef = useRef(false);
+
+  function update(index, patch) {
+    setMembers((ms) => ms.map((m) => (m.index === index ? { ...m, ...patch } : m)));
+  }
+
+  async function start(plan, portfolioFile, concurrency) {
+    stopRef.current = false;
+    setMembers(plan.map((m) => ({ ...m, status: m.skip ? "skipped" : "pending", error: m.skip })));
+    setRunning(true);
+
+    const todo = plan.filter((m) => !m.skip);
+    await runPool(
+      todo,
+      concurrency,
+      (m) => {
+        let runId = null;
+        return runSweepMember({
+          portfolioFile: m.portfolioFile || portfolioFile,
+          config: m.config,
+          onUpdate: (patch) => {
+            if (patch.run_id) runId = patch.run_id;
+            update(m.index, patch);
+            onMemberUpdate?.({ ...m, run_id: runId }, patch);
+          },
+        });
+      },
+      () => stopRef.current
+    );
+
+    setMembers((ms) => ms.map((m) => (m.status === "pending" ? { ...m, status: "cancelled" } : m)));
+    setRunning(false);
+  }
+
+  // Stops submitting new members; runs already on the backend keep going and
+  // are still tracked to completion.
+  function stop() {
+    stopRef.current = true;
+  }
+
+  return { members, running, start, stop };
+}
@@ -0,0 +1,81 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { evaluateWeights } from "../lib/whatIf.js";
+
+const HAS_WORKER = typeof Worker !== "undefined";
+
+// Scores each weight set in `weightSets` with evaluateWeights in a Web Worker.
+// While the worker is busy only the newest request is kept, so dragging a
+// slider never queues up stale work. Without Worker support (e.g. in tests)
+// the sets are scored inline. Returns { results, error }: results is null
+// until the first ones arrive, error the message when scoring failed.
+export default function useWhatIf(data, weightSets, options) {
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState(null);
+  const workerRef = useRef(null);
+  const queueRef = useRef({ busy: false, pending: null, id: 0 });
+  const key = JSON.stringify({ weightSets, options });
+
+  useEffect(() => {
+    if (!HAS_WORKER) return;
+    const worker = new Worker(new URL("../workers/whatIf.worker.js", import.meta.url), { type: "module" });
+    const queue = queueRef.current;
+    // Sends the newest waiting request, or marks the worker idle.
+    const next = () => {
+      if (!queue.pending) {
+        queue.busy = false;
+        return false;
+      }
+      worker.postMessage(queue.pending);
+      queue.pending = null;
+      return true;
+    };
+    worker.onmessage = (e) => {
+      if (next()) return;
+      setError(null);
+      setResults(e.data.results);
+    };
+    // A throw inside the worker (e.g. on a malformed asset_returns.csv) must
+    // not leave the queue stuck as busy.
+    worker.onerror = worker.onmessageerror = (e) => {
+      e.preventDefault();
+      if (next()) return;
+      setError(e.message || "Scoring failed in the worker.");
+    };
+    workerRef.current = worker;
+    return () => {
+      worker.terminate();
+      workerRef.current = null;
+      queue.busy = false;
+      queue.pending = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    workerRef.current?.postMessage({ type: "data", data });
+  }, [data]);
+
+  useEffect(() => {
+    const worker = workerRef.current;
+    if (!worker) return;
+    const queue = queueRef.current;
+    const msg = { type: "eval", id: ++queue.id, ...JSON.parse(key) };
+    if (queue.busy) {
+      queue.pending = msg;
+    } else {
+      queue.busy = true;
+      worker.postMessage(msg);
+    }
+  }, [data, key]);
+
+  const inline = useMemo(() => {
+    if (HAS_WORKER) return null;
+    const request = JSON.parse(key);
+    try {
+      return { results: request.weightSets.map((w) => evaluateWeights(data, w, request.options)), error: null };
+    } catch (e) {
+      return { results: null, error: String(e?.message || e) };
+    }
+  }, [data, key]);
+
+  return HAS_WORKER ? { results, error } : inline;
+}
@@ -0,0 +1,74 @@
+import { act, renderHook } from "@testing-library/react";
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+// Stands in for the what-if worker; the test decides when it answers or fails.
+class FakeWorker {
+  static last = null;
+
+  constructor() {
+    this.sent = [];
+    FakeWorker.last = this;
+  }
+
+  postMessage(msg) {
+    this.sent.push(msg);
+  }
+
+  terminate() {}
+
+  evals() {
+    return this.sent.filter((m) => m.type === "eval");
+  }
+}
+
+async function loadHook() {
+  vi.stubGlobal("Worker", FakeWorker);
+  vi.resetModules();
+  return (await import("./useWhatIf.js")).default;
+}
+
+describe("useWhatIf with a worker", () => {
+  beforeEach(() => {
+    FakeWorker.last = null;
+  });
+
+  it("keeps only the newest request while the worker is busy", async () => {
+    const useWhatIf = await loadHook();
+    const { result, rerender } = renderHook(({ sets }) => useWhatIf(null, sets, {}), {
+      initialProps: { sets: [{ A: 1 }] },
+    });
+    const worker = FakeWorker.last;
+    rerender({ sets: [{ A: 0.9 }] });
+    rerender({ sets: [{ A: 0.8 }] });
+    expect(worker.evals()).toHaveLength(1);
+
+    act(() => worker.onmessage({ data: { id: 1, results: ["stale"] } }));
+    expect(worker.evals().at(-1).weightSets).toEqual([{ A: 0.8 }]);
+    expect(result.current.results).toBeNull();
+
+    act(() => worker.onmessage({ data: { id: 3, results: ["fresh"] } }));
+    expect(result.current).toEqual({ results: ["fresh"], error: null });
+  });
+
+  it("recovers from an error in the worker and reports it", async () => {
+    const useWhatIf = await loadHook();
+    const { result, rerender } = renderHook(({ sets }) => useWhatIf(null, sets, {}), {
+      initialProps: { sets: [{ A: 1 }] },
+    });
+    const worker = FakeWorker.last;
+    const fail = () => worker.onerror({ message: "Bad returns", preventDefault: () => {} });
+
+    rerender({ sets: [{ A: 0.9 }] });
+    act(fail);
+    expect(worker.evals()).toHaveLength(2);
+    expect(result.current.error).toBeNull();
+
+    act(fail);
+    expect(result.current.error).toBe("Bad returns");
+
+    rerender({ sets: [{ A: 0.5 }] });
+    expect(worker.evals()).toHaveLength(3);
+    act(() => worker.onmessage({ data: { id: 3, results: ["ok"] } }));
+    expect(result.current).toEqual({ results: ["ok"], error: null });
+  });
+});
@@ -0,0 +1,220 @@
+import { BUILTIN_BACKEND, connectionFor } from "./backends.js";
+import { localResponse } from "./localRuns.js";
+
+// Client for the optimizer backend. All requests go through `request`, which
+// adds the configured base URL and auth header, checks the response shape and
+// turns every failure into an ApiError. Requests for runs of the in-browser
+// engine are answered locally (see localRuns.js).
+
+let settings = connectionFor(BUILTIN_BACKEND);
+
+// { baseUrl, apiKey, authHeader }. With authHeader "Authorization" the key is
+// sent as a Bearer token; any other header name gets the key as is. The UI
+// sets this from the active backend profile (see backends.js).
+export function configureApi(patch) {
+  settings = { ...settings, ...patch, baseUrl: String(patch.baseUrl ?? settings.baseUrl).replace(/\/+$/, "") };
+}
+
+export function apiSettings() {
+  return settings;
+}
+
+function authHeaders(conn) {
+  if (!conn.apiKey) return {};
+  return conn.authHeader === "Authorization" ? { Authorization: `Bearer ${conn.apiKey}` } : { [conn.authHeader]: conn.apiKey };
+}
+
+// kind: "http" (non-2xx), "network" (no response), "invalid" (unexpected
+// body). `status` is 0 when there was no response; `detail` is the backend's
+// error text when it sent one.
+export class ApiError extends Error {
+  constructor({ kind, method, path, status = 0, detail = "" }) {
+    super(`${method} ${path} failed: ${status ? `${status}${detail ? ` ${detail}` : ""}` : detail}`);
+    this.name = "ApiError";
+    this.kind = kind;
+    this.method = method;
+    this.path = path;
+    this.status = status;
+    this.detail = detail;
+    this.retryable = kind === "network" || status === 408 || status === 429 || status >= 500;
+  }
+}
+
+// FastAPI sends { detail: string | [{ loc, msg }] }; others use error/message.
+function detailFrom(text) {
+  try {
+    const body = JSON.parse(text);
+    const d = body?.detail ?? body?.error ?? body?.message;
+    if (Array.isArray(d)) return d.map((x) => (x?.loc ? `${x.loc.join(".")}: ${x.msg}` : x?.msg || JSON.stringify(x))).join("; ");
+    if (d != null) return typeof d === "string" ? d : JSON.stringify(d);
+  } catch {
+    // Not JSON: use the text.
+  }
+  return text.trim().slice(0, 300);
+}
+
+function isObject(x) {
+  return x != null && typeof x === "object" && !Array.isArray(x);
+}
+
+// `path` is relative to the base URL or absolute. `expect` checks the parsed
+// body and returns an error message when it has the wrong shape. Statuses in
+// `allow` resolve to null instead of throwing. `conn` overrides the
+// configured settings for this one request.
+async function request(method, path, { body, headers, signal, as = "json", expect, allow = [], conn = settings } = {}) {
+  const url = /^https?:\/\//.test(path) ? path : `${conn.baseUrl}${path}`;
+  const label = url.startsWith(conn.baseUrl) ? url.slice(conn.baseUrl.length) : url;
+  let res;
+  try {
+    res =
+      localResponse(method, url) ??
+      (await fetch(url, { method, body, signal, headers: { ...headers, ...authHeaders(conn) } }));
+  } catch (e) {
+    if (e?.name === "AbortError") throw e;
+    throw new ApiError({ kind: "network", method, path: label, detail: String(e?.message || e) });
+  }
+  if (allow.includes(res.status)) return null;
+  if (!res.ok) {
+    throw new ApiError({ kind: "http", method, path: label, status: res.status, detail: detailFrom(await res.text().catch(() => "")) });
+  }
+  if (as === "response") return res;
+  if (as === "text") return res.text();
+
+  const text = await res.text();
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new ApiError({ kind: "invalid", method, path: label, status: res.status, detail: "response is not JSON" });
+  }
+  const problem = expect?.(data);
+  if (problem) throw new ApiError({ kind: "invalid", method, path: label, status: res.status, detail: problem });
+  return data;
+}
+
+export function runUrlBase(id) {
+  return `${settings.baseUrl}/runs/${id}`;
+}
+
+export function artifactUrl(id, path) {
+  return `${runUrlBase(id)}/${path}`;
+}
+
+// EventSource can't send headers, so there is no stream URL while an API key
+// is set; callers fall back to polling.
+export function runEventsUrl(id) {
+  return settings.apiKey ? null : `${settings.baseUrl}/api/runs/${id}/events`;
+}
+
+// POST /api/runs → { run_id }.
+export function createRun({ portfolioFile, config, doMemo = false, memoModel = "", signal }) {
+  const fd = new FormData();
+  fd.append("portfolio", portfolioFile);
+  fd.append("config_json", JSON.stringify(config));
+  fd.append("do_memo", doMemo ? "true" : "false");
+  if (memoModel.trim()) fd.append("memo_model", memoModel.trim());
+  return request("POST", "/api/runs", {
+    body: fd,
+    signal,
+    expect: (d) => (typeof d?.run_id === "string" && d.run_id ? null : "missing run_id"),
+  });
+}
+
+// POST /api/rebalance with a multi-date portfolio → { run_id } of one
+// walk-forward run, or null when the backend only takes single-date runs.
+export function createRebalanceRun({ portfolioFile, config, signal }) {
+  const fd = new FormData();
+  fd.append("portfolio", portfolioFile);
+  fd.append("config_json", JSON.stringify(config));
+  return request("POST", "/api/rebalance", {
+    body: fd,
+    signal,
+    allow: [404, 405, 501],
+    expect: (d) => (typeof d?.run_id === "string" && d.run_id ? null : "missing run_id"),
+  });
+}
+
+// GET /api/runs/{id} → { status, files: string[], progress?, error? }.
+export async function getRunStatus(id, { signal } = {}) {
+  const st = await request("GET", `/api/runs/${id}`, {
+    signal,
+    expect: (d) => {
+      if (!isObject(d) || typeof d.status !== "string") return "missing status";
+      if (d.files != null && !Array.isArray(d.files)) return "files is not a list";
+      return null;
+    },
+  });
+  return { ...st, files: (st.files || []).filter((f) => typeof f === "string") };
+}
+
+export function getRunSummary(id, { signal } = {}) {
+  return request("GET", `/api/runs/${id}/summary`, { signal, expect: (d) => (isObject(d) ? null : "summary is not an object") });
+}
+
+// The memo is usually JSON; plain text is passed through as a string.
+function jsonOrText(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+export async function getRunMemo(id, { signal } = {}) {
+  return jsonOrText(await request("GET", `/api/runs/${id}/memo`, { signal, as: "text" }));
+}
+
+// Generates a new memo for a finished run (POST /api/runs/{id}/memo with
+// { memo_model }). Resolves like getRunMemo.
+export async function generateMemo(id, { model = "", signal } = {}) {
+  const text = await request("POST", `/api/runs/${id}/memo`, {
+    body: JSON.stringify({ memo_model: model }),
+    headers: { "Content-Type": "application/json" },
+    signal,
+    as: "text",
+  });
+  return jsonOrText(text);
+}
+
+// GET /api/memo/models, or null when the backend doesn't list its models.
+export function getMemoModels({ signal } = {}) {
+  return request("GET", "/api/memo/models", { signal, allow: [404, 405, 501] });
+}
+
+// Asks the backend to stop a run. Resolves false when the server has no
+// cancel endpoint, in which case the run keeps going server-side.
+export async function cancelRun(id) {
+  const res = await request("POST", `/api/runs/${id}/cancel`, { as: "response", allow: [404, 405, 501] });
+  return res !== null;
+}
+
+// GET /api/config/schema, or null when the backend doesn't publish one.
+export function getConfigSchema({ signal } = {}) {
+  return request("GET", "/api/config/schema", { signal, allow: [404, 405, 501] });
+}
+
+// Fetches an artifact (absolute URL or a path relative to the base URL) with
+// the auth header. Resolves to the Response for the caller to read.
+export function fetchArtifact(url, { signal } = {}) {
+  return request("GET", url, { signal, as: "response" });
+}
+
+// Connection check for a backend (the configured one unless `conn` is given):
+// GET /api/health, falling back to the config schema endpoint when there is
+// no health route. Resolves { level: "ok" | "warn" | "error", message, ms }.
+export async function checkHealth(conn = settings, { signal } = {}) {
+  const started = Date.now();
+  const done = (level, message) => ({ level, message, ms: Date.now() - started });
+  try {
+    const health = await request("GET", "/api/health", { conn, signal, as: "text", allow: [404, 405] });
+    if (health !== null) return done("ok", "Connected");
+    const schema = await request("GET", "/api/config/schema", { conn, signal, as: "text", allow: [404, 405] });
+    return schema !== null
+      ? done("ok", "Connected")
+      : done("warn", "Server answered, but has no /api/health; it may not be the optimizer backend.");
+  } catch (e) {
+    if (e?.name === "AbortError") throw e;
+    if (e.status === 401 || e.status === 403) return done("error", `Rejected the credentials (${e.status}).`);
+    return done("error", e.kind === "network" ? "Unreachable (network error or CORS)." : e.message);
+  }
+}
@@ -0,0 +1,116 @@
+import { afterEach, describe, expect, it } from "vitest";
+import { fakeBackend, json } from "../test/fakeBackend.js";
+import {
+  ApiError,
+  apiSettings,
+  artifactUrl,
+  configureApi,
+  createRun,
+  fetchArtifact,
+  getRunStatus,
+  getRunSummary,
+  runEventsUrl,
+  runUrlBase,
+} from "./api.js";
+
+const BASE = "http://127.0.0.1:8000";
+
+afterEach(() => {
+  configureApi({ baseUrl: BASE, apiKey: "", authHeader: "Authorization" });
+});
+
+describe("createRun", () => {
+  it("posts the portfolio and config as form data", async () => {
+    const backend = fakeBackend({ runId: "abc" });
+    const file = new File(["date,SPY\n2024-01-02,1\n"], "portfolio.csv", { type: "text/csv" });
+
+    const res = await createRun({ portfolioFile: file, config: { alpha: 0.05 }, doMemo: true, memoModel: " gpt-4o " });
+
+    expect(res).toEqual({ run_id: "abc" });
+    const [call] = backend.calls;
+    expect(call.method).toBe("POST");
+    expect(call.path).toBe("/api/runs");
+    expect(JSON.parse(call.body.get("config_json"))).toEqual({ alpha: 0.05 });
+    expect(call.body.get("do_memo")).toBe("true");
+    expect(call.body.get("memo_model")).toBe("gpt-4o");
+    expect(call.body.get("portfolio").name).toBe("portfolio.csv");
+  });
+
+  it("rejects a response without run_id", async () => {
+    fakeBackend({ routes: { "POST /api/runs": () => json(200, { ok: true }) } });
+    const err = await createRun({ portfolioFile: new File([""], "p.csv"), config: {} }).catch((e) => e);
+    expect(err).toBeInstanceOf(ApiError);
+    expect(err.kind).toBe("invalid");
+    expect(err.detail).toBe("missing run_id");
+  });
+});
+
+describe("request errors", () => {
+  it("reports the backend's detail and marks 5xx as retryable", async () => {
+    fakeBackend({ routes: { "GET /api/runs/r1": () => json(503, { detail: "busy" }) } });
+    const err = await getRunStatus("r1").catch((e) => e);
+    expect(err.kind).toBe("http");
+    expect(err.status).toBe(503);
+    expect(err.detail).toBe("busy");
+    expect(err.retryable).toBe(true);
+    expect(err.message).toBe("GET /api/runs/r1 failed: 503 busy");
+  });
+
+  it("flattens FastAPI validation errors", async () => {
+    fakeBackend({
+      routes: { "GET /api/runs/r1/summary": () => json(422, { detail: [{ loc: ["body", "alpha"], msg: "too big" }] }) },
+    });
+    const err = await getRunSummary("r1").catch((e) => e);
+    expect(err.detail).toBe("body.alpha: too big");
+    expect(err.retryable).toBe(false);
+  });
+
+  it("turns a failed fetch into a network error", async () => {
+    const backend = fakeBackend();
+    backend.fetch.mockRejectedValueOnce(new TypeError("Failed to fetch"));
+    const err = await getRunStatus("r1").catch((e) => e);
+    expect(err.kind).toBe("network");
+    expect(err.status).toBe(0);
+    expect(err.retryable).toBe(true);
+  });
+
+  it("checks the status payload shape", async () => {
+    fakeBackend({ routes: { "GET /api/runs/r1": () => json(200, { status: "done", files: "summary.json" }) } });
+    const err = await getRunStatus("r1").catch((e) => e);
+    expect(err.kind).toBe("invalid");
+    expect(err.detail).toBe("files is not a list");
+  });
+
+  it("drops non-string file entries", async () => {
+    fakeBackend({ runId: "r1", statuses: [{ status: "done", files: ["a.csv", 3, null, "b.png"] }] });
+    expect((await getRunStatus("r1")).files).toEqual(["a.csv", "b.png"]);
+  });
+});
+
+describe("artifact links", () => {
+  it("builds run and artifact URLs from the base URL", () => {
+    configureApi({ baseUrl: "https://opt.example.com/" });
+    expect(apiSettings().baseUrl).toBe("https://opt.example.com");
+    expect(runUrlBase("r1")).toBe("https://opt.example.com/runs/r1");
+    expect(artifactUrl("r1", "figures/weights.png")).toBe("https://opt.example.com/runs/r1/figures/weights.png");
+    expect(runEventsUrl("r1")).toBe("https://opt.example.com/api/runs/r1/events");
+  });
+
+  it("sends the API key with artifact requests and drops the event stream", async () => {
+    configureApi({ apiKey: "secret", authHeader: "Authorization" });
+    const backend = fakeBackend({ runId: "r1", files: { "weights_opt.csv": "asset,w_opt\nSPY,1\n" } });
+
+    const res = await fetchArtifact(artifactUrl("r1", "weights_opt.csv"));
+
+    expect(await res.text()).toBe("asset,w_opt\nSPY,1\n");
+    expect(backend.calls[0].headers).toEqual({ Authorization: "Bearer secret" });
+    expect(runEventsUrl("r1")).toBeNull();
+  });
+
+  it("uses a custom header name as is", async () => {
+    configureApi({ apiKey: "secret", authHeader: "X-API-Key" });
+    const backend = fakeBackend({ runId: "r1" });
+    await getRunStatus("r1");
+    expect(backend.calls[0].headers).toEqual({ "X-API-Key": "secret" });
+  });
+});
@@ -0,0 +1,50 @@
+import { fetchArtifact } from "./api.js";
+
+// Helpers for the files a run publishes under /runs/{run_id}/ (listed in status.files).
+
+export const CHART_ARTIFACTS = ["portfolio_returns_full.csv", "objective_history.csv", "weights_opt.csv"];
+
+// Resolves a bare artifact name to its path in status.files, wherever it lives.
+export function findArtifact(files, name) {
+  return (files || []).find((f) => f === name || f.endsWith(`/${name}`));
+}
+
+const textCache = new Map();
+
+// Fetches an artifact as text. Results are cached per URL so several panels can
+// read the same file without refetching; failed fetches are not cached.
+export function loadArtifact(runUrlBase, files, name) {
+  const path = findArtifact(files, name);
+  if (!path) return Promise.resolve(null);
+  const url = `${runUrlBase}/${path}`;
+  if (!textCache.has(url)) {
+    const p = fetchArtifact(url).then((res) => res.text());
+    p.catch(() => textCache.delete(url));
+    textCache.set(url, p);
+  }
+  return textCache.get(url);
+}
+
+const ARTIFACT_GROUPS = [
+  { id: "data", title: "Data", test: (f) => /\.(csv|tsv|parquet|xlsx?)$/i.test(f) },
+  { id: "figures", title: "Figures", test: (f) => /\.(png|jpe?g|svg|gif|webp|pdf)$/i.test(f) },
+  { id: "reports", title: "Summary & reports", test: (f) => /\.(json|md|txt|html?|log)$/i.test(f) },
+  { id: "other", title: "Other", test: () => true },
+];
+
+// The primary outputs, listed first within their group.
+const KEY_ARTIFACTS = ["summary.json", "weights_opt.csv", "trades.csv", "objective_history.csv", "portfolio_returns_full.csv"];
+
+// Sorts every file in status.files into display groups: [{ id, title, files }].
+export function groupArtifacts(files) {
+  const rank = (f) => {
+    const i = KEY_ARTIFACTS.findIndex((name) => f === name || f.endsWith(`/${name}`));
+    return i === -1 ? KEY_ARTIFACTS.length : i;
+  };
+  const sorted = [...new Set(files || [])].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+  return ARTIFACT_GROUPS.map((g) => ({
+    id: g.id,
+    title: g.title,
+    files: sorted.filter((f) => ARTIFACT_GROUPS.find((x) => x.test(f)) === g),
+  })).filter((g) => g.files.length);
+}
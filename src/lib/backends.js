@@ -0,0 +1,76 @@
+import { API_BASE } from "./config.js";
+
+// Backend profiles the UI can switch between at runtime, persisted in
+// localStorage as { profiles: [...], activeId }. A profile is
+//   { id, name, baseUrl, auth: "none" | "bearer" | "header", token, header }
+// where "bearer" sends `Authorization: Bearer <token>` and "header" sends the
+// token under the `header` name (e.g. X-API-Key). The built-in profile comes
+// from the build-time VITE_API_* settings and can't be edited or removed.
+
+const STORAGE_KEY = "cvar.backends.v1";
+
+const ENV_KEY = import.meta.env.VITE_API_KEY || "";
+const ENV_HEADER = import.meta.env.VITE_API_AUTH_HEADER || "Authorization";
+
+export const BUILTIN_BACKEND = {
+  id: "default",
+  name: "Default",
+  baseUrl: API_BASE,
+  auth: !ENV_KEY ? "none" : ENV_HEADER === "Authorization" ? "bearer" : "header",
+  token: ENV_KEY,
+  header: ENV_HEADER === "Authorization" ? "X-API-Key" : ENV_HEADER,
+  builtin: true,
+};
+
+export function normalizeBaseUrl(url) {
+  return String(url || "").trim().replace(/\/+$/, "");
+}
+
+// Error message for a profile being added or edited, or null.
+export function profileError(profile, profiles) {
+  if (!profile.name.trim()) return "Give the backend a name.";
+  if (profiles.some((p) => p.id !== profile.id && p.name === profile.name.trim())) return "That name is already used.";
+  try {
+    const u = new URL(normalizeBaseUrl(profile.baseUrl));
+    if (!/^https?:$/.test(u.protocol)) return "Base URL must start with http:// or https://.";
+  } catch {
+    return "Base URL is not a valid URL, e.g. http://127.0.0.1:8000.";
+  }
+  if (profile.auth !== "none" && !profile.token.trim()) return "Enter the token or key, or set auth to none.";
+  if (profile.auth === "header" && !/^[\w-]+$/.test(profile.header.trim())) return "Header name must be letters, digits or dashes.";
+  return null;
+}
+
+export function loadBackends() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+    const profiles = (Array.isArray(saved?.profiles) ? saved.profiles : []).filter(
+      (p) => p && typeof p.id === "string" && typeof p.baseUrl === "string" && p.id !== BUILTIN_BACKEND.id
+    );
+    const all = [BUILTIN_BACKEND, ...profiles];
+    return { profiles: all, activeId: all.some((p) => p.id === saved?.activeId) ? saved.activeId : BUILTIN_BACKEND.id };
+  } catch {
+    return { profiles: [BUILTIN_BACKEND], activeId: BUILTIN_BACKEND.id };
+  }
+}
+
+export function saveBackends({ profiles, activeId }) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ profiles: profiles.filter((p) => !p.builtin), activeId }));
+  } catch {
+    // Storage full or disabled: the choice lasts until reload.
+  }
+}
+
+export function activeBackend({ profiles, activeId }) {
+  return profiles.find((p) => p.id === activeId) || BUILTIN_BACKEND;
+}
+
+// Settings for configureApi() / checkHealth().
+export function connectionFor(profile) {
+  return {
+    baseUrl: normalizeBaseUrl(profile.baseUrl),
+    apiKey: profile.auth === "none" ? "" : profile.token,
+    authHeader: profile.auth === "header" ? profile.header.trim() : "Authorization",
+  };
+}
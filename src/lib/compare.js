@@ -0,0 +1,47 @@
+import { DEFAULT_CONFIG } from "./config.js";
+
+export const COMPARE_METRICS = [
+  { key: "train_cvar", label: "Train CVaR", get: (s) => s.train?.cvar, digits: 4, better: "lower" },
+  { key: "test_cvar", label: "Test CVaR", get: (s) => s.test?.cvar, digits: 4, better: "lower" },
+  { key: "train_mean", label: "Train Mean", get: (s) => s.train?.mean, digits: 6, better: "higher" },
+  { key: "test_mean", label: "Test Mean", get: (s) => s.test?.mean, digits: 6, better: "higher" },
+  { key: "turnover", label: "Turnover", get: (s) => s.turnover, digits: 4, better: "lower" },
+];
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Config keys worth showing when comparing runs: anything that differs from
+// DEFAULT_CONFIG or between the runs. `configs` may contain null for runs whose
+// config is unknown; those don't make a key interesting on their own.
+export function configDiff(configs) {
+  const known = configs.filter(Boolean);
+  const keys = [...new Set([...Object.keys(DEFAULT_CONFIG), ...known.flatMap((c) => Object.keys(c))])];
+
+  return keys
+    .filter((key) => {
+      const values = known.map((c) => c[key]);
+      return values.some((v) => !same(v, DEFAULT_CONFIG[key])) || values.some((v) => !same(v, values[0]));
+    })
+    .map((key) => ({ key, defaultValue: DEFAULT_CONFIG[key], values: configs.map((c) => (c ? c[key] : undefined)) }));
+}
+
+// Index of the best run for a metric, or -1 if fewer than two runs have it.
+export function bestIndex(metric, summaries) {
+  const values = summaries.map((s) => (s ? Number(metric.get(s)) : NaN));
+  const finite = values.filter(Number.isFinite);
+  if (finite.length < 2) return -1;
+  const target = metric.better === "lower" ? Math.min(...finite) : Math.max(...finite);
+  return values.indexOf(target);
+}
+
+// Union of assets across runs, in first-seen order: [{ asset, weights: [w per run] }].
+export function weightsOverlay(weightLists) {
+  const assets = [];
+  weightLists.forEach((list) => (list || []).forEach((w) => !assets.includes(w.asset) && assets.push(w.asset)));
+  return assets.map((asset) => ({
+    asset,
+    weights: weightLists.map((list) => list?.find((w) => w.asset === asset)?.weight),
+  }));
+}
@@ -0,0 +1,338 @@
+export const API_BASE = import.meta.env.VITE_API_BASE || "http://127.0.0.1:8000";
+
+// Config schema: one entry per config_json field, in form order. Types are
+// "int", "number", "enum" and "boolean"; min/max are inclusive. `enabledWhen`
+// lists field values the field depends on (it is ignored by the backend
+// otherwise). Defaults, help text, the form layout, clamping and validation
+// are all derived from this list. The backend may override it (see
+// normalizeSchema).
+
+export const CONFIG_GROUPS = [
+  { id: "data", title: "Data window" },
+  { id: "risk", title: "Risk objective" },
+  { id: "constraints", title: "Constraints & cost" },
+  { id: "annealing", title: "Simulated annealing" },
+  { id: "other", title: "Other" },
+];
+
+export const CONFIG_SCHEMA = [
+  {
+    key: "lookback_days",
+    type: "int",
+    default: 504,
+    min: 50,
+    step: 1,
+    group: "data",
+    help: "How many past trading days to use (e.g., 504 ≈ ~2 years).",
+  },
+  {
+    key: "train_ratio",
+    type: "number",
+    default: 0.7,
+    min: 0.5,
+    max: 0.9,
+    step: 0.05,
+    group: "data",
+    help: "Fraction of the window used for optimization. The rest is test (recent).",
+  },
+  {
+    key: "objective",
+    type: "enum",
+    default: "min_cvar",
+    group: "risk",
+    options: [
+      { value: "min_cvar", label: "min_cvar (minimize tail risk)" },
+      { value: "mean_minus_lambda_cvar", label: "mean_minus_lambda_cvar (return − λ·risk)" },
+    ],
+    help: "min_cvar = focus only on crash risk. mean_minus_lambda_cvar balances return vs tail risk.",
+  },
+  {
+    key: "alpha",
+    type: "number",
+    default: 0.05,
+    min: 0.01,
+    max: 0.2,
+    step: 0.01,
+    group: "risk",
+    help: "CVaR tail level. 0.05 means 'worst 5% days'.",
+  },
+  {
+    key: "lambda",
+    type: "number",
+    default: 0.5,
+    min: 0,
+    step: 0.1,
+    group: "risk",
+    enabledWhen: { objective: "mean_minus_lambda_cvar" },
+    help: "Risk aversion. Higher lambda = more defensive portfolio (only used in mean_minus_lambda_cvar).",
+  },
+  {
+    key: "long_only",
+    type: "boolean",
+    default: true,
+    group: "constraints",
+    help: "Disallow short positions: every weight must be ≥ 0.",
+  },
+  {
+    key: "w_max",
+    type: "number",
+    default: 0.6,
+    min: 0.05,
+    max: 1,
+    step: 0.05,
+    group: "constraints",
+    help: "Max weight per asset (caps concentration). Must be ≥ 1/N for feasibility.",
+  },
+  {
+    key: "turnover_max",
+    type: "number",
+    default: 0.5,
+    min: 0,
+    max: 2,
+    step: 0.05,
+    group: "constraints",
+    help: "Max total rebalancing amount. Lower = less trading.",
+  },
+  {
+    key: "transaction_cost_bps",
+    type: "number",
+    default: 10.0,
+    min: 0,
+    step: 1,
+    group: "constraints",
+    help: "Trading cost in basis points (10 bps = 0.10%) per 1.0 turnover.",
+  },
+  {
+    key: "iters",
+    type: "int",
+    default: 4000,
+    min: 200,
+    max: 20000,
+    step: 500,
+    group: "annealing",
+    help: "Simulated annealing iterations. More = better search but slower.",
+  },
+  {
+    key: "step_size",
+    type: "number",
+    default: 0.05,
+    min: 0.001,
+    max: 0.5,
+    step: 0.01,
+    group: "annealing",
+    help: "How big each random move in weights is.",
+  },
+  {
+    key: "init_temp",
+    type: "number",
+    default: 1.0,
+    min: 0.001,
+    step: 0.1,
+    group: "annealing",
+    help: "Start temperature (more exploration).",
+  },
+  {
+    key: "final_temp",
+    type: "number",
+    default: 0.001,
+    min: 0.000001,
+    step: 0.0005,
+    group: "annealing",
+    help: "End temperature (more exploitation). Must be below init_temp.",
+  },
+  {
+    key: "seed",
+    type: "int",
+    default: 42,
+    step: 1,
+    group: "annealing",
+    help: "Random seed (repeatable results).",
+  },
+  {
+    key: "penalty_turnover",
+    type: "number",
+    default: 50.0,
+    min: 0,
+    step: 5,
+    group: "annealing",
+    help: "How hard we punish exceeding turnover_max.",
+  },
+  {
+    key: "penalty_invalid",
+    type: "number",
+    default: 1000000.0,
+    min: 0,
+    step: 1000,
+    group: "annealing",
+    help: "Penalty added for weights that break the constraints. Keep it large so the search stays feasible.",
+  },
+];
+
+export function schemaDefaults(schema) {
+  return Object.fromEntries(schema.map((f) => [f.key, f.default]));
+}
+
+export const DEFAULT_CONFIG = schemaDefaults(CONFIG_SCHEMA);
+
+function specFor(key, schema) {
+  return schema.find((f) => f.key === key);
+}
+
+function isNumeric(spec) {
+  return spec?.type === "number" || spec?.type === "int";
+}
+
+function toNum(v) {
+  if (typeof v === "number") return v;
+  return typeof v === "string" && v.trim() !== "" ? Number(v) : NaN;
+}
+
+export function isFieldEnabled(spec, config) {
+  return Object.entries(spec.enabledWhen || {}).every(([k, v]) => config[k] === v);
+}
+
+// Keeps what the user typed: numbers as numbers, anything else (e.g. an empty
+// box) as the raw string so it can be reported instead of silently replaced.
+export function parseFieldInput(key, raw, schema = CONFIG_SCHEMA) {
+  const spec = specFor(key, schema);
+  if (!isNumeric(spec)) return raw;
+  const x = toNum(raw);
+  return Number.isFinite(x) ? x : raw;
+}
+
+// Error message for one field value, or null when it is valid.
+export function fieldError(spec, value) {
+  if (isNumeric(spec)) {
+    const x = toNum(value);
+    if (!Number.isFinite(x)) return "Enter a number.";
+    if (spec.type === "int" && !Number.isInteger(x)) return "Must be a whole number.";
+    if (spec.min != null && x < spec.min) return `Must be ≥ ${spec.min}.`;
+    if (spec.max != null && x > spec.max) return `Must be ≤ ${spec.max}.`;
+  } else if (spec?.type === "enum") {
+    if (!spec.options.some((o) => o.value === value)) return `Must be one of ${spec.options.map((o) => o.value).join(", ")}.`;
+  } else if (spec?.type === "boolean") {
+    if (typeof value !== "boolean") return "Must be true or false.";
+  }
+  return null;
+}
+
+// Rules spanning several fields; `uses` lists the other fields a rule reads.
+// `ctx.assetCount` is the portfolio size when known.
+const CROSS_RULES = [
+  {
+    field: "final_temp",
+    uses: ["init_temp"],
+    check: (c) =>
+      Number(c.final_temp) < Number(c.init_temp) ? null : `Must be below init_temp (${c.init_temp}).`,
+  },
+  {
+    field: "w_max",
+    uses: [],
+    check: (c, ctx) =>
+      !ctx.assetCount || Number(c.w_max) * ctx.assetCount >= 1 - 1e-9
+        ? null
+        : `w_max × ${ctx.assetCount} assets < 1, so weights can't sum to 1. Use at least ${(1 / ctx.assetCount).toFixed(4)}.`,
+  },
+];
+
+// Per-field errors for the whole config: { key: message }. Fields disabled by
+// a dependency are skipped; cross-field rules only run once both sides are valid.
+export function validateConfigFields(config, { schema = CONFIG_SCHEMA, assetCount } = {}) {
+  const errors = {};
+  schema.forEach((spec) => {
+    if (!isFieldEnabled(spec, config)) return;
+    const err = fieldError(spec, config[spec.key]);
+    if (err) errors[spec.key] = err;
+  });
+  CROSS_RULES.forEach((rule) => {
+    if (!specFor(rule.field, schema) || [rule.field, ...rule.uses].some((k) => errors[k])) return;
+    const err = rule.check(config, { assetCount });
+    if (err) errors[rule.field] = err;
+  });
+  return errors;
+}
+
+// Pulls a value into its field's range (or back to the default when it isn't
+// a number). Used where a usable value is needed without asking, e.g. sweep
+// values and imported configs.
+export function clampConfigValue(key, value, schema = CONFIG_SCHEMA) {
+  const spec = specFor(key, schema);
+  if (!isNumeric(spec)) return value;
+  let x = toNum(value);
+  if (!Number.isFinite(x)) return spec.default;
+  if (spec.type === "int") x = Math.floor(x);
+  if (spec.min != null) x = Math.max(spec.min, x);
+  if (spec.max != null) x = Math.min(spec.max, x);
+  return x;
+}
+
+// Checks an imported config object against the known keys and ranges. Returns
+// { config, issues } where config is DEFAULT_CONFIG overlaid with every usable
+// value (out-of-range numbers clamped); issues use the same
+// { level, field, message } shape as portfolio validation.
+export function validateConfig(obj, schema = CONFIG_SCHEMA) {
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) {
+    return { config: null, issues: [{ level: "error", message: "Config must be a JSON object." }] };
+  }
+  const issues = [];
+  const config = schemaDefaults(schema);
+  Object.entries(obj).forEach(([key, value]) => {
+    const spec = specFor(key, schema);
+    if (!spec) {
+      issues.push({ level: "warning", field: key, message: `Unknown key "${key}" ignored.` });
+      return;
+    }
+    if (isNumeric(spec)) {
+      const x = toNum(value);
+      if (!Number.isFinite(x)) {
+        issues.push({ level: "error", field: key, message: `${key} must be a number (got ${JSON.stringify(value)}).` });
+        return;
+      }
+      config[key] = clampConfigValue(key, x, schema);
+      if (config[key] !== x) {
+        issues.push({ level: "warning", field: key, message: `${key} = ${x} is out of range; using ${config[key]}.` });
+      }
+      return;
+    }
+    const err = fieldError(spec, value);
+    if (err) issues.push({ level: "error", field: key, message: `${key}: ${err}` });
+    else config[key] = value;
+  });
+  return { config, issues };
+}
+
+const JSON_SCHEMA_TYPES = { integer: "int", number: "number", boolean: "boolean" };
+
+// Accepts either a list of field specs in the format above (optionally under
+// `fields`) or a JSON Schema object with `properties`, and merges it over the
+// built-in schema: backend values win, unknown fields are appended under
+// "Other". Returns null when nothing usable is found.
+export function normalizeSchema(data, base = CONFIG_SCHEMA) {
+  let fields = Array.isArray(data) ? data : Array.isArray(data?.fields) ? data.fields : null;
+  if (!fields && data?.properties && typeof data.properties === "object") {
+    fields = Object.entries(data.properties).map(([key, p]) => ({
+      key,
+      type: p.enum ? "enum" : JSON_SCHEMA_TYPES[p.type],
+      default: p.default,
+      min: p.minimum,
+      max: p.maximum,
+      step: p.multipleOf,
+      help: p.description,
+      options: p.enum?.map((v) => ({ value: v, label: v })),
+    }));
+  }
+  if (!fields) return null;
+
+  const merged = base.map((f) => ({ ...f }));
+  fields
+    .filter((f) => f && typeof f.key === "string")
+    .forEach((f) => {
+      const known = merged.find((m) => m.key === f.key);
+      const patch = Object.fromEntries(Object.entries(f).filter(([, v]) => v !== undefined && v !== null));
+      if (known) Object.assign(known, patch);
+      else if (["int", "number", "enum", "boolean"].includes(patch.type) && patch.default !== undefined) {
+        merged.push({ group: "other", step: patch.type === "int" ? 1 : "any", ...patch });
+      }
+    });
+  return merged;
+}
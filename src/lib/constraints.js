@@ -0,0 +1,168 @@
+// Per-asset bounds and group limits. Editor state keeps the raw input strings:
+//   { assets: { [ticker]: { min, max, group } }, groups: { [name]: { min, max } } }
+// and is serialized into config_json as
+//   asset_bounds: { [ticker]: { min?, max? } }
+//   group_constraints: [{ name, assets, min?, max? }]
+// Per-asset bounds narrow the global ones (w_max, and 0 when long_only).
+
+export const EMPTY_CONSTRAINTS = { assets: {}, groups: {} };
+
+const TOL = 1e-9;
+
+function parseBound(v) {
+  if (v === "" || v == null) return null;
+  const x = Number(v);
+  return Number.isFinite(x) ? x : NaN;
+}
+
+function fmt(x) {
+  return Number(x.toFixed(4)).toString();
+}
+
+// Group names in use, in first-seen ticker order.
+export function groupNames(constraints, tickers) {
+  return [...new Set(tickers.map((t) => constraints.assets[t]?.group?.trim()).filter(Boolean))];
+}
+
+export function constraintsToConfig(constraints, tickers) {
+  const out = {};
+  const bounds = {};
+  tickers.forEach((t) => {
+    const a = constraints.assets[t];
+    const min = parseBound(a?.min);
+    const max = parseBound(a?.max);
+    if (Number.isFinite(min) || Number.isFinite(max)) {
+      bounds[t] = {
+        ...(Number.isFinite(min) ? { min } : {}),
+        ...(Number.isFinite(max) ? { max } : {}),
+      };
+    }
+  });
+  if (Object.keys(bounds).length) out.asset_bounds = bounds;
+
+  const groups = groupNames(constraints, tickers)
+    .map((name) => {
+      const g = constraints.groups[name];
+      const min = parseBound(g?.min);
+      const max = parseBound(g?.max);
+      return {
+        name,
+        assets: tickers.filter((t) => constraints.assets[t]?.group?.trim() === name),
+        ...(Number.isFinite(min) ? { min } : {}),
+        ...(Number.isFinite(max) ? { max } : {}),
+      };
+    })
+    .filter((g) => "min" in g || "max" in g);
+  if (groups.length) out.group_constraints = groups;
+  return out;
+}
+
+// Splits asset_bounds / group_constraints back out of a stored config, e.g.
+// when loading a past run's config into the form.
+export function constraintsFromConfig(config) {
+  const { asset_bounds: bounds, group_constraints: groups, ...rest } = config || {};
+  const constraints = { assets: {}, groups: {} };
+  Object.entries(bounds || {}).forEach(([t, b]) => {
+    constraints.assets[t] = { min: b?.min ?? "", max: b?.max ?? "", group: "" };
+  });
+  (Array.isArray(groups) ? groups : []).forEach((g) => {
+    if (!g?.name) return;
+    constraints.groups[g.name] = { min: g.min ?? "", max: g.max ?? "" };
+    (g.assets || []).forEach((t) => {
+      constraints.assets[t] = { min: "", max: "", ...constraints.assets[t], group: g.name };
+    });
+  });
+  return { config: rest, constraints };
+}
+
+// Input errors and a feasibility check: can weights within every asset's
+// bounds and every group's limits sum to 1? Groups are disjoint (one tag per
+// asset), so each group's reachable total is an interval and the check is
+// exact. Also warns when the current weights break a bound, with the least
+// turnover needed to fix that. Issues: { level, ticker?, group?, message }.
+export function checkConstraints(constraints, portfolio, config) {
+  const issues = [];
+  const assets = portfolio?.assets || [];
+  const tickers = assets.map((a) => a.ticker);
+  const serialized = constraintsToConfig(constraints, tickers);
+  const longOnly = config.long_only !== false;
+  const wMax = Number(config.w_max);
+
+  const ranges = tickers.map((t) => {
+    const a = constraints.assets[t] || {};
+    const min = parseBound(a.min);
+    const max = parseBound(a.max);
+    if (Number.isNaN(min)) issues.push({ level: "error", ticker: t, message: `${t}: min is not a number.` });
+    if (Number.isNaN(max)) issues.push({ level: "error", ticker: t, message: `${t}: max is not a number.` });
+    if (longOnly && min < 0) {
+      issues.push({ level: "error", ticker: t, message: `${t}: negative min needs long_only off.` });
+    }
+    const lo = Math.max(longOnly ? 0 : -wMax, Number.isFinite(min) ? min : -Infinity);
+    const hi = Math.min(wMax, Number.isFinite(max) ? max : Infinity);
+    if (lo > hi + TOL) {
+      issues.push({ level: "error", ticker: t, message: `${t}: min ${fmt(lo)} is above max ${fmt(hi)} (w_max ${wMax}).` });
+    }
+    return { ticker: t, lo, hi, group: a.group?.trim() || "" };
+  });
+
+  groupNames(constraints, tickers).forEach((name) => {
+    const g = constraints.groups[name] || {};
+    if (Number.isNaN(parseBound(g.min)) || Number.isNaN(parseBound(g.max))) {
+      issues.push({ level: "error", group: name, message: `Group ${name}: limits must be numbers.` });
+    }
+  });
+  if (issues.some((x) => x.level === "error")) return issues;
+  if (!serialized.asset_bounds && !serialized.group_constraints) return issues;
+
+  // Reachable total per block: each group, and each ungrouped asset on its own.
+  const blocks = [];
+  groupNames(constraints, tickers).forEach((name) => {
+    const members = ranges.filter((r) => r.group === name);
+    const g = constraints.groups[name] || {};
+    const lo = Math.max(members.reduce((s, r) => s + r.lo, 0), parseBound(g.min) ?? -Infinity);
+    const hi = Math.min(members.reduce((s, r) => s + r.hi, 0), parseBound(g.max) ?? Infinity);
+    if (lo > hi + TOL) {
+      issues.push({
+        level: "error",
+        group: name,
+        message: `Group ${name}: limits can't be met; its assets allow ${fmt(members.reduce((s, r) => s + r.lo, 0))} to ${fmt(
+          members.reduce((s, r) => s + r.hi, 0)
+        )} in total.`,
+      });
+    }
+    blocks.push({ lo, hi });
+  });
+  ranges.filter((r) => !r.group).forEach((r) => blocks.push(r));
+
+  const minTotal = blocks.reduce((s, b) => s + b.lo, 0);
+  const maxTotal = blocks.reduce((s, b) => s + b.hi, 0);
+  if (minTotal > 1 + TOL) {
+    issues.push({ level: "error", message: `Infeasible: the minimums add up to ${fmt(minTotal)}, above 1.` });
+  } else if (maxTotal < 1 - TOL) {
+    issues.push({ level: "error", message: `Infeasible: the maximums add up to ${fmt(maxTotal)}, below 1.` });
+  }
+
+  // Current weights outside their bounds (informational: the optimizer moves them).
+  let excess = 0;
+  ranges.forEach((r, i) => {
+    const w = Number(assets[i].weight);
+    if (!Number.isFinite(w)) return;
+    const gap = w > r.hi ? w - r.hi : w < r.lo ? r.lo - w : 0;
+    if (gap > TOL) {
+      excess += gap;
+      issues.push({
+        level: "warning",
+        ticker: r.ticker,
+        message: `${r.ticker}: current weight ${fmt(w)} is outside [${fmt(r.lo)}, ${fmt(r.hi)}].`,
+      });
+    }
+  });
+  const turnoverMax = Number(config.turnover_max);
+  if (excess > turnoverMax + TOL) {
+    issues.push({
+      level: "warning",
+      message: `Meeting the bounds needs turnover of at least ${fmt(excess)}, above turnover_max ${turnoverMax}.`,
+    });
+  }
+  return issues;
+}
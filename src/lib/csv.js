@@ -0,0 +1,90 @@
+// Generic CSV reading for the run artifacts (weights_opt.csv, trades.csv, ...).
+
+// Splits one CSV line, honouring double-quoted fields with embedded commas.
+function splitRow(line) {
+  const out = [];
+  let cur = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cur += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cur += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      out.push(cur.trim());
+      cur = "";
+    } else {
+      cur += ch;
+    }
+  }
+  out.push(cur.trim());
+  return out;
+}
+
+// Returns { columns: string[], rows: string[][] }.
+export function parseCSV(text) {
+  const lines = String(text)
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .filter((l) => l.trim() !== "");
+  if (!lines.length) return { columns: [], rows: [] };
+  return { columns: splitRow(lines[0]), rows: lines.slice(1).map(splitRow) };
+}
+
+export function toNumber(s) {
+  if (s == null || String(s).trim() === "") return NaN;
+  return Number(s);
+}
+
+export function csvCell(v) {
+  const s = String(v ?? "");
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function rowsToCSV(columns, rows) {
+  return [columns, ...rows].map((r) => r.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+export function isNumericColumn(rows, c) {
+  return rows.length > 0 && rows.every((r) => Number.isFinite(toNumber(r[c])));
+}
+
+// Reads a weights artifact into [{ asset, weight, initial }]. Accepts the long
+// layout (one row per asset, e.g. pandas `Series.to_csv`) and the wide layout
+// (tickers as columns, like portfolio.csv). `initial` is set when the file
+// also carries the starting weights.
+export function parseWeightsCSV(text) {
+  const { columns, rows } = parseCSV(text);
+  if (!columns.length || !rows.length) return [];
+
+  const lower = columns.map((c) => c.toLowerCase());
+  const labelCol = columns.findIndex((_, c) => !isNumericColumn(rows, c));
+
+  if (labelCol === -1 || lower[labelCol] === "date") {
+    // Wide: header is tickers, last row holds the weights.
+    const last = rows[rows.length - 1];
+    return columns
+      .map((asset, c) => ({ asset, weight: toNumber(last[c]), initial: undefined }))
+      .filter((w, c) => lower[c] !== "date" && Number.isFinite(w.weight));
+  }
+
+  const numeric = columns.map((_, c) => c).filter((c) => c !== labelCol && isNumericColumn(rows, c));
+  const pick = (re) => numeric.find((c) => re.test(lower[c]));
+  const optCol = pick(/opt|target|new|final/) ?? pick(/^w(eight)?$|weight/) ?? numeric[numeric.length - 1];
+  const initCol = pick(/init|current|start|old|prev|^w0$/);
+  if (optCol === undefined) return [];
+
+  return rows.map((r) => ({
+    asset: r[labelCol],
+    weight: toNumber(r[optCol]),
+    initial: initCol !== undefined && initCol !== optCol ? toNumber(r[initCol]) : undefined,
+  }));
+}
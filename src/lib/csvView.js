@@ -0,0 +1,122 @@
+import { toNumber } from "./csv.js";
+
+// Table logic for the CSV artifact viewer: column typing, filters, sorting
+// and per-column stats. Rows are kept as the raw strings from parseCSV.
+
+// A column is numeric when every non-empty cell parses as a number.
+export function describeColumns(columns, rows) {
+  return columns.map((name, index) => {
+    let filled = 0;
+    const numeric = rows.every((r) => {
+      if (r[index] == null || r[index] === "") return true;
+      filled += 1;
+      return Number.isFinite(toNumber(r[index]));
+    });
+    return { name, index, numeric: numeric && filled > 0 };
+  });
+}
+
+const OPS = {
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  "=": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+};
+
+// Numeric filters are space-separated conditions that must all hold:
+// ">0.01", "<=-0.02", "!=0" or a range "a..b". Anything else (and any text
+// filter) is a case-insensitive substring match. Returns { test, error? }.
+export function parseFilter(text, numeric) {
+  const q = String(text || "").trim();
+  if (!q) return { test: null };
+  const substring = (s) => String(s ?? "").toLowerCase().includes(q.toLowerCase());
+  if (!numeric || !/^[<>=!]|\.\./.test(q)) return { test: substring };
+
+  const conds = [];
+  for (const part of q.split(/\s+/)) {
+    const range = part.match(/^(-?[\d.eE+-]+)\.\.(-?[\d.eE+-]+)$/);
+    if (range) {
+      const lo = Number(range[1]);
+      const hi = Number(range[2]);
+      if (!Number.isFinite(lo) || !Number.isFinite(hi)) return { test: null, error: `Bad range "${part}".` };
+      conds.push((x) => x >= Math.min(lo, hi) && x <= Math.max(lo, hi));
+      continue;
+    }
+    const m = part.match(/^(>=|<=|!=|>|<|=)(.+)$/);
+    const v = m ? Number(m[2]) : NaN;
+    if (!m || !Number.isFinite(v)) return { test: null, error: `Bad condition "${part}". Use e.g. >0.01, <=-0.02 or 0..1.` };
+    conds.push((x) => OPS[m[1]](x, v));
+  }
+  return {
+    test: (s) => {
+      const x = toNumber(s);
+      return Number.isFinite(x) && conds.every((c) => c(x));
+    },
+  };
+}
+
+// Indices of the rows that pass every filter, in sort order.
+// filters: { [colIndex]: text }; sort: { col, dir: 1 | -1 } or null.
+export function viewRows(rows, columnInfo, filters, sort) {
+  const tests = Object.entries(filters)
+    .map(([c, text]) => ({ c: Number(c), test: parseFilter(text, columnInfo[c]?.numeric).test }))
+    .filter((f) => f.test);
+  const idx = [];
+  rows.forEach((r, i) => {
+    if (tests.every((f) => f.test(r[f.c]))) idx.push(i);
+  });
+  if (sort && columnInfo[sort.col]) {
+    const c = sort.col;
+    if (columnInfo[c].numeric) {
+      // Blanks sort last either way.
+      const key = (i) => toNumber(rows[i][c]);
+      idx.sort((a, b) => {
+        const x = key(a);
+        const y = key(b);
+        if (!Number.isFinite(x) || !Number.isFinite(y)) return Number.isFinite(x) ? -1 : Number.isFinite(y) ? 1 : a - b;
+        return (x - y) * sort.dir || a - b;
+      });
+    } else {
+      idx.sort((a, b) => String(rows[a][c]).localeCompare(String(rows[b][c]), undefined, { numeric: true }) * sort.dir || a - b);
+    }
+  }
+  return idx;
+}
+
+// { count, missing, min, max, mean, std, median } over the numeric cells.
+export function columnStats(values) {
+  const xs = values.map(toNumber).filter(Number.isFinite);
+  const missing = values.length - xs.length;
+  if (!xs.length) return { count: 0, missing };
+  const mean = xs.reduce((s, x) => s + x, 0) / xs.length;
+  const variance = xs.length > 1 ? xs.reduce((s, x) => s + (x - mean) ** 2, 0) / (xs.length - 1) : 0;
+  const sorted = [...xs].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return {
+    count: xs.length,
+    missing,
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    mean,
+    std: Math.sqrt(variance),
+    median: sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2,
+  };
+}
+
+// At most `n` points for a sparkline, keeping each bucket's min and max so
+// spikes (e.g. crash days) stay visible.
+export function sparklinePoints(values, n = 120) {
+  const xs = values.map(toNumber).filter(Number.isFinite);
+  if (xs.length <= n) return xs;
+  const out = [];
+  const size = Math.ceil((xs.length * 2) / n);
+  for (let i = 0; i < xs.length; i += size) {
+    const bucket = xs.slice(i, i + size);
+    const lo = Math.min(...bucket);
+    const hi = Math.max(...bucket);
+    out.push(...(bucket.indexOf(lo) < bucket.indexOf(hi) ? [lo, hi] : [hi, lo]));
+  }
+  return out;
+}
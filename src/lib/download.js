@@ -0,0 +1,16 @@
+// Browser-side file saving.
+
+export function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+export function downloadTextFile(filename, text, type = "text/csv;charset=utf-8") {
+  downloadBlob(filename, new Blob([text], { type }));
+}
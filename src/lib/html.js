@@ -0,0 +1,21 @@
+// Building standalone HTML documents (printable sheets, reports).
+
+export function escapeHtml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Opens `html` in a new window and brings up the print dialog.
+export function printHtml(html) {
+  const w = window.open("", "_blank");
+  if (!w) throw new Error("Pop-up blocked: allow pop-ups to print.");
+  w.document.open();
+  w.document.write(html);
+  w.document.close();
+  w.focus();
+  // Give the new document a moment to lay out before printing.
+  setTimeout(() => w.print(), 250);
+}
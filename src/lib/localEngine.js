@@ -0,0 +1,333 @@
+import { parseCSV, rowsToCSV, toNumber } from "./csv.js";
+import { isValidDate, weightValue } from "./portfolioCsv.js";
+import { tailRisk } from "./riskStats.js";
+
+// In-browser optimizer for quick runs without the backend: the same simulated
+// annealing over min_cvar / mean_minus_lambda_cvar, on daily returns from a
+// user-supplied price or return CSV. optimizeLocal returns the artifacts the
+// backend would write (summary.json, weights_opt.csv, ...) so the results view
+// can show a local run like any other. It runs in a worker (see
+// workers/optimizer.worker.js and localRuns.js); everything here is plain
+// functions.
+
+export const MARKET_KINDS = [
+  { value: "auto", label: "Detect" },
+  { value: "prices", label: "Prices" },
+  { value: "returns", label: "Daily returns" },
+];
+
+// Fewest days in the window for a meaningful train/test split.
+export const MIN_LOCAL_DAYS = 30;
+
+// Seeded uniform [0, 1) generator (mulberry32): the same seed gives the same run.
+export function seededRandom(seed) {
+  let s = Number(seed) >>> 0;
+  return () => {
+    s = (s + 0x6d2b79f5) >>> 0;
+    let t = s;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 2 ** 32;
+  };
+}
+
+function median(xs) {
+  const s = [...xs].sort((a, b) => a - b);
+  return s.length ? s[Math.floor(s.length / 2)] : NaN;
+}
+
+// Reads a market data CSV: a `date` column (or the first non-numeric one)
+// and one column per ticker, holding prices or daily returns. Prices are
+// turned into simple returns. "auto" takes positive values around 1 or above
+// for prices. Returns { data: { dates, tickers, rows } | null, kind, issues }
+// with rows[t][i] the return of ticker i on day t, oldest first.
+export function parseMarketData(text, kind = "auto") {
+  const issues = [];
+  const { columns, rows } = parseCSV(text);
+  const lower = columns.map((c) => c.toLowerCase());
+  let dateCol = lower.indexOf("date");
+  if (dateCol === -1) dateCol = columns.findIndex((_, c) => rows.some((r) => r[c] && !Number.isFinite(toNumber(r[c]))));
+  const assetCols = columns.map((_, c) => c).filter((c) => c !== dateCol && lower[c] !== "split");
+  if (!rows.length || !assetCols.length) {
+    return { data: null, kind, issues: [{ level: "error", message: "Expected a date column and one column per ticker." }] };
+  }
+
+  let table = rows.map((r) => ({
+    date: dateCol === -1 ? "" : r[dateCol],
+    values: assetCols.map((c) => toNumber(r[c])),
+  }));
+  const dated = table.every((r) => isValidDate(r.date));
+  if (dated) {
+    table = table.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+  } else if (dateCol !== -1) {
+    issues.push({ level: "warning", message: "Dates are not all YYYY-MM-DD; rows are used in file order." });
+  }
+
+  const values = table.flatMap((r) => r.values).filter(Number.isFinite);
+  const detected =
+    kind !== "auto" ? kind : values.length && values.every((v) => v > 0) && median(values) > 0.5 ? "prices" : "returns";
+  if (detected === "prices" && values.some((v) => v <= 0)) {
+    issues.push({ level: "error", message: "Prices must be positive." });
+  }
+  if (detected === "returns" && values.some((v) => v <= -1)) {
+    issues.push({ level: "warning", message: "Some daily returns are -100% or worse; are these prices?" });
+  }
+
+  const returns =
+    detected === "prices"
+      ? table.slice(1).map((r, t) => ({
+          date: r.date,
+          values: r.values.map((p, i) => p / table[t].values[i] - 1),
+        }))
+      : table;
+  const gaps = assetCols.filter((_, i) => returns.some((r) => !Number.isFinite(r.values[i])));
+  if (gaps.length) {
+    issues.push({
+      level: "warning",
+      message: `Missing values for ${gaps.map((c) => columns[c]).join(", ")}; days with a gap in a held ticker are dropped.`,
+    });
+  }
+
+  return {
+    data: {
+      dates: returns.map((r, t) => r.date || String(t + 1)),
+      tickers: assetCols.map((c) => columns[c]),
+      rows: returns.map((r) => r.values),
+    },
+    kind: detected,
+    issues,
+  };
+}
+
+// The days the optimizer uses for `portfolio`: the last lookback_days before
+// the portfolio date (all of them when the data has no usable dates), with
+// only the held tickers, skipping days where one of them has no return.
+// Returns { dates, rows, tickers, missing } where missing lists tickers with
+// no column in the data.
+export function localWindow(data, portfolio, config) {
+  const tickers = portfolio.assets.map((a) => a.ticker);
+  const missing = tickers.filter((t) => !data.tickers.includes(t));
+  const cols = tickers.map((t) => data.tickers.indexOf(t));
+  const cutoff = isValidDate(portfolio.date) && data.dates.every(isValidDate) ? portfolio.date : null;
+
+  const dates = [];
+  const rows = [];
+  data.rows.forEach((r, t) => {
+    if (cutoff && data.dates[t] >= cutoff) return;
+    const row = cols.map((c) => (c === -1 ? NaN : r[c]));
+    if (!row.every(Number.isFinite)) return;
+    dates.push(data.dates[t]);
+    rows.push(row);
+  });
+  const lookback = Math.max(1, Math.floor(Number(config.lookback_days) || rows.length));
+  return { dates: dates.slice(-lookback), rows: rows.slice(-lookback), tickers, missing };
+}
+
+// Issues that stop (errors) or affect (warnings) a local run of `portfolio`.
+export function checkMarketData(data, portfolio, config) {
+  if (!data || !portfolio) return [];
+  const issues = [];
+  const win = localWindow(data, portfolio, config);
+  if (win.missing.length) {
+    issues.push({ level: "error", message: `No price/return column for ${win.missing.join(", ")}.` });
+    return issues;
+  }
+  const lookback = Number(config.lookback_days);
+  if (win.rows.length < MIN_LOCAL_DAYS) {
+    issues.push({
+      level: "error",
+      message: `Only ${win.rows.length} usable day(s) before ${portfolio.date}; need at least ${MIN_LOCAL_DAYS}.`,
+    });
+  } else if (win.rows.length < lookback) {
+    issues.push({
+      level: "warning",
+      message: `Only ${win.rows.length} usable days before ${portfolio.date} (lookback_days is ${lookback}); using all of them.`,
+    });
+  }
+  return issues;
+}
+
+// Per-asset [lo, hi] from long_only, w_max and asset_bounds, plus group
+// limits as { idx, min, max }.
+function constraintsFor(tickers, config) {
+  const wMax = Number(config.w_max) || 1;
+  const floor = config.long_only === false ? -wMax : 0;
+  const bounds = config.asset_bounds || {};
+  const lo = tickers.map((t) => Math.max(floor, Number.isFinite(bounds[t]?.min) ? bounds[t].min : -Infinity));
+  const hi = tickers.map((t) => Math.min(wMax, Number.isFinite(bounds[t]?.max) ? bounds[t].max : Infinity));
+  const groups = (Array.isArray(config.group_constraints) ? config.group_constraints : []).map((g) => ({
+    idx: (g.assets || []).map((t) => tickers.indexOf(t)).filter((i) => i !== -1),
+    min: Number.isFinite(g.min) ? g.min : -Infinity,
+    max: Number.isFinite(g.max) ? g.max : Infinity,
+  }));
+  return { lo, hi, groups };
+}
+
+// How far `w` is outside the constraints (0 when feasible).
+function violation(w, { lo, hi, groups }) {
+  let v = Math.abs(w.reduce((s, x) => s + x, 0) - 1);
+  w.forEach((x, i) => {
+    v += Math.max(0, lo[i] - x) + Math.max(0, x - hi[i]);
+  });
+  groups.forEach((g) => {
+    const total = g.idx.reduce((s, i) => s + w[i], 0);
+    v += Math.max(0, g.min - total) + Math.max(0, total - g.max);
+  });
+  return v;
+}
+
+function meanOf(xs) {
+  return xs.length ? xs.reduce((s, x) => s + x, 0) / xs.length : NaN;
+}
+
+function portfolioSeries(rows, w) {
+  return rows.map((r) => r.reduce((s, x, i) => s + x * w[i], 0));
+}
+
+// Runs the annealing for `portfolio` (as parsed by parsePortfolioCSV) with
+// the config_json fields. `onProgress` gets the same events as the backend's
+// event stream ({ iteration, total, temperature, objective, best_objective })
+// about 200 times per run. Returns { summary, files } with files as
+// { path: text }; throws when the data can't support the run.
+export function optimizeLocal(data, portfolio, config, { runId = "local", onProgress } = {}) {
+  const issue = checkMarketData(data, portfolio, config).find((x) => x.level === "error");
+  if (issue) throw new Error(issue.message);
+  const { dates, rows, tickers } = localWindow(data, portfolio, config);
+  const n = tickers.length;
+  const split = Math.min(rows.length - 1, Math.max(1, Math.floor(rows.length * Number(config.train_ratio))));
+  const train = rows.slice(0, split);
+  // Column-major train returns for the O(days) incremental update below.
+  const cols = tickers.map((_, i) => Float64Array.from(train, (r) => r[i]));
+
+  const alpha = Number(config.alpha);
+  const lambda = Number(config.lambda) || 0;
+  const costRate = (Number(config.transaction_cost_bps) || 0) / 10000;
+  const turnoverMax = Number(config.turnover_max);
+  const penaltyTurnover = Number(config.penalty_turnover) || 0;
+  const penaltyInvalid = Number(config.penalty_invalid) || 0;
+  const iters = Math.max(1, Math.floor(Number(config.iters)));
+  const stepSize = Number(config.step_size);
+  const t0 = Number(config.init_temp);
+  const t1 = Math.min(t0, Number(config.final_temp));
+  const limits = constraintsFor(tickers, config);
+  const rand = seededRandom(config.seed);
+
+  const init = portfolio.assets.map((a) => {
+    const w = weightValue(a.weight);
+    return Number.isFinite(w) ? w : 1 / n;
+  });
+  const k = Math.max(1, Math.ceil(alpha * train.length));
+  const scratch = new Float64Array(train.length);
+
+  function score(port, w) {
+    scratch.set(port);
+    scratch.sort();
+    let tail = 0;
+    for (let t = 0; t < k; t++) tail += scratch[t];
+    const cvar = -tail / k;
+    let mean = 0;
+    for (let t = 0; t < port.length; t++) mean += port[t];
+    mean /= port.length;
+    const turnover = w.reduce((s, x, i) => s + Math.abs(x - init[i]), 0);
+    const base = config.objective === "mean_minus_lambda_cvar" ? -(mean - lambda * cvar) : cvar;
+    return (
+      base +
+      turnover * costRate +
+      penaltyTurnover * Math.max(0, turnover - turnoverMax) +
+      penaltyInvalid * violation(w, limits)
+    );
+  }
+
+  const w = [...init];
+  const port = Float64Array.from(train, (r) => r.reduce((s, x, i) => s + x * w[i], 0));
+  let current = score(port, w);
+  let best = current;
+  let bestW = [...w];
+  const every = Math.max(1, Math.floor(iters / 200));
+  const history = [[0, current, best]];
+  onProgress?.({ iteration: 0, total: iters, temperature: t0, objective: current, best_objective: best });
+
+  for (let it = 1; it <= iters; it++) {
+    const temp = t0 * (t1 / t0) ** (it / iters);
+    if (n > 1) {
+      // Move a random amount between two assets so the weights keep summing to 1.
+      const i = Math.floor(rand() * n);
+      const j = (i + 1 + Math.floor(rand() * (n - 1))) % n;
+      const delta = (rand() * 2 - 1) * stepSize;
+      const ci = cols[i];
+      const cj = cols[j];
+      for (let t = 0; t < port.length; t++) port[t] += delta * (ci[t] - cj[t]);
+      w[i] += delta;
+      w[j] -= delta;
+      const next = score(port, w);
+      if (next <= current || rand() < Math.exp((current - next) / temp)) {
+        current = next;
+        if (current < best) {
+          best = current;
+          bestW = [...w];
+        }
+      } else {
+        for (let t = 0; t < port.length; t++) port[t] -= delta * (ci[t] - cj[t]);
+        w[i] -= delta;
+        w[j] += delta;
+      }
+    }
+    if (it % every === 0 || it === iters) {
+      history.push([it, current, best]);
+      onProgress?.({ iteration: it, total: iters, temperature: temp, objective: current, best_objective: best });
+    }
+  }
+
+  return localArtifacts({ runId, config, dates, rows, split, tickers, init, opt: bestW, history, limits });
+}
+
+// summary.json and the CSV artifacts in the backend's layout.
+function localArtifacts({ runId, config, dates, rows, split, tickers, init, opt, history, limits }) {
+  const alpha = Number(config.alpha);
+  const initRet = portfolioSeries(rows, init);
+  const optRet = portfolioSeries(rows, opt);
+  const fmt = (x) => x.toFixed(8);
+  const splitOf = (t) => (t < split ? "train" : "test");
+  const summary = {
+    run_id: runId,
+    engine: "local",
+    objective: config.objective,
+    alpha,
+    train_ratio: Number(config.train_ratio),
+    transaction_cost_bps: Number(config.transaction_cost_bps),
+    turnover: opt.reduce((s, x, i) => s + Math.abs(x - init[i]), 0),
+    train: { cvar: tailRisk(optRet.slice(0, split), alpha).cvar, mean: meanOf(optRet.slice(0, split)) },
+    test: { cvar: tailRisk(optRet.slice(split), alpha).cvar, mean: meanOf(optRet.slice(split)) },
+    initial: {
+      train_cvar: tailRisk(initRet.slice(0, split), alpha).cvar,
+      test_cvar: tailRisk(initRet.slice(split), alpha).cvar,
+    },
+    weights: Object.fromEntries(tickers.map((t, i) => [t, opt[i]])),
+    feasible: violation(opt, limits) < 1e-9,
+    window: { start: dates[0], end: dates[dates.length - 1], train_days: split, test_days: rows.length - split },
+  };
+  const files = {
+    "summary.json": JSON.stringify(summary, null, 2),
+    "weights_opt.csv": rowsToCSV(
+      ["asset", "w_init", "w_opt"],
+      tickers.map((t, i) => [t, fmt(init[i]), fmt(opt[i])])
+    ),
+    "trades.csv": rowsToCSV(
+      ["asset", "w_old", "w_new", "trade"],
+      tickers.map((t, i) => [t, fmt(init[i]), fmt(opt[i]), fmt(opt[i] - init[i])])
+    ),
+    "objective_history.csv": rowsToCSV(
+      ["iteration", "objective", "best_objective"],
+      history.map(([i, obj, b]) => [i, fmt(obj), fmt(b)])
+    ),
+    "portfolio_returns_full.csv": rowsToCSV(
+      ["date", "initial", "optimized", "split"],
+      dates.map((d, t) => [d, fmt(initRet[t]), fmt(optRet[t]), splitOf(t)])
+    ),
+    "asset_returns.csv": rowsToCSV(
+      ["date", ...tickers, "split"],
+      dates.map((d, t) => [d, ...rows[t].map(fmt), splitOf(t)])
+    ),
+  };
+  return { summary, files };
+}
@@ -0,0 +1,93 @@
+import { describe, expect, it } from "vitest";
+import { getRunStatus, getRunSummary } from "./api.js";
+import { DEFAULT_CONFIG } from "./config.js";
+import { checkMarketData, optimizeLocal, parseMarketData, seededRandom } from "./localEngine.js";
+import { startLocalRun } from "./localRuns.js";
+import { followRun } from "./runStream.js";
+
+const TICKERS = ["AAA", "BBB", "CCC"];
+
+// Deterministic prices for 300 weekdays before 2024-01-01; CCC is the most volatile.
+function pricesCSV() {
+  const rand = seededRandom(3);
+  const prices = [100, 50, 20];
+  const lines = [`date,${TICKERS.join(",")}`];
+  const d = new Date("2022-10-01T00:00:00Z");
+  while (lines.length <= 300) {
+    d.setUTCDate(d.getUTCDate() + 1);
+    if (d.getUTCDay() === 0 || d.getUTCDay() === 6) continue;
+    prices.forEach((p, i) => (prices[i] = p * (1 + (rand() - 0.5) * 0.01 * (i + 1))));
+    lines.push(`${d.toISOString().slice(0, 10)},${prices.map((p) => p.toFixed(4)).join(",")}`);
+  }
+  return lines.join("\n");
+}
+
+const portfolio = { date: "2024-01-01", assets: TICKERS.map((ticker) => ({ ticker, weight: 1 / 3 })) };
+const config = { ...DEFAULT_CONFIG, iters: 1000, turnover_max: 1 };
+
+describe("parseMarketData", () => {
+  it("detects prices and turns them into daily returns", () => {
+    const { data, kind, issues } = parseMarketData("date,A,B\n2024-01-03,110,40\n2024-01-02,100,50\n");
+    expect(kind).toBe("prices");
+    expect(issues).toEqual([]);
+    expect(data.dates).toEqual(["2024-01-03"]);
+    expect(data.rows[0][0]).toBeCloseTo(0.1);
+    expect(data.rows[0][1]).toBeCloseTo(-0.2);
+  });
+
+  it("keeps returns and ignores a split column", () => {
+    const { data, kind } = parseMarketData("date,A,split\n2024-01-02,0.01,train\n2024-01-03,-0.02,test\n");
+    expect(kind).toBe("returns");
+    expect(data.tickers).toEqual(["A"]);
+    expect(data.rows).toEqual([[0.01], [-0.02]]);
+  });
+
+  it("reports tickers the data doesn't cover", () => {
+    const { data } = parseMarketData(pricesCSV());
+    const wider = { ...portfolio, assets: [...portfolio.assets, { ticker: "ZZZ", weight: 0 }] };
+    const issues = checkMarketData(data, wider, config);
+    expect(issues).toEqual([{ level: "error", message: "No price/return column for ZZZ." }]);
+  });
+});
+
+describe("optimizeLocal", () => {
+  const { data } = parseMarketData(pricesCSV());
+
+  it("gives the same result for the same seed", () => {
+    const a = optimizeLocal(data, portfolio, config);
+    const b = optimizeLocal(data, portfolio, config);
+    const c = optimizeLocal(data, portfolio, { ...config, seed: 7 });
+    expect(b.summary).toEqual(a.summary);
+    expect(c.summary.weights).not.toEqual(a.summary.weights);
+  });
+
+  it("lowers train CVaR within the constraints and writes the backend's artifacts", () => {
+    const progress = [];
+    const { summary, files } = optimizeLocal(data, portfolio, { ...config, w_max: 0.5 }, {
+      onProgress: (p) => progress.push(p),
+    });
+    const weights = Object.values(summary.weights);
+
+    expect(summary.train.cvar).toBeLessThan(summary.initial.train_cvar);
+    expect(summary.feasible).toBe(true);
+    expect(weights.reduce((s, w) => s + w, 0)).toBeCloseTo(1);
+    weights.forEach((w) => expect(w).toBeLessThanOrEqual(0.5 + 1e-9));
+    expect(progress.at(-1)).toMatchObject({ iteration: 1000, total: 1000 });
+    expect(Object.keys(files)).toEqual([
+      "summary.json",
+      "weights_opt.csv",
+      "trades.csv",
+      "objective_history.csv",
+      "portfolio_returns_full.csv",
+      "asset_returns.csv",
+    ]);
+  });
+
+  it("is served through the API client like a backend run", async () => {
+    const id = startLocalRun({ data, portfolio, config });
+    const st = await followRun(id);
+    expect(st.status).toBe("done");
+    expect((await getRunStatus(id)).files).toContain("weights_opt.csv");
+    expect((await getRunSummary(id)).engine).toBe("local");
+  });
+});
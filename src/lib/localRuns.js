@@ -0,0 +1,152 @@
+import { optimizeLocal } from "./localEngine.js";
+
+// Runs computed in this tab by the local engine. They get ids starting with
+// "local-" and are answered by the API client from here (see localResponse)
+// in the backend's shapes, so status, summary, artifacts, charts and
+// downloads work as for backend runs. Nothing is stored: local runs are gone
+// after a reload.
+
+const LOCAL_PREFIX = "local-";
+const TERMINAL = ["done", "error", "cancelled"];
+const runs = new Map();
+
+export function isLocalRun(id) {
+  return typeof id === "string" && id.startsWith(LOCAL_PREFIX);
+}
+
+function settle(run, status, error = "") {
+  if (TERMINAL.includes(run.status)) return;
+  run.status = status;
+  run.error = error;
+  run.stop?.();
+  run.listeners.forEach((fn) => fn({ status, ...(error ? { error } : {}) }));
+  run.listeners.clear();
+}
+
+function handle(run, msg) {
+  if (TERMINAL.includes(run.status)) return;
+  if (msg.type === "progress") {
+    run.progress = msg.progress;
+    run.listeners.forEach((fn) => fn(msg.progress));
+  } else if (msg.type === "done") {
+    run.files = msg.result.files;
+    run.summary = msg.result.summary;
+    settle(run, "done");
+  } else {
+    settle(run, "error", msg.error || "Local engine failed");
+  }
+}
+
+// Starts optimizeLocal in a worker (inline, after the current task, where
+// Worker is missing) and returns the new run's id.
+export function startLocalRun({ data, portfolio, config }) {
+  const id = `${LOCAL_PREFIX}${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+  const run = {
+    status: "running",
+    error: "",
+    progress: null,
+    files: {},
+    summary: null,
+    listeners: new Set(),
+    stop: null,
+  };
+  runs.set(id, run);
+
+  if (typeof Worker === "undefined") {
+    setTimeout(() => {
+      try {
+        const result = optimizeLocal(data, portfolio, config, {
+          runId: id,
+          onProgress: (progress) => handle(run, { type: "progress", progress }),
+        });
+        handle(run, { type: "done", result });
+      } catch (e) {
+        handle(run, { type: "error", error: String(e?.message || e) });
+      }
+    }, 0);
+  } else {
+    const worker = new Worker(new URL("../workers/optimizer.worker.js", import.meta.url), { type: "module" });
+    worker.onmessage = (e) => handle(run, e.data);
+    worker.onerror = (e) => handle(run, { type: "error", error: e.message || "Local engine crashed" });
+    run.stop = () => worker.terminate();
+    worker.postMessage({ runId: id, data, portfolio, config });
+  }
+  return id;
+}
+
+// Calls `fn` with each progress event and then the final { status, error? },
+// like the backend's event stream. Returns the unsubscribe function, or null
+// for an unknown id.
+export function subscribeLocalRun(id, fn) {
+  const run = runs.get(id);
+  if (!run) return null;
+  if (TERMINAL.includes(run.status)) {
+    queueMicrotask(() => fn({ status: run.status, ...(run.error ? { error: run.error } : {}) }));
+    return () => {};
+  }
+  run.listeners.add(fn);
+  return () => run.listeners.delete(fn);
+}
+
+// Runs one local optimization and reports it like runSweepMember does for a
+// backend run. Never rejects.
+export function runLocalMember({ data, portfolio, config, onUpdate }) {
+  return new Promise((resolve) => {
+    const id = startLocalRun({ data, portfolio, config });
+    onUpdate({ status: "running", run_id: id });
+    subscribeLocalRun(id, (e) => {
+      if (!TERMINAL.includes(e.status)) return;
+      const run = runs.get(id);
+      onUpdate(
+        e.status === "done" ? { status: "done", summary: run.summary } : { status: "error", error: e.error || e.status }
+      );
+      resolve();
+    });
+  });
+}
+
+function json(status, body) {
+  return new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json" } });
+}
+
+function contentType(path) {
+  if (path.endsWith(".json")) return "application/json";
+  return path.endsWith(".csv") ? "text/csv" : "text/plain";
+}
+
+// Answers a request for a local run (GET /api/runs/{id}, .../summary, POST
+// .../cancel, GET /runs/{id}/<artifact>) the way the backend would, or
+// returns null when `url` isn't about a local run.
+export function localResponse(method, url) {
+  const m = /\/(api\/)?runs\/(local-[\w-]+)(?:\/([^?#]*))?(?:[?#].*)?$/.exec(url);
+  if (!m) return null;
+  const [, api, id, rest = ""] = m;
+  const run = runs.get(id);
+  if (!run) {
+    return json(404, { detail: "Local runs only exist in the tab that ran them; reloading the page discards them." });
+  }
+
+  if (!api) {
+    return method === "GET" && run.files[rest] != null
+      ? new Response(run.files[rest], { headers: { "Content-Type": contentType(rest) } })
+      : json(404, { detail: `No artifact ${rest}` });
+  }
+  if (method === "GET" && rest === "") {
+    return json(200, {
+      run_id: id,
+      status: run.status,
+      files: Object.keys(run.files),
+      ...(run.progress ? { progress: { iteration: run.progress.iteration, total: run.progress.total } } : {}),
+      ...(run.error ? { error: run.error } : {}),
+    });
+  }
+  if (method === "GET" && rest === "summary") {
+    return run.summary ? json(200, run.summary) : json(404, { detail: "Run not finished" });
+  }
+  if (method === "POST" && rest === "cancel") {
+    settle(run, "cancelled");
+    return json(200, { status: run.status });
+  }
+  // No memos or event stream: the local engine has no LLM and pushes progress directly.
+  return json(method === "POST" ? 501 : 404, { detail: "Not available for local runs" });
+}
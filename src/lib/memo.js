@@ -0,0 +1,137 @@
+// Quant Risk Assistant memo: the payload from GET /api/runs/{id}/memo, either
+// { memo: {...sections}, model? } or the sections directly, possibly as a JSON
+// string. Memos that aren't JSON are kept as plain text.
+
+// Display order and titles for the sections we know; anything else follows.
+const KNOWN_SECTIONS = [
+  { key: "headline", title: "Headline" },
+  { key: "key_findings", title: "Key Findings" },
+  { key: "risk_story", title: "Risk Story" },
+  { key: "return_story", title: "Return Story" },
+  { key: "crash_days_commentary", title: "Crash Days Analysis" },
+  { key: "limitations", title: "Limitations" },
+  { key: "next_experiments", title: "Next Experiments" },
+];
+
+export function parseMemo(memo) {
+  if (!memo) return null;
+  if (typeof memo !== "string") return memo;
+  try {
+    return JSON.parse(memo);
+  } catch {
+    return memo;
+  }
+}
+
+function titleFor(key) {
+  return KNOWN_SECTIONS.find((s) => s.key === key)?.title || key.replace(/_/g, " ").replace(/^\w/, (c) => c.toUpperCase());
+}
+
+// Flattens the memo into [{ key, title, kind: "text" | "list", text?, items? }].
+// Nested objects become "key: value" list items.
+export function memoSections(memoObj) {
+  if (typeof memoObj === "string") return memoObj.trim() ? [{ key: "text", title: "Memo", kind: "text", text: memoObj }] : [];
+  const nested = memoObj?.memo && typeof memoObj.memo === "object";
+  const body = nested ? memoObj.memo : memoObj;
+  if (!body || typeof body !== "object") return [];
+  const order = KNOWN_SECTIONS.map((s) => s.key);
+  const keys = Object.keys(body)
+    .filter((k) => nested || k !== "model")
+    .sort((a, b) => {
+      const ia = order.indexOf(a);
+      const ib = order.indexOf(b);
+      return (ia === -1 ? order.length : ia) - (ib === -1 ? order.length : ib);
+    });
+
+  return keys
+    .map((key) => {
+      const v = body[key];
+      if (v == null || v === "") return null;
+      if (Array.isArray(v)) {
+        return { key, title: titleFor(key), kind: "list", items: v.map((x) => (typeof x === "object" ? JSON.stringify(x) : String(x))) };
+      }
+      if (typeof v === "object") {
+        return { key, title: titleFor(key), kind: "list", items: Object.entries(v).map(([k, x]) => `${k}: ${typeof x === "object" ? JSON.stringify(x) : x}`) };
+      }
+      return { key, title: titleFor(key), kind: "text", text: String(v) };
+    })
+    .filter(Boolean);
+}
+
+// Offered in the model pickers when the backend doesn't list its own
+// (GET /api/memo/models). "" leaves the choice to the backend.
+export const MEMO_MODELS = ["gpt-4o-mini", "gpt-4o", "gpt-4.1-mini", "gpt-4.1"];
+
+// Accepts ["id", ...], [{ id | name | value }] or { models: [...] }.
+export function normalizeModels(data) {
+  const list = Array.isArray(data) ? data : Array.isArray(data?.models) ? data.models : null;
+  if (!list) return null;
+  const models = list.map((m) => (typeof m === "string" ? m : m?.id || m?.name || m?.value)).filter((m) => typeof m === "string" && m);
+  return models.length ? [...new Set(models)] : null;
+}
+
+// Memo versions per run, kept in localStorage so earlier memos can be
+// compared after regenerating: { [run_id]: [{ id, model, created_at, memo }] },
+// oldest first.
+const VERSIONS_KEY = "cvar.memoVersions.v1";
+const MAX_VERSIONS = 10;
+const MAX_RUNS = 50;
+
+export function loadMemoVersions() {
+  try {
+    const map = JSON.parse(localStorage.getItem(VERSIONS_KEY) || "{}");
+    return map && typeof map === "object" && !Array.isArray(map) ? map : {};
+  } catch {
+    return {};
+  }
+}
+
+export function saveMemoVersions(map) {
+  try {
+    localStorage.setItem(VERSIONS_KEY, JSON.stringify(map));
+  } catch {
+    // Storage full or disabled: versions last until reload.
+  }
+}
+
+// Adds a memo as the newest version of a run unless the same memo is already
+// stored. Returns { map, id } with the id of the new or matching version.
+export function addMemoVersion(map, runId, memo, model = "") {
+  const versions = map[runId] || [];
+  const text = JSON.stringify(memo);
+  const same = versions.find((v) => JSON.stringify(v.memo) === text);
+  if (same) return { map, id: same.id };
+  const version = {
+    id: `m${Date.now().toString(36)}${versions.length}`,
+    // The model the backend reports beats the one that was asked for.
+    model: (typeof memo === "object" && memo?.model) || model,
+    created_at: new Date().toISOString(),
+    memo,
+  };
+  const next = { ...map, [runId]: [...versions, version].slice(-MAX_VERSIONS) };
+  // Drop the runs whose memos were touched longest ago.
+  const runs = Object.keys(next);
+  if (runs.length > MAX_RUNS) {
+    const last = (id) => next[id][next[id].length - 1]?.created_at || "";
+    runs
+      .sort((a, b) => last(a).localeCompare(last(b)))
+      .slice(0, runs.length - MAX_RUNS)
+      .forEach((id) => delete next[id]);
+  }
+  return { map: next, id: version.id };
+}
+
+export function memoToMarkdown(memoObj, { runId, model, createdAt } = {}) {
+  const lines = ["# Quant Risk Assistant memo", ""];
+  if (runId) lines.push(`- Run: \`${runId}\``);
+  if (model) lines.push(`- Model: ${model}`);
+  if (createdAt) lines.push(`- Generated: ${createdAt}`);
+  if (lines.length > 2) lines.push("");
+  memoSections(memoObj).forEach((s) => {
+    lines.push(`## ${s.title}`, "");
+    if (s.kind === "list") s.items.forEach((x) => lines.push(`- ${x}`));
+    else lines.push(s.text);
+    lines.push("");
+  });
+  return lines.join("\n");
+}
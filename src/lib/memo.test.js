@@ -0,0 +1,75 @@
+import { describe, expect, it } from "vitest";
+import { addMemoVersion, memoSections, memoToMarkdown, normalizeModels, parseMemo } from "./memo.js";
+
+describe("parseMemo", () => {
+  it("parses a JSON string", () => {
+    expect(parseMemo('{"headline":"Lower tail risk"}')).toEqual({ headline: "Lower tail risk" });
+  });
+
+  it("keeps text that isn't JSON as a string", () => {
+    expect(parseMemo("Risk went down.")).toBe("Risk went down.");
+  });
+
+  it("passes objects through", () => {
+    const memo = { memo: { headline: "x" }, model: "gpt-4o" };
+    expect(parseMemo(memo)).toBe(memo);
+  });
+
+  it("returns null for an empty memo", () => {
+    expect(parseMemo("")).toBeNull();
+    expect(parseMemo(null)).toBeNull();
+  });
+});
+
+describe("memoSections", () => {
+  it("puts known sections first and titles the rest", () => {
+    const sections = memoSections({
+      extra_notes: "see appendix",
+      limitations: ["short history"],
+      headline: "Lower tail risk",
+      model: "gpt-4o",
+    });
+    expect(sections.map((s) => s.title)).toEqual(["Headline", "Limitations", "Extra notes"]);
+    expect(sections[1]).toMatchObject({ kind: "list", items: ["short history"] });
+  });
+
+  it("reads the nested { memo, model } shape", () => {
+    const sections = memoSections({ memo: { headline: "H", key_findings: { cvar: 0.01 } }, model: "m" });
+    expect(sections).toEqual([
+      { key: "headline", title: "Headline", kind: "text", text: "H" },
+      { key: "key_findings", title: "Key Findings", kind: "list", items: ["cvar: 0.01"] },
+    ]);
+  });
+
+  it("shows plain text as a single section and skips empty fields", () => {
+    expect(memoSections("Risk went down.")).toEqual([
+      { key: "text", title: "Memo", kind: "text", text: "Risk went down." },
+    ]);
+    expect(memoSections({ headline: "", risk_story: null })).toEqual([]);
+  });
+
+  it("renders the same sections as Markdown", () => {
+    const md = memoToMarkdown({ headline: "H", limitations: ["a", "b"] }, { runId: "r1" });
+    expect(md).toContain("- Run: `r1`");
+    expect(md).toContain("## Headline\n\nH");
+    expect(md).toContain("## Limitations\n\n- a\n- b");
+  });
+});
+
+describe("addMemoVersion", () => {
+  it("adds new memos and reuses identical ones", () => {
+    const first = addMemoVersion({}, "r1", { headline: "A" }, "gpt-4o");
+    const again = addMemoVersion(first.map, "r1", { headline: "A" });
+    const second = addMemoVersion(first.map, "r1", { headline: "B", model: "mock-model" }, "gpt-4o");
+    expect(again.id).toBe(first.id);
+    expect(second.map.r1.map((v) => v.model)).toEqual(["gpt-4o", "mock-model"]);
+  });
+});
+
+describe("normalizeModels", () => {
+  it("accepts the list shapes backends use", () => {
+    expect(normalizeModels(["a", "b", "a"])).toEqual(["a", "b"]);
+    expect(normalizeModels({ models: [{ id: "a" }, { name: "b" }] })).toEqual(["a", "b"]);
+    expect(normalizeModels({})).toBeNull();
+  });
+});
@@ -0,0 +1,205 @@
+// Parsing and validation for the portfolio.csv format the backend expects:
+// header `date,<TICKER>,...` followed by one row `<YYYY-MM-DD>,<weight>,...`.
+// Further dated rows (historical holdings) make a rebalance schedule.
+
+export const SUM_TOLERANCE = 1e-4;
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function splitLine(line) {
+  return line.split(",").map((cell) => cell.trim().replace(/^"(.*)"$/, "$1").trim());
+}
+
+export function isValidDate(s) {
+  if (!DATE_RE.test(s)) return false;
+  const d = new Date(`${s}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === s;
+}
+
+export function weightValue(w) {
+  if (typeof w === "number") return w;
+  if (w == null || String(w).trim() === "") return NaN;
+  return Number(w);
+}
+
+export function weightsTotal(assets) {
+  return assets.reduce((acc, a) => {
+    const w = weightValue(a.weight);
+    return Number.isFinite(w) ? acc + w : acc;
+  }, 0);
+}
+
+// Returns { portfolio, schedule, issues }. `portfolio` is the first data row,
+// null when the file is unusable; `schedule` lists every dated row as
+// { date, assets } when there are several, else null. `issues` only carries
+// notes about the file itself (ignored rows, missing columns). Rule checks on
+// the parsed content live in validatePortfolio.
+export function parsePortfolioCSV(text) {
+  const lines = String(text)
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .filter((l) => l.trim() !== "");
+
+  if (lines.length === 0) {
+    return { portfolio: null, schedule: null, issues: [{ level: "error", message: "File is empty." }] };
+  }
+
+  const issues = [];
+  const header = splitLine(lines[0]);
+  const hasDate = header[0]?.toLowerCase() === "date";
+  const tickers = hasDate ? header.slice(1) : header;
+
+  if (!hasDate) {
+    issues.push({
+      level: "warning",
+      message: "No `date` column found in the header. Set the start date below.",
+    });
+  }
+
+  if (lines.length < 2) {
+    return {
+      portfolio: null,
+      schedule: null,
+      issues: [...issues, { level: "error", message: "No data row found. The second row must hold the start date and weights." }],
+    };
+  }
+
+  const rows = lines.slice(1).map((line) => {
+    const cells = splitLine(line);
+    const values = hasDate ? cells.slice(1) : cells;
+    return {
+      date: hasDate ? cells[0] : "",
+      assets: tickers.map((ticker, i) => ({ ticker, weight: values[i] ?? "" })),
+      width: values.length,
+    };
+  });
+
+  const short = rows.filter((r) => r.width !== tickers.length);
+  if (short.length) {
+    issues.push({
+      level: "warning",
+      message:
+        rows.length === 1
+          ? `Data row has ${short[0].width} weight(s) but the header lists ${tickers.length} asset(s).`
+          : `${short.length} data row(s) don't have one weight per asset (the header lists ${tickers.length}).`,
+    });
+  }
+
+  if (rows.length > 1 && !hasDate) {
+    issues.push({
+      level: "warning",
+      message: `Only the first data row is used; ${rows.length - 1} extra row(s) ignored (a rebalance schedule needs a date column).`,
+    });
+  }
+
+  const [first] = rows;
+  const schedule = hasDate && rows.length > 1 ? rows.map(({ date, assets }) => ({ date, assets })) : null;
+  return { portfolio: { date: first.date, assets: first.assets }, schedule, issues };
+}
+
+// Checks the parsed portfolio against the rules the backend enforces, using
+// the current config for long_only and w_max. Row-level issues carry `row`.
+export function validatePortfolio(portfolio, config) {
+  const issues = [];
+  if (!portfolio) return issues;
+
+  const { date, assets } = portfolio;
+
+  if (!date) {
+    issues.push({ level: "error", field: "date", message: "Start date is required." });
+  } else if (!isValidDate(date)) {
+    issues.push({ level: "error", field: "date", message: `"${date}" is not a valid YYYY-MM-DD date.` });
+  } else if (date > new Date().toISOString().slice(0, 10)) {
+    issues.push({ level: "warning", field: "date", message: "Start date is in the future." });
+  }
+
+  if (assets.length === 0) {
+    issues.push({ level: "error", message: "Portfolio has no assets." });
+    return issues;
+  }
+  if (assets.length === 1) {
+    issues.push({ level: "warning", message: "Only one asset: there is nothing to optimize." });
+  }
+
+  const seen = new Map();
+  assets.forEach((a, i) => {
+    const t = a.ticker.trim();
+    if (!t) {
+      issues.push({ level: "error", row: i, field: "ticker", message: "Ticker is empty." });
+    } else if (t.toLowerCase() === "date") {
+      issues.push({ level: "error", row: i, field: "ticker", message: "`date` is reserved for the first column." });
+    } else if (seen.has(t)) {
+      issues.push({ level: "error", row: i, field: "ticker", message: `Duplicate of row ${seen.get(t) + 1}.` });
+    } else {
+      seen.set(t, i);
+    }
+
+    const w = weightValue(a.weight);
+    if (!Number.isFinite(w)) {
+      issues.push({ level: "error", row: i, field: "weight", message: "Weight must be a number." });
+      return;
+    }
+    if (w < 0 && config.long_only) {
+      issues.push({ level: "error", row: i, field: "weight", message: "Negative weight not allowed when long_only is true." });
+    }
+    if (w > config.w_max) {
+      issues.push({ level: "error", row: i, field: "weight", message: `Above w_max (${config.w_max}).` });
+    }
+  });
+
+  const total = weightsTotal(assets);
+  if (Math.abs(total - 1) > SUM_TOLERANCE) {
+    issues.push({
+      level: "error",
+      field: "sum",
+      message: `Weights sum to ${total.toFixed(4)}, expected 1.0. Use "Normalize to 1.0" to rescale.`,
+    });
+  }
+
+  if (config.w_max * assets.length < 1 - SUM_TOLERANCE) {
+    issues.push({
+      level: "error",
+      field: "w_max",
+      message: `Infeasible: w_max (${config.w_max}) must be ≥ 1/N = ${(1 / assets.length).toFixed(4)} for ${assets.length} assets.`,
+    });
+  }
+
+  return issues;
+}
+
+function formatWeight(x) {
+  return String(Number(x.toFixed(6)));
+}
+
+// Rescales weights so they sum to 1.0. Rounding residue goes to the largest
+// position so the written CSV sums exactly.
+export function normalizeWeights(assets) {
+  const total = weightsTotal(assets);
+  if (!(Math.abs(total) > 0)) return assets;
+
+  const scaled = assets.map((a) => {
+    const w = weightValue(a.weight);
+    return Number.isFinite(w) ? Number((w / total).toFixed(6)) : 0;
+  });
+  const residue = 1 - scaled.reduce((s, w) => s + w, 0);
+  let largest = 0;
+  scaled.forEach((w, i) => {
+    if (Math.abs(w) > Math.abs(scaled[largest])) largest = i;
+  });
+  scaled[largest] += residue;
+
+  return assets.map((a, i) => ({ ...a, weight: formatWeight(scaled[i]) }));
+}
+
+// Same layout as the downloadable template.
+export function portfolioToCSV(portfolio) {
+  return scheduleToCSV([portfolio]);
+}
+
+// One dated row per entry under the first entry's tickers, e.g. a rebalance
+// schedule.
+export function scheduleToCSV(rows) {
+  const header = ["date", ...rows[0].assets.map((a) => a.ticker.trim())].join(",");
+  const lines = rows.map(({ date, assets }) => [date, ...assets.map((a) => String(a.weight).trim())].join(","));
+  return `${header}\n${lines.join("\n")}\n`;
+}
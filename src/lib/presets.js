@@ -0,0 +1,102 @@
+import { DEFAULT_CONFIG, validateConfig } from "./config.js";
+
+// Named config presets. Built-ins ship with the app; user presets live in
+// localStorage as [{ name, config, saved_at }] with full config objects.
+
+const STORAGE_KEY = "cvar.presets.v1";
+const PRESETS_FORMAT = "cvar-presets";
+const CONFIG_FORMAT = "cvar-config";
+
+export const BUILTIN_PRESETS = [
+  {
+    name: "Defensive min_cvar 1%",
+    config: { ...DEFAULT_CONFIG, objective: "min_cvar", alpha: 0.01, w_max: 0.4, turnover_max: 0.3 },
+  },
+  {
+    name: "Balanced λ=0.5",
+    config: { ...DEFAULT_CONFIG, objective: "mean_minus_lambda_cvar", lambda: 0.5 },
+  },
+  {
+    name: "Low turnover",
+    config: { ...DEFAULT_CONFIG, turnover_max: 0.1, penalty_turnover: 200 },
+  },
+].map((p) => ({ ...p, builtin: true }));
+
+export function loadPresets() {
+  try {
+    const list = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+    return Array.isArray(list)
+      ? list
+          .filter((p) => p && typeof p.name === "string" && p.config)
+          .map((p) => ({ ...p, config: validateConfig(p.config).config || DEFAULT_CONFIG }))
+      : [];
+  } catch {
+    return [];
+  }
+}
+
+export function savePresets(list) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+  } catch {
+    // Storage full or disabled: presets just won't persist.
+  }
+}
+
+// Adds or replaces (by name) a user preset, keeping the list sorted by name.
+export function upsertPreset(list, preset) {
+  return [...list.filter((p) => p.name !== preset.name), preset].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Fields whose value differs between `config` and the preset's config.
+export function presetDiff(preset, config) {
+  if (!preset) return [];
+  return Object.keys(DEFAULT_CONFIG).filter((k) => preset.config[k] !== config[k]);
+}
+
+export function presetsToJSON(presets) {
+  return JSON.stringify(
+    { format: PRESETS_FORMAT, version: 1, presets: presets.map(({ name, config }) => ({ name, config })) },
+    null,
+    2
+  );
+}
+
+export function configToJSON(config) {
+  return JSON.stringify({ format: CONFIG_FORMAT, version: 1, config }, null, 2);
+}
+
+// Reads an exported presets file, an exported config file, or a bare config
+// object. Returns { presets, config, issues }: `presets` for preset files,
+// `config` for config files; either is null when absent or unusable.
+export function parsePresetFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return { presets: null, config: null, issues: [{ level: "error", message: `Not valid JSON: ${e.message}` }] };
+  }
+
+  if (Array.isArray(data?.presets)) {
+    const issues = [];
+    const presets = [];
+    data.presets.forEach((p, i) => {
+      const name = typeof p?.name === "string" ? p.name.trim() : "";
+      if (!name) {
+        issues.push({ level: "error", message: `Preset #${i + 1} has no name; skipped.` });
+        return;
+      }
+      const { config, issues: found } = validateConfig(p.config);
+      issues.push(...found.map((x) => ({ ...x, message: `${name}: ${x.message}` })));
+      if (!config || found.some((x) => x.level === "error")) {
+        issues.push({ level: "error", message: `${name}: skipped because of the errors above.` });
+        return;
+      }
+      presets.push({ name, config, saved_at: new Date().toISOString() });
+    });
+    return { presets, config: null, issues };
+  }
+
+  const { config, issues } = validateConfig(data?.format === CONFIG_FORMAT ? data.config : data);
+  return { presets: null, config: issues.some((x) => x.level === "error") ? null : config, issues };
+}
@@ -0,0 +1,128 @@
+import { createRebalanceRun, getRunSummary } from "./api.js";
+import { validateConfigFields } from "./config.js";
+import { isValidDate, portfolioToCSV, validatePortfolio, weightValue } from "./portfolioCsv.js";
+import { isTerminal, trackRun } from "./runTracker.js";
+import { summaryWeights } from "./summary.js";
+import { MAX_SWEEP_RUNS } from "./sweep.js";
+
+// Rebalance backtests over a schedule of dated holdings (a portfolio CSV with
+// several rows). Each date is optimized on its own, or all of them in one
+// walk-forward run when the backend has POST /api/rebalance. Either way the
+// results are lined up as periods:
+//   { date, weights: { [ticker]: w } | null, turnover, cost, test_cvar }
+// test_cvar is the CVaR on that date's held-out test window.
+
+export const MAX_REBALANCE_DATES = MAX_SWEEP_RUNS;
+
+function byDate(a, b) {
+  return a.date < b.date ? -1 : a.date > b.date ? 1 : 0;
+}
+
+// One member per date, oldest first, in the same shape as sweep members (see
+// buildSweepPlan) plus the date's holdings as `portfolio` and `csv`. Dates
+// whose holdings break the portfolio rules are skipped with the reason.
+// Returns { members, issues } with schedule-level issues.
+export function buildRebalancePlan(schedule, config) {
+  const issues = [];
+  const bad = schedule.filter((row) => !isValidDate(row.date));
+  if (bad.length) {
+    issues.push({ level: "error", message: `Not a valid YYYY-MM-DD date: ${bad.map((r) => `"${r.date}"`).join(", ")}.` });
+  }
+  const dates = schedule.map((row) => row.date);
+  const dupes = [...new Set(dates.filter((d, i) => dates.indexOf(d) !== i))];
+  if (dupes.length) issues.push({ level: "error", message: `Dates appear more than once: ${dupes.join(", ")}.` });
+  if (schedule.length > MAX_REBALANCE_DATES) {
+    issues.push({ level: "error", message: `${schedule.length} dates is too many (max ${MAX_REBALANCE_DATES}).` });
+  }
+  if (dates.some((d, i) => i > 0 && d < dates[i - 1])) {
+    issues.push({ level: "warning", message: "Rows are not in date order; they are run oldest first." });
+  }
+  if (issues.some((x) => x.level === "error")) return { members: [], issues };
+
+  const [field, fieldMsg] = Object.entries(validateConfigFields(config))[0] || [];
+  const members = [...schedule].sort(byDate).map((row, index) => {
+    const reason = validatePortfolio(row, config).find((x) => x.level === "error");
+    const where = reason?.row !== undefined ? `${row.assets[reason.row].ticker}: ` : "";
+    return {
+      index,
+      params: { date: row.date },
+      config,
+      portfolio: row,
+      csv: portfolioToCSV(row),
+      skip: field ? `${field}: ${fieldMsg}` : reason ? `${where}${reason.message}` : null,
+    };
+  });
+  return { members, issues };
+}
+
+// Turnover and cost come from the summary when it has them; otherwise
+// turnover is the distance from the date's holdings to the optimized weights.
+export function periodFromSummary(date, summary, holdings, costBps) {
+  const weights = summaryWeights(summary);
+  let turnover = Number(summary?.turnover);
+  if (!Number.isFinite(turnover) && weights && holdings) {
+    turnover = holdings.assets.reduce((s, a) => s + Math.abs((weights[a.ticker] ?? 0) - (weightValue(a.weight) || 0)), 0);
+  }
+  const bps = Number(summary?.transaction_cost_bps ?? costBps);
+  return {
+    date,
+    weights,
+    turnover,
+    cost: Number.isFinite(turnover) && Number.isFinite(bps) ? (turnover * bps) / 10000 : NaN,
+    test_cvar: Number(summary?.test_cvar ?? summary?.test?.cvar),
+  };
+}
+
+// Periods from a walk-forward run's summary ({ periods: [...] }), each entry
+// read like a single run's summary plus its `date`.
+export function periodsFromWalkForward(summary, config) {
+  const list = Array.isArray(summary?.periods) ? summary.periods : [];
+  return list
+    .filter((p) => p && typeof p.date === "string")
+    .map((p) => periodFromSummary(p.date, p, null, config.transaction_cost_bps))
+    .sort(byDate);
+}
+
+// Chart-ready series: per-asset weights (0 where a date lacks the asset),
+// running totals of turnover and cost, and test CVaR per period.
+export function rebalanceSeries(periods) {
+  const assets = [];
+  periods.forEach((p) => Object.keys(p.weights || {}).forEach((a) => !assets.includes(a) && assets.push(a)));
+  let turnover = 0;
+  let cost = 0;
+  return {
+    labels: periods.map((p) => p.date),
+    weights: assets.map((asset) => ({
+      name: asset,
+      values: periods.map((p) => (p.weights ? p.weights[asset] ?? 0 : NaN)),
+    })),
+    cumTurnover: periods.map((p) => (turnover += Number.isFinite(p.turnover) ? p.turnover : 0)),
+    cumCost: periods.map((p) => (cost += Number.isFinite(p.cost) ? p.cost : 0)),
+    testCvar: periods.map((p) => p.test_cvar),
+  };
+}
+
+// Submits the whole schedule as one walk-forward run and follows it, like
+// runSweepMember. Resolves false without calling onUpdate when the backend
+// has no walk-forward endpoint; never throws otherwise.
+export async function runWalkForward({ portfolioFile, config, onUpdate, signal, timeoutMs = 600000 }) {
+  try {
+    const created = await createRebalanceRun({ portfolioFile, config, signal });
+    if (!created) return false;
+    onUpdate({ status: "running", run_id: created.run_id });
+
+    const st = await trackRun(created.run_id, { signal, timeoutMs });
+    if (st?.status === "done") {
+      const summary = await getRunSummary(created.run_id, { signal });
+      onUpdate({ status: "done", summary, periods: periodsFromWalkForward(summary, config) });
+    } else if (isTerminal(st)) {
+      onUpdate({ status: "error", error: st.error || st.status });
+    } else {
+      onUpdate({ status: "timeout", error: `No result after ${Math.round(timeoutMs / 1000)}s` });
+    }
+  } catch (e) {
+    if (e?.name === "AbortError") onUpdate({ status: "cancelled" });
+    else onUpdate({ status: "error", error: String(e?.message || e) });
+  }
+  return true;
+}
@@ -0,0 +1,184 @@
+import { fetchArtifact } from "./api.js";
+import { loadArtifact } from "./artifacts.js";
+import { parseWeightsCSV } from "./csv.js";
+import { escapeHtml } from "./html.js";
+import { memoSections } from "./memo.js";
+import { summaryStats } from "./summary.js";
+import { parseTrades } from "./tradeTicket.js";
+
+// Self-contained run report: one HTML file with the figures inlined as data
+// URLs, so it opens offline and prints to PDF from the browser.
+
+function fetchAsDataUrl(url) {
+  return fetchArtifact(url)
+    .then((res) => res.blob())
+    .then(
+      (blob) =>
+        new Promise((resolve, reject) => {
+          const reader = new FileReader();
+          reader.onload = () => resolve(reader.result);
+          reader.onerror = () => reject(reader.error);
+          reader.readAsDataURL(blob);
+        })
+    );
+}
+
+// Fetches what the report needs from the run's artifacts. `plots` is
+// [{ title, path }]. Figures that fail to load are listed in `missing`
+// instead of failing the whole report.
+export async function collectReportData({ runUrlBase, files, plots }) {
+  const missing = [];
+  const figures = [];
+  for (const p of plots) {
+    try {
+      figures.push({ title: p.title, src: await fetchAsDataUrl(`${runUrlBase}/${p.path}`) });
+    } catch {
+      missing.push(p.path);
+    }
+  }
+  const read = (name, parse) =>
+    loadArtifact(runUrlBase, files, name)
+      .then((text) => (text ? parse(text) : []))
+      .catch(() => {
+        missing.push(name);
+        return [];
+      });
+  const [weights, trades] = await Promise.all([read("weights_opt.csv", parseWeightsCSV), read("trades.csv", parseTrades)]);
+  return { figures, weights, trades, missing };
+}
+
+function pct(x) {
+  return Number.isFinite(x) ? `${(x * 100).toFixed(2)}%` : "";
+}
+
+function table(head, rows) {
+  return `<table><thead><tr>${head.map((h) => `<th>${escapeHtml(h)}</th>`).join("")}</tr></thead><tbody>${rows
+    .map((r) => `<tr>${r.map((c) => `<td>${escapeHtml(c)}</td>`).join("")}</tr>`)
+    .join("")}</tbody></table>`;
+}
+
+const STYLE = `
+  @page { margin: 16mm; }
+  body { font-family: system-ui, -apple-system, "Segoe UI", sans-serif; color: #0f172a; max-width: 960px; margin: 24px auto; padding: 0 16px; font-size: 13px; line-height: 1.5; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  h2 { font-size: 16px; margin: 28px 0 8px; border-bottom: 1px solid #cbd5e1; padding-bottom: 4px; }
+  h3 { font-size: 13px; margin: 14px 0 4px; }
+  .meta { color: #475569; font-size: 12px; }
+  .meta td { padding: 1px 12px 1px 0; border: 0; }
+  .stats { display: grid; grid-template-columns: repeat(3, 1fr); gap: 8px; }
+  .stat { border: 1px solid #cbd5e1; border-radius: 8px; padding: 8px 10px; }
+  .stat .t { font-size: 11px; color: #475569; }
+  .stat .v { font-size: 16px; font-weight: 600; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 3px 8px; border-bottom: 1px solid #e2e8f0; }
+  th { font-size: 11px; color: #475569; font-weight: 600; }
+  figure { margin: 12px 0; break-inside: avoid; }
+  figure img { max-width: 100%; border: 1px solid #e2e8f0; }
+  figcaption { font-size: 12px; color: #475569; }
+  pre { background: #f1f5f9; padding: 8px; font-size: 11px; white-space: pre-wrap; word-break: break-all; }
+  .stats, table, .memo-section { break-inside: avoid; }
+  h2, h3 { break-after: avoid; }
+  .note { color: #b45309; font-size: 12px; }
+`;
+
+// Builds the report document. `config` is the config the run was submitted
+// with; `configKnown` is false when it isn't in this browser's history and the
+// current form values are shown instead.
+export function buildReportHTML({
+  runId,
+  apiBase,
+  generatedAt = new Date(),
+  config,
+  configKnown,
+  summary,
+  memo,
+  figures = [],
+  weights = [],
+  trades = [],
+  missing = [],
+}) {
+  const parts = [];
+  parts.push(`<h1>Portfolio Optimizer — run report</h1>`);
+  parts.push(
+    `<table class="meta"><tbody>${[
+      ["Run ID", runId],
+      ["Generated", generatedAt.toISOString()],
+      ["Backend", apiBase],
+    ]
+      .map(([k, v]) => `<tr><td>${escapeHtml(k)}</td><td><code>${escapeHtml(v)}</code></td></tr>`)
+      .join("")}</tbody></table>`
+  );
+  if (missing.length) {
+    parts.push(`<p class="note">Could not load: ${escapeHtml(missing.join(", "))}</p>`);
+  }
+
+  const stats = summaryStats(summary);
+  if (stats.length) {
+    parts.push(`<h2>Summary</h2><div class="stats">${stats
+      .map((s) => `<div class="stat"><div class="t">${escapeHtml(s.title)}</div><div class="v">${escapeHtml(s.value)}</div></div>`)
+      .join("")}</div>`);
+  }
+
+  if (config) {
+    parts.push(`<h2>Configuration</h2>`);
+    if (!configKnown) parts.push(`<p class="note">Submitted config not on record; showing the current form values.</p>`);
+    parts.push(
+      table(
+        ["field", "value"],
+        Object.entries(config).map(([k, v]) => [k, typeof v === "object" ? JSON.stringify(v) : String(v)])
+      )
+    );
+  }
+
+  if (weights.length) {
+    const hasInitial = weights.some((w) => Number.isFinite(w.initial));
+    parts.push(`<h2>Optimized weights</h2>`);
+    parts.push(
+      table(
+        hasInitial ? ["asset", "initial", "optimized"] : ["asset", "weight"],
+        weights.map((w) => (hasInitial ? [w.asset, pct(w.initial), pct(w.weight)] : [w.asset, pct(w.weight)]))
+      )
+    );
+  }
+
+  if (trades.length) {
+    parts.push(`<h2>Trades</h2>`);
+    parts.push(
+      table(
+        ["asset", "current", "target", "change"],
+        trades.map((t) => [t.asset, pct(t.current), pct(t.target), `${t.delta > 0 ? "+" : ""}${pct(t.delta)}`])
+      )
+    );
+  }
+
+  if (figures.length) {
+    parts.push(`<h2>Figures</h2>`);
+    figures.forEach((f) => {
+      parts.push(`<figure><img src="${escapeHtml(f.src)}" alt="${escapeHtml(f.title)}" /><figcaption>${escapeHtml(f.title)}</figcaption></figure>`);
+    });
+  }
+
+  const sections = memoSections(memo);
+  if (sections.length) {
+    parts.push(`<h2>Quant Risk Assistant memo</h2>`);
+    sections.forEach((s) => {
+      const body =
+        s.kind === "list"
+          ? `<ul>${s.items.map((x) => `<li>${escapeHtml(x)}</li>`).join("")}</ul>`
+          : `<p>${escapeHtml(s.text)}</p>`;
+      parts.push(`<div class="memo-section"><h3>${escapeHtml(s.title)}</h3>${body}</div>`);
+    });
+    if (memo?.model) parts.push(`<p class="meta">Generated by: ${escapeHtml(memo.model)}</p>`);
+  }
+
+  if (summary) {
+    parts.push(`<h2>Appendix: summary.json</h2><pre>${escapeHtml(JSON.stringify(summary, null, 2))}</pre>`);
+  }
+
+  return `<!doctype html>
+<html><head><meta charset="utf-8" /><title>CVaR run ${escapeHtml(runId)}</title><style>${STYLE}</style></head>
+<body>
+${parts.join("\n")}
+</body></html>
+`;
+}
@@ -0,0 +1,79 @@
+// Tail-risk and performance statistics over a daily return series. Losses are
+// reported as positive numbers (VaR 0.02 = a 2% daily loss), historical method.
+
+export const TRADING_DAYS = 252;
+export const CVAR_LEVELS = [0.01, 0.025, 0.05, 0.1];
+
+function mean(xs) {
+  return xs.reduce((s, x) => s + x, 0) / xs.length;
+}
+
+function moment(xs, m, k) {
+  return xs.reduce((s, x) => s + (x - m) ** k, 0) / xs.length;
+}
+
+// Historical VaR/CVaR at tail level `alpha`: the worst ceil(alpha·n) days form the tail.
+export function tailRisk(returns, alpha) {
+  const sorted = returns.filter(Number.isFinite).sort((a, b) => a - b);
+  if (!sorted.length) return { var: NaN, cvar: NaN };
+  const k = Math.max(1, Math.ceil(alpha * sorted.length));
+  const tail = sorted.slice(0, k);
+  return { var: -sorted[k - 1], cvar: -mean(tail) };
+}
+
+export function maxDrawdown(returns) {
+  let wealth = 1;
+  let peak = 1;
+  let worst = 0;
+  returns.forEach((r) => {
+    wealth *= 1 + r;
+    peak = Math.max(peak, wealth);
+    worst = Math.min(worst, wealth / peak - 1);
+  });
+  return -worst;
+}
+
+// All statistics for one window. `alpha` is the run's tail level; CVaR is also
+// reported at the standard CVAR_LEVELS.
+export function windowStats(returns, alpha) {
+  const xs = returns.filter(Number.isFinite);
+  const n = xs.length;
+  if (n < 2) return null;
+
+  const m = mean(xs);
+  const variance = moment(xs, m, 2);
+  const sd = Math.sqrt((variance * n) / (n - 1));
+  const downside = Math.sqrt(xs.reduce((s, x) => s + Math.min(0, x) ** 2, 0) / n);
+  const levels = [...new Set([...CVAR_LEVELS, alpha])].sort((a, b) => a - b);
+
+  return {
+    n,
+    mean: m,
+    annReturn: m * TRADING_DAYS,
+    annVol: sd * Math.sqrt(TRADING_DAYS),
+    sharpe: sd > 0 ? (m / sd) * Math.sqrt(TRADING_DAYS) : NaN,
+    sortino: downside > 0 ? (m / downside) * Math.sqrt(TRADING_DAYS) : NaN,
+    maxDrawdown: maxDrawdown(xs),
+    var: tailRisk(xs, alpha).var,
+    cvar: Object.fromEntries(levels.map((a) => [a, tailRisk(xs, a).cvar])),
+    skew: variance > 0 ? moment(xs, m, 3) / variance ** 1.5 : NaN,
+    kurtosis: variance > 0 ? moment(xs, m, 4) / variance ** 2 - 3 : NaN,
+    best: Math.max(...xs),
+    worst: Math.min(...xs),
+  };
+}
+
+// The `count` worst days, each tagged with its window ("train"/"test") when a
+// split index is known.
+export function worstDays(dates, returns, count, splitIndex) {
+  return returns
+    .map((r, i) => ({ index: i, date: dates[i], ret: r }))
+    .filter((d) => Number.isFinite(d.ret))
+    .sort((a, b) => a.ret - b.ret)
+    .slice(0, count)
+    .map((d, rank) => ({
+      ...d,
+      rank: rank + 1,
+      window: splitIndex == null ? "" : d.index < splitIndex ? "train" : "test",
+    }));
+}
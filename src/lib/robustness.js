@@ -0,0 +1,68 @@
+import { columnStats } from "./csvView.js";
+import { summaryWeights } from "./summary.js";
+import { buildSweepPlan } from "./sweep.js";
+
+// Robustness check: the same config re-run over several train_ratio values
+// and seeds. It is planned and run like a sweep over those two fields; the
+// finished runs are then summarized per train_ratio and per asset, to show how
+// much the out-of-sample results and the weights depend on the split and on
+// the random seed.
+
+export const ROBUSTNESS_KEYS = ["train_ratio", "seed"];
+export const DEFAULT_ROBUSTNESS = { train_ratio: "0.6, 0.7, 0.8", seed: "1..5 step 1" };
+
+// An asset is flagged as unstable when its weight moves by more than this
+// across seeds (max − min at the same train_ratio, averaged over the ratios).
+export const UNSTABLE_RANGE = 0.1;
+
+// Same result as buildSweepPlan, plus `error` when either list is missing.
+export function buildRobustnessPlan(baseConfig, specs, portfolio) {
+  const plan = buildSweepPlan(baseConfig, { train_ratio: specs.train_ratio, seed: specs.seed }, portfolio);
+  const missing = ROBUSTNESS_KEYS.filter((k) => !plan.parsed[k]);
+  return missing.length ? { ...plan, members: [], error: `Enter at least one ${missing.join(" and ")} value.` } : plan;
+}
+
+function metricStats(runs) {
+  return {
+    testCvar: columnStats(runs.map((m) => m.summary.test?.cvar)),
+    testMean: columnStats(runs.map((m) => m.summary.test?.mean)),
+    // Test minus train CVaR: how much worse the tail gets out of sample.
+    gap: columnStats(runs.map((m) => m.summary.test?.cvar - m.summary.train?.cvar)),
+  };
+}
+
+// Summary of the finished members:
+//   byRatio: [{ ratio, runs, testCvar, testMean, gap }] (columnStats each)
+//   overall: the same over all runs
+//   assets:  [{ asset, min, median, max, seedRange, unstable }], least stable first
+//   noWeights: finished runs whose summary has no weights
+export function robustnessStats(members) {
+  const done = members.filter((m) => m.status === "done" && m.summary);
+  const ratios = [...new Set(done.map((m) => m.params.train_ratio))].sort((a, b) => a - b);
+  const byRatio = ratios.map((ratio) => {
+    const runs = done.filter((m) => m.params.train_ratio === ratio);
+    return { ratio, runs: runs.length, ...metricStats(runs) };
+  });
+
+  const weighted = done.map((m) => ({ ratio: m.params.train_ratio, w: summaryWeights(m.summary) })).filter((x) => x.w);
+  const assets = [];
+  weighted.forEach((x) => Object.keys(x.w).forEach((a) => !assets.includes(a) && assets.push(a)));
+  const assetRows = assets.map((asset) => {
+    const { min, median, max } = columnStats(weighted.map((x) => x.w[asset] ?? 0));
+    const ranges = ratios
+      .map((r) => weighted.filter((x) => x.ratio === r).map((x) => x.w[asset] ?? 0))
+      .filter((ws) => ws.length > 1)
+      .map((ws) => Math.max(...ws) - Math.min(...ws));
+    const seedRange = ranges.length ? ranges.reduce((s, x) => s + x, 0) / ranges.length : NaN;
+    return { asset, min, median, max, seedRange, unstable: seedRange > UNSTABLE_RANGE };
+  });
+  assetRows.sort((a, b) => (Number.isFinite(b.seedRange) ? b.seedRange : -1) - (Number.isFinite(a.seedRange) ? a.seedRange : -1));
+
+  return {
+    runs: done.length,
+    byRatio,
+    overall: { runs: done.length, ...metricStats(done) },
+    assets: assetRows,
+    noWeights: done.length - weighted.length,
+  };
+}
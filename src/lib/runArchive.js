@@ -0,0 +1,36 @@
+import { fetchArtifact } from "./api.js";
+import { runPool } from "./sweep.js";
+import { buildZip } from "./zip.js";
+
+// Fetches every file in status.files and packs them, with their folder paths,
+// into one zip together with the run's inputs (inputs/config.json and
+// inputs/portfolio.csv, when known). Files that fail to fetch are skipped and
+// listed in MISSING.txt and in the returned `failed`.
+export async function buildRunArchive({ runId, runUrlBase, files, config, portfolioCsv, onProgress }) {
+  const paths = [...new Set(files || [])];
+  const fetched = new Array(paths.length);
+  const failed = [];
+  let done = 0;
+
+  await runPool(paths, 4, async (path, i) => {
+    try {
+      const res = await fetchArtifact(`${runUrlBase}/${path}`);
+      fetched[i] = { name: `${runId}/${path}`, data: new Uint8Array(await res.arrayBuffer()) };
+    } catch (e) {
+      failed.push({ path, reason: e.status ? `HTTP ${e.status}` : String(e.detail || e.message || e) });
+    }
+    done += 1;
+    onProgress?.(done, paths.length);
+  });
+
+  const entries = fetched.filter(Boolean);
+  if (config) entries.push({ name: `${runId}/inputs/config.json`, data: `${JSON.stringify(config, null, 2)}\n` });
+  if (portfolioCsv) entries.push({ name: `${runId}/inputs/portfolio.csv`, data: portfolioCsv });
+  if (failed.length) {
+    entries.push({
+      name: `${runId}/MISSING.txt`,
+      data: `Files listed by the run but not fetched:\n${failed.map((f) => `${f.path}: ${f.reason}`).join("\n")}\n`,
+    });
+  }
+  return { zip: buildZip(entries), failed, count: entries.length };
+}
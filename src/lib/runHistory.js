@@ -0,0 +1,51 @@
+// Run history persisted in localStorage so past runs survive a page reload.
+// Entries: { run_id, created_at, portfolio_name, portfolio_csv, config, do_memo, memo_model, status, error, headline }.
+
+const STORAGE_KEY = "cvar.runHistory.v1";
+const MAX_ENTRIES = 200;
+
+export function loadHistory() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    const list = raw ? JSON.parse(raw) : [];
+    return Array.isArray(list) ? list.filter((e) => e && typeof e.run_id === "string") : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveHistory(list) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(list.slice(0, MAX_ENTRIES)));
+  } catch {
+    // Storage full or disabled: history just won't persist.
+  }
+}
+
+// Newest first; re-adding an existing run_id moves it to the top and keeps
+// whatever was already known about it.
+export function upsertRun(list, entry) {
+  const prev = list.find((e) => e.run_id === entry.run_id);
+  const merged = { ...prev, ...entry };
+  return [merged, ...list.filter((e) => e.run_id !== entry.run_id)];
+}
+
+export function patchRun(list, runId, patch) {
+  return list.map((e) => (e.run_id === runId ? { ...e, ...patch } : e));
+}
+
+export function removeRun(list, runId) {
+  return list.filter((e) => e.run_id !== runId);
+}
+
+export function headlineFromSummary(summary) {
+  if (!summary) return null;
+  return {
+    objective: summary.objective,
+    alpha: summary.alpha,
+    turnover: summary.turnover,
+    train_cvar: summary.train?.cvar,
+    test_cvar: summary.test?.cvar,
+    test_mean: summary.test?.mean,
+  };
+}
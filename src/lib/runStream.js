@@ -0,0 +1,141 @@
+import { getRunStatus, runEventsUrl } from "./api.js";
+import { isLocalRun, subscribeLocalRun } from "./localRuns.js";
+import { isTerminal, trackRun } from "./runTracker.js";
+
+// Live run progress over Server-Sent Events from GET /api/runs/{id}/events.
+// The backend sends `progress` events ({ iteration, total, temperature,
+// objective, best_objective }) while annealing and a final `status` event
+// ({ status, error? }) before closing. Unnamed events are accepted too and
+// treated the same way. Runs of the in-browser engine (localRuns.js) deliver
+// the same events directly.
+
+export class StreamUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "StreamUnavailableError";
+  }
+}
+
+function parseData(e) {
+  try {
+    return JSON.parse(e.data);
+  } catch {
+    return null;
+  }
+}
+
+// Resolves with the final status payload, or with { status: "running" } when
+// `timeoutMs` passes first. Rejects with StreamUnavailableError when the
+// stream can't be opened within `openTimeoutMs` or drops before the run ends,
+// so the caller can fall back to polling.
+export function streamRun(id, { signal, onProgress, timeoutMs = 180000, openTimeoutMs = 5000 } = {}) {
+  if (isLocalRun(id)) return streamLocalRun(id, { signal, onProgress, timeoutMs });
+  return new Promise((resolve, reject) => {
+    const url = runEventsUrl(id);
+    if (typeof EventSource === "undefined" || !url) {
+      reject(new StreamUnavailableError(url ? "EventSource is not supported" : "Event stream can't send the API key"));
+      return;
+    }
+    if (signal?.aborted) {
+      reject(new DOMException("Aborted", "AbortError"));
+      return;
+    }
+
+    const source = new EventSource(url);
+    let opened = false;
+    const openTimer = setTimeout(() => finish(reject, new StreamUnavailableError("No event stream")), openTimeoutMs);
+    const runTimer = setTimeout(() => finish(resolve, { status: "running" }), timeoutMs);
+
+    function finish(settle, value) {
+      clearTimeout(openTimer);
+      clearTimeout(runTimer);
+      signal?.removeEventListener("abort", onAbort);
+      source.close();
+      settle(value);
+    }
+
+    function onAbort() {
+      finish(reject, new DOMException("Aborted", "AbortError"));
+    }
+
+    function handleEvent(e) {
+      const data = parseData(e);
+      if (!data) return;
+      if (isTerminal(data)) finish(resolve, data);
+      else if (data.iteration != null) onProgress?.(data);
+    }
+
+    signal?.addEventListener("abort", onAbort, { once: true });
+    source.onopen = () => {
+      opened = true;
+      clearTimeout(openTimer);
+    };
+    source.addEventListener("progress", handleEvent);
+    source.addEventListener("status", handleEvent);
+    source.onmessage = handleEvent;
+    // EventSource would reconnect forever on its own; hand over to polling instead.
+    source.onerror = () =>
+      finish(reject, new StreamUnavailableError(opened ? "Event stream closed early" : "No event stream"));
+  });
+}
+
+function streamLocalRun(id, { signal, onProgress, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException("Aborted", "AbortError"));
+      return;
+    }
+    let unsubscribe = null;
+    const runTimer = setTimeout(() => finish(resolve, { status: "running" }), timeoutMs);
+
+    function finish(settle, value) {
+      clearTimeout(runTimer);
+      signal?.removeEventListener("abort", onAbort);
+      unsubscribe?.();
+      settle(value);
+    }
+
+    function onAbort() {
+      finish(reject, new DOMException("Aborted", "AbortError"));
+    }
+
+    unsubscribe = subscribeLocalRun(id, (data) => {
+      if (isTerminal(data)) finish(resolve, data);
+      else if (data.iteration != null) onProgress?.(data);
+    });
+    // Unknown here (e.g. after a reload): polling reports the 404.
+    if (!unsubscribe) {
+      finish(reject, new StreamUnavailableError("Local run not found"));
+      return;
+    }
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// Follows a run through the event stream when the backend has one, and falls
+// back to polling (trackRun) when it doesn't or the stream drops. Takes the
+// same options as trackRun plus onProgress, and resolves the same way.
+export async function followRun(id, { onProgress, ...opts } = {}) {
+  const start = Date.now();
+  const timeoutMs = opts.timeoutMs ?? 180000;
+  let streaming = false;
+  try {
+    const st = await streamRun(id, {
+      signal: opts.signal,
+      timeoutMs,
+      onProgress: (p) => {
+        if (!streaming) opts.onStatus?.({ status: "running" });
+        streaming = true;
+        onProgress?.(p);
+      },
+    });
+    if (!isTerminal(st)) return st;
+    // The stream only carries the outcome; the full status lists the artifacts.
+    const full = await getRunStatus(id, { signal: opts.signal });
+    opts.onStatus?.(full);
+    if (isTerminal(full)) return full;
+  } catch (e) {
+    if (!(e instanceof StreamUnavailableError)) throw e;
+  }
+  return trackRun(id, { ...opts, timeoutMs: Math.max(0, timeoutMs - (Date.now() - start)) });
+}
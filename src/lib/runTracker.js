@@ -0,0 +1,119 @@
+import { ApiError, getRunStatus } from "./api.js";
+
+// Run tracking: polls GET /api/runs/{id} with exponential backoff and jitter,
+// retries transient network/server errors, and can be aborted. The run being
+// watched is remembered in localStorage so tracking resumes after a reload.
+
+const ACTIVE_KEY = "cvar.activeRun.v1";
+const TERMINAL = ["done", "error", "failed", "cancelled", "canceled"];
+
+export function isTerminal(st) {
+  return TERMINAL.includes(st?.status);
+}
+
+// Network errors, 429 and 5xx are worth retrying; other API errors (e.g. an
+// unknown run_id or a malformed status) are not.
+function isTransient(e) {
+  if (e instanceof ApiError) return e.retryable;
+  return e?.name !== "AbortError";
+}
+
+// Full jitter: a random delay in [base/2, base·2^attempt], capped at maxMs.
+export function backoffDelay(attempt, baseMs = 800, maxMs = 10000) {
+  const ceiling = Math.min(maxMs, baseMs * 2 ** attempt);
+  return baseMs / 2 + Math.random() * Math.max(0, ceiling - baseMs / 2);
+}
+
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new DOMException("Aborted", "AbortError"));
+    const t = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    function onAbort() {
+      clearTimeout(t);
+      reject(new DOMException("Aborted", "AbortError"));
+    }
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// Polls until the run reaches a terminal status or `timeoutMs` passes, and
+// resolves with the last status seen (check isTerminal() to tell them apart).
+// The poll interval grows while the status doesn't change and resets when it
+// does. Throws AbortError when `signal` aborts, or the last error after
+// `maxRetries` consecutive failures.
+export async function trackRun(
+  id,
+  { signal, timeoutMs = 180000, baseMs = 800, maxMs = 10000, maxRetries = 6, onStatus, onRetry } = {}
+) {
+  const start = Date.now();
+  let last = null;
+  let attempt = 0;
+  let failures = 0;
+
+  while (true) {
+    try {
+      const st = await getRunStatus(id, { signal });
+      failures = 0;
+      if (JSON.stringify(st) !== JSON.stringify(last)) attempt = 0;
+      last = st;
+      onStatus?.(st);
+      if (isTerminal(st)) return st;
+    } catch (e) {
+      if (!isTransient(e) || ++failures > maxRetries) throw e;
+      onRetry?.(failures, e);
+    }
+
+    if (Date.now() - start > timeoutMs) return last;
+    await sleep(backoffDelay(failures || attempt, baseMs, maxMs), signal);
+    attempt += 1;
+  }
+}
+
+// Progress from whatever the status payload carries: a `progress` fraction
+// (0–1 or percent) or an iteration counter with a total. Returns
+// { fraction, label } with fraction null when only a count is known.
+export function runProgress(st) {
+  if (!st) return null;
+  const p = st.progress;
+  if (typeof p === "number" && Number.isFinite(p)) {
+    const fraction = Math.min(1, Math.max(0, p > 1 ? p / 100 : p));
+    return { fraction, label: `${Math.round(fraction * 100)}%` };
+  }
+  const src = p && typeof p === "object" ? p : st;
+  const iter = Number(src.iteration ?? src.iter ?? src.current_iter ?? src.step);
+  const total = Number(src.total_iters ?? src.iters ?? src.max_iter ?? src.total);
+  if (!Number.isFinite(iter)) return null;
+  if (Number.isFinite(total) && total > 0) {
+    return { fraction: Math.min(1, iter / total), label: `iteration ${iter} / ${total}` };
+  }
+  return { fraction: null, label: `iteration ${iter}` };
+}
+
+// { run_id, want_memo, started_at } of the run being watched, if any.
+export function loadActiveRun() {
+  try {
+    const active = JSON.parse(localStorage.getItem(ACTIVE_KEY) || "null");
+    return active && typeof active.run_id === "string" ? active : null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveActiveRun(active) {
+  try {
+    localStorage.setItem(ACTIVE_KEY, JSON.stringify(active));
+  } catch {
+    // Storage disabled: the run just won't resume after a reload.
+  }
+}
+
+export function clearActiveRun() {
+  try {
+    localStorage.removeItem(ACTIVE_KEY);
+  } catch {
+    // Nothing to clear.
+  }
+}
@@ -0,0 +1,103 @@
+import { describe, expect, it, vi } from "vitest";
+import { fakeBackend, json } from "../test/fakeBackend.js";
+import { followRun } from "./runStream.js";
+import { backoffDelay, runProgress, trackRun } from "./runTracker.js";
+
+// Short, fixed poll delays so the tests run in real time.
+const FAST = { baseMs: 2, maxMs: 4 };
+
+describe("trackRun", () => {
+  it("polls through queued and running until done", async () => {
+    fakeBackend({
+      statuses: [
+        { status: "queued" },
+        { status: "running", progress: 0.5 },
+        { status: "done", files: ["summary.json"] },
+      ],
+    });
+    const seen = [];
+
+    const st = await trackRun("run-1", { ...FAST, onStatus: (s) => seen.push(s.status) });
+
+    expect(st).toEqual({ status: "done", files: ["summary.json"] });
+    expect(seen).toEqual(["queued", "running", "done"]);
+  });
+
+  it("stops at an error status and keeps its message", async () => {
+    fakeBackend({ statuses: [{ status: "running" }, { status: "error", error: "Solver diverged" }] });
+    const st = await trackRun("run-1", FAST);
+    expect(st.status).toBe("error");
+    expect(st.error).toBe("Solver diverged");
+  });
+
+  it("retries transient failures", async () => {
+    let n = 0;
+    fakeBackend({
+      routes: {
+        "GET /api/runs/run-1": () => (++n < 3 ? json(503, { detail: "busy" }) : json(200, { status: "done" })),
+      },
+    });
+    const onRetry = vi.fn();
+
+    const st = await trackRun("run-1", { ...FAST, onRetry });
+
+    expect(st.status).toBe("done");
+    expect(onRetry).toHaveBeenCalledTimes(2);
+    expect(onRetry.mock.calls[0][1].status).toBe(503);
+  });
+
+  it("gives up on errors that won't go away by retrying", async () => {
+    fakeBackend({ routes: { "GET /api/runs/run-1": () => json(404, { detail: "Unknown run" }) } });
+    await expect(trackRun("run-1", FAST)).rejects.toMatchObject({ status: 404, detail: "Unknown run" });
+  });
+
+  it("resolves with the last status when the timeout passes", async () => {
+    vi.useFakeTimers();
+    fakeBackend({ statuses: [{ status: "running" }] });
+
+    const pending = trackRun("run-1", { timeoutMs: 60000 });
+    await vi.advanceTimersByTimeAsync(70000);
+
+    await expect(pending).resolves.toEqual({ status: "running", files: [] });
+  });
+
+  it("can be aborted", async () => {
+    fakeBackend({ statuses: [{ status: "running" }] });
+    const controller = new AbortController();
+    const pending = trackRun("run-1", { ...FAST, signal: controller.signal });
+    controller.abort();
+    await expect(pending).rejects.toMatchObject({ name: "AbortError" });
+  });
+});
+
+describe("followRun", () => {
+  it("falls back to polling when there is no event stream", async () => {
+    fakeBackend({ statuses: [{ status: "running" }, { status: "done", files: [] }] });
+    expect(typeof EventSource).toBe("undefined");
+    const st = await followRun("run-1", FAST);
+    expect(st.status).toBe("done");
+  });
+});
+
+describe("backoffDelay", () => {
+  it("stays between half the base delay and the cap", () => {
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const ms = backoffDelay(attempt, 800, 10000);
+      expect(ms).toBeGreaterThanOrEqual(400);
+      expect(ms).toBeLessThanOrEqual(10000);
+    }
+  });
+});
+
+describe("runProgress", () => {
+  it("reads fractions, percentages and iteration counters", () => {
+    expect(runProgress({ progress: 0.25 })).toEqual({ fraction: 0.25, label: "25%" });
+    expect(runProgress({ progress: 40 })).toEqual({ fraction: 0.4, label: "40%" });
+    expect(runProgress({ progress: { iteration: 100, total: 400 } })).toEqual({
+      fraction: 0.25,
+      label: "iteration 100 / 400",
+    });
+    expect(runProgress({ iter: 7 })).toEqual({ fraction: null, label: "iteration 7" });
+    expect(runProgress({ status: "running" })).toBeNull();
+  });
+});
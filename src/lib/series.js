@@ -0,0 +1,99 @@
+import { parseCSV, toNumber } from "./csv.js";
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}/;
+const LEVEL_RE = /cum|wealth|nav|equity|value|index|level/;
+const SPLIT_RE = /^(split|set|segment|period|sample|phase|is_train|is_test|train|test)$/;
+
+function isTestMarker(v, colName) {
+  const s = String(v).trim().toLowerCase();
+  if (colName === "is_train" || colName === "train") return s === "0" || s === "false";
+  if (colName === "is_test" || colName === "test") return s === "1" || s === "true";
+  return /test|oos|out/.test(s);
+}
+
+// Daily returns from a level series (wealth, NAV, cumulative index).
+function levelsToReturns(values) {
+  return values.map((v, i) => (i === 0 ? 0 : v / values[i - 1] - 1));
+}
+
+// Reads portfolio_returns_full.csv into
+// { dates, series: [{ name, returns }], splitIndex }. Level-like columns
+// (cumulative/NAV) are converted to daily returns so every series has the same
+// shape. splitIndex is the first test row when the file marks it, else null.
+export function parseReturnsCSV(text) {
+  const { columns, rows } = parseCSV(text);
+  const lower = columns.map((c) => c.toLowerCase());
+  if (!rows.length) return { dates: [], series: [], splitIndex: null };
+
+  const dateCol = columns.findIndex((_, c) => rows.slice(0, 5).every((r) => DATE_RE.test(r[c] || "")));
+  const splitCol = lower.findIndex((c, i) => i !== dateCol && SPLIT_RE.test(c));
+
+  const series = columns
+    .map((name, c) => ({ name, c }))
+    .filter(({ c }) => c !== dateCol && c !== splitCol)
+    .filter(({ c }) => rows.filter((r) => Number.isFinite(toNumber(r[c]))).length >= rows.length * 0.9)
+    .map(({ name, c }) => {
+      const values = rows.map((r) => toNumber(r[c]));
+      const level = LEVEL_RE.test(lower[c]);
+      return { name: name || "return", returns: level ? levelsToReturns(values) : values.map((v) => (Number.isFinite(v) ? v : 0)) };
+    });
+
+  let splitIndex = null;
+  if (splitCol !== -1) {
+    const i = rows.findIndex((r) => isTestMarker(r[splitCol], lower[splitCol]));
+    if (i > 0) splitIndex = i;
+  }
+
+  return {
+    dates: dateCol === -1 ? rows.map((_, i) => String(i)) : rows.map((r) => r[dateCol].slice(0, 10)),
+    series,
+    splitIndex,
+  };
+}
+
+// Train/test boundary: the marked one if present, else train_ratio of the window
+// (the backend splits the lookback window chronologically).
+export function resolveSplit(parsed, trainRatio) {
+  if (parsed.splitIndex != null) return { index: parsed.splitIndex, estimated: false };
+  const n = parsed.dates.length;
+  if (!n || !Number.isFinite(trainRatio)) return null;
+  return { index: Math.min(n - 1, Math.max(1, Math.floor(n * trainRatio))), estimated: true };
+}
+
+export function cumulativeReturns(returns) {
+  let wealth = 1;
+  return returns.map((r) => {
+    wealth *= 1 + r;
+    return wealth - 1;
+  });
+}
+
+export function drawdowns(returns) {
+  let wealth = 1;
+  let peak = 1;
+  return returns.map((r) => {
+    wealth *= 1 + r;
+    peak = Math.max(peak, wealth);
+    return wealth / peak - 1;
+  });
+}
+
+// Reads objective_history.csv into { x, xName, series: [{ name, values }] }.
+// The iteration column (if any) becomes x; every other numeric column is a series.
+export function parseObjectiveCSV(text) {
+  const { columns, rows } = parseCSV(text);
+  const lower = columns.map((c) => c.toLowerCase());
+  if (!rows.length) return { x: [], xName: "iteration", series: [] };
+
+  const iterCol = lower.findIndex((c) => /^(iter|iteration|step|it|i|k|epoch)$/.test(c) || c === "");
+  const series = columns
+    .map((name, c) => ({ name, c }))
+    .filter(({ c }) => c !== iterCol && rows.some((r) => Number.isFinite(toNumber(r[c]))))
+    .map(({ name, c }) => ({ name, values: rows.map((r) => toNumber(r[c])) }));
+
+  return {
+    x: iterCol === -1 ? rows.map((_, i) => i) : rows.map((r, i) => (Number.isFinite(toNumber(r[iterCol])) ? toNumber(r[iterCol]) : i)),
+    xName: iterCol === -1 || !columns[iterCol] ? "iteration" : columns[iterCol],
+    series,
+  };
+}
@@ -0,0 +1,28 @@
+// Fields the summary lacks (or that aren't numbers) show as "—".
+function fixed(v, digits) {
+  const x = v == null || v === "" ? NaN : Number(v);
+  return Number.isFinite(x) ? x.toFixed(digits) : "—";
+}
+
+// Headline numbers shown for a finished run (Results grid and reports).
+export function summaryStats(summary) {
+  if (!summary) return [];
+  return [
+    { title: "Objective", value: summary.objective ?? "—" },
+    { title: "Alpha", value: summary.alpha ?? "—" },
+    { title: "Turnover", value: fixed(summary.turnover, 4) },
+    { title: "Train CVaR", value: fixed(summary.train?.cvar, 4) },
+    { title: "Test CVaR", value: fixed(summary.test?.cvar, 4) },
+    { title: "Test Mean", value: fixed(summary.test?.mean, 6) },
+  ];
+}
+
+// Weights from summary.json: an { asset: w } map or a [{ asset, weight }] list.
+// Null when the summary has none.
+export function summaryWeights(summary) {
+  const w = summary?.weights;
+  if (Array.isArray(w)) {
+    return Object.fromEntries(w.filter((x) => x?.asset != null).map((x) => [x.asset, Number(x.weight)]));
+  }
+  return w && typeof w === "object" ? Object.fromEntries(Object.entries(w).map(([k, v]) => [k, Number(v)])) : null;
+}
@@ -0,0 +1,46 @@
+import { describe, expect, it } from "vitest";
+import { summaryStats, summaryWeights } from "./summary.js";
+
+describe("summaryStats", () => {
+  it("formats the headline numbers", () => {
+    const stats = summaryStats({
+      objective: "min_cvar",
+      alpha: 0.05,
+      turnover: 0.312345,
+      train: { cvar: 0.0123456, mean: 0.0004 },
+      test: { cvar: 0.015, mean: 0.000123456 },
+    });
+    expect(stats).toEqual([
+      { title: "Objective", value: "min_cvar" },
+      { title: "Alpha", value: 0.05 },
+      { title: "Turnover", value: "0.3123" },
+      { title: "Train CVaR", value: "0.0123" },
+      { title: "Test CVaR", value: "0.0150" },
+      { title: "Test Mean", value: "0.000123" },
+    ]);
+  });
+
+  it("shows a dash for missing or non-numeric fields", () => {
+    const stats = summaryStats({ objective: "min_cvar", turnover: "n/a", test: { cvar: "0.02" } });
+    expect(Object.fromEntries(stats.map((s) => [s.title, s.value]))).toEqual({
+      Objective: "min_cvar",
+      Alpha: "—",
+      Turnover: "—",
+      "Train CVaR": "—",
+      "Test CVaR": "0.0200",
+      "Test Mean": "—",
+    });
+  });
+
+  it("has nothing to show without a summary", () => {
+    expect(summaryStats(null)).toEqual([]);
+  });
+});
+
+describe("summaryWeights", () => {
+  it("reads a map or a list of weights", () => {
+    expect(summaryWeights({ weights: { SPY: "0.6", GLD: 0.4 } })).toEqual({ SPY: 0.6, GLD: 0.4 });
+    expect(summaryWeights({ weights: [{ asset: "SPY", weight: 1 }, { weight: 2 }] })).toEqual({ SPY: 1 });
+    expect(summaryWeights({})).toBeNull();
+  });
+});
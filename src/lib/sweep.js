@@ -0,0 +1,112 @@
+import { createRun, getRunSummary } from "./api.js";
+import { clampConfigValue, validateConfigFields } from "./config.js";
+import { validatePortfolio } from "./portfolioCsv.js";
+import { isTerminal, trackRun } from "./runTracker.js";
+
+export const MAX_SWEEP_RUNS = 100;
+
+const NUM = String.raw`-?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?`;
+const RANGE_RE = new RegExp(String.raw`^(${NUM})\s*\.\.\s*(${NUM})\s+step\s+(${NUM})$`, "i");
+
+function roundValue(x) {
+  return Number(x.toPrecision(12));
+}
+
+// Parses a sweep spec for one field: a list ("0.1, 0.5, 1") or a range
+// ("0..2 step 0.25"). Values go through the field's clamp; returns
+// { values, error?, warning? }. An empty spec means "not swept".
+export function parseSweepSpec(key, text) {
+  const s = String(text || "").trim();
+  if (!s) return { values: [] };
+
+  let raw;
+  const m = s.match(RANGE_RE);
+  if (m) {
+    const [from, to, step] = [Number(m[1]), Number(m[2]), Number(m[3])];
+    if (!(step > 0)) return { values: [], error: "step must be > 0" };
+    if (to < from) return { values: [], error: "range end must be ≥ start" };
+    const count = Math.floor((to - from) / step + 1e-9) + 1;
+    if (count > MAX_SWEEP_RUNS) return { values: [], error: `range has ${count} values (max ${MAX_SWEEP_RUNS})` };
+    raw = Array.from({ length: count }, (_, i) => roundValue(from + i * step));
+  } else {
+    const parts = s.split(/[,\s;]+/).filter(Boolean);
+    const bad = parts.find((p) => !Number.isFinite(Number(p)));
+    if (bad !== undefined) return { values: [], error: `"${bad}" is not a number; use "a, b, c" or "from..to step s"` };
+    raw = parts.map(Number);
+  }
+
+  const clamped = raw.map((v) => clampConfigValue(key, v));
+  const values = [...new Set(clamped)];
+  const warning = clamped.some((v, i) => v !== raw[i]) ? "some values were clamped to the allowed range" : undefined;
+  return { values, warning };
+}
+
+// Cartesian product of all swept fields over the base config. Members whose
+// config is invalid (e.g. final_temp ≥ init_temp) or makes the portfolio
+// infeasible are marked `skip` with the reason.
+export function buildSweepPlan(baseConfig, specs, portfolio) {
+  const parsed = {};
+  Object.entries(specs).forEach(([key, text]) => {
+    const r = parseSweepSpec(key, text);
+    if (r.values.length || r.error) parsed[key] = r;
+  });
+
+  const keys = Object.keys(parsed).filter((k) => !parsed[k].error);
+  const hasErrors = Object.values(parsed).some((r) => r.error);
+  const total = keys.reduce((n, k) => n * parsed[k].values.length, keys.length ? 1 : 0);
+
+  if (!keys.length || hasErrors || total > MAX_SWEEP_RUNS) {
+    return { keys, parsed, total, members: [], tooMany: total > MAX_SWEEP_RUNS };
+  }
+
+  let combos = [{}];
+  keys.forEach((k) => {
+    combos = combos.flatMap((c) => parsed[k].values.map((v) => ({ ...c, [k]: v })));
+  });
+
+  const members = combos.map((params, index) => {
+    const config = { ...baseConfig, ...params };
+    const [field, fieldMsg] = Object.entries(validateConfigFields(config))[0] || [];
+    if (field) return { index, params, config, skip: `${field}: ${fieldMsg}` };
+    const reason = portfolio ? validatePortfolio(portfolio, config).find((x) => x.level === "error") : null;
+    const where = reason?.row !== undefined ? `${portfolio.assets[reason.row].ticker}: ` : "";
+    return { index, params, config, skip: reason ? `${where}${reason.message}` : null };
+  });
+
+  return { keys, parsed, total, members, tooMany: false };
+}
+
+// Runs `worker` over `items` with at most `limit` in flight. `worker` must
+// handle its own errors; `shouldStop` stops new items from starting.
+export async function runPool(items, limit, worker, shouldStop = () => false) {
+  let next = 0;
+  async function lane() {
+    while (next < items.length && !shouldStop()) {
+      const i = next++;
+      await worker(items[i], i);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, lane));
+}
+
+// Submits one sweep member and follows it to completion, reporting progress
+// through onUpdate(patch). Never throws: failures end up as status "error"
+// or "timeout" on that member only.
+export async function runSweepMember({ portfolioFile, config, onUpdate, timeoutMs = 180000, intervalMs = 1500 }) {
+  try {
+    onUpdate({ status: "submitting" });
+    const { run_id } = await createRun({ portfolioFile, config });
+    onUpdate({ status: "running", run_id });
+
+    const st = await trackRun(run_id, { timeoutMs, baseMs: intervalMs });
+    if (st?.status === "done") {
+      onUpdate({ status: "done", summary: await getRunSummary(run_id) });
+    } else if (isTerminal(st)) {
+      onUpdate({ status: "error", error: st.error || st.status });
+    } else {
+      onUpdate({ status: "timeout", error: `No result after ${Math.round(timeoutMs / 1000)}s` });
+    }
+  } catch (e) {
+    onUpdate({ status: "error", error: String(e?.message || e) });
+  }
+}
@@ -0,0 +1,152 @@
+import { csvCell, parseCSV, toNumber } from "./csv.js";
+import { escapeHtml } from "./html.js";
+
+const CURRENT_RE = /init|current|old|prev|start|before|^w0$/;
+const TARGET_RE = /target|new|opt|final|after|^w1$/;
+const DELTA_RE = /trade|delta|diff|change/;
+
+// Reads trades.csv into [{ asset, current, target, delta }]. Any one of the
+// three weight columns can be missing and is derived from the other two.
+export function parseTrades(text) {
+  const { columns, rows } = parseCSV(text);
+  if (!rows.length) return [];
+  const lower = columns.map((c) => c.toLowerCase());
+  const numeric = (c) => rows.every((r) => r[c] === "" || Number.isFinite(toNumber(r[c])));
+  const labelCol = columns.findIndex((_, c) => !numeric(c));
+  const find = (re) => lower.findIndex((c, i) => i !== labelCol && re.test(c) && numeric(i));
+
+  const curCol = find(CURRENT_RE);
+  const tgtCol = find(TARGET_RE);
+  const dltCol = find(DELTA_RE);
+  if (labelCol === -1 || [curCol, tgtCol, dltCol].filter((c) => c !== -1).length < 2) return [];
+
+  return rows.map((r) => {
+    let current = curCol === -1 ? NaN : toNumber(r[curCol]);
+    let target = tgtCol === -1 ? NaN : toNumber(r[tgtCol]);
+    let delta = dltCol === -1 ? NaN : toNumber(r[dltCol]);
+    if (!Number.isFinite(delta)) delta = target - current;
+    if (!Number.isFinite(current)) current = target - delta;
+    if (!Number.isFinite(target)) target = current + delta;
+    return { asset: r[labelCol], current, target, delta };
+  });
+}
+
+// Builds ticket rows from parsed trades. Cost is |delta| · bps (as a weight
+// fraction, times notional for dollars). Share quantities need both a notional
+// and a price for the asset and are rounded toward zero. `minTrade` is
+// { value, unit: "pct" | "usd" }; smaller trades are flagged, not removed.
+export function buildTicket(trades, { costBps, notional, prices, minTrade }) {
+  const hasNotional = Number.isFinite(notional) && notional > 0;
+  const rows = trades.map((t) => {
+    const absDelta = Math.abs(t.delta);
+    const price = toNumber(prices[t.asset]);
+    const dollars = hasNotional ? t.delta * notional : NaN;
+    const shares = hasNotional && price > 0 ? Math.trunc(dollars / price) : NaN;
+    const cost = (absDelta * costBps) / 10000;
+    const size = minTrade.unit === "usd" ? Math.abs(dollars) : absDelta * 100;
+    return {
+      ...t,
+      side: absDelta < 1e-12 ? "HOLD" : t.delta > 0 ? "BUY" : "SELL",
+      cost,
+      costDollars: hasNotional ? cost * notional : NaN,
+      dollars,
+      price,
+      shares,
+      belowMin: absDelta > 1e-12 && minTrade.value > 0 && Number.isFinite(size) && size < minTrade.value,
+    };
+  });
+
+  const sum = (f) => rows.reduce((s, r) => s + f(r), 0);
+  const totals = {
+    turnover: sum((r) => Math.abs(r.delta)),
+    cost: sum((r) => r.cost),
+    costDollars: hasNotional ? sum((r) => r.costDollars) : NaN,
+    buys: hasNotional ? sum((r) => Math.max(0, r.dollars)) : NaN,
+    sells: hasNotional ? sum((r) => Math.max(0, -r.dollars)) : NaN,
+    flagged: rows.filter((r) => r.belowMin).length,
+  };
+  return { rows, totals };
+}
+
+export function ticketToCSV(rows) {
+  const header = [
+    "asset",
+    "side",
+    "current_weight",
+    "target_weight",
+    "delta_weight",
+    "est_cost_weight",
+    "amount_usd",
+    "est_cost_usd",
+    "price",
+    "shares",
+    "below_min",
+  ];
+  const fmt = (v) => (Number.isFinite(v) ? String(Number(v.toFixed(8))) : "");
+  const lines = rows.map((r) =>
+    [
+      csvCell(r.asset),
+      r.side,
+      fmt(r.current),
+      fmt(r.target),
+      fmt(r.delta),
+      fmt(r.cost),
+      fmt(r.dollars),
+      fmt(r.costDollars),
+      fmt(r.price),
+      fmt(r.shares),
+      r.belowMin ? "yes" : "",
+    ].join(",")
+  );
+  return `${header.join(",")}\n${lines.join("\n")}\n`;
+}
+
+function pct(v) {
+  return Number.isFinite(v) ? `${(v * 100).toFixed(2)}%` : "";
+}
+
+function usd(v) {
+  return Number.isFinite(v) ? v.toLocaleString(undefined, { style: "currency", currency: "USD" }) : "";
+}
+
+// Printable order sheet. `meta` carries run_id, notional and cost bps for the header.
+export function ticketToHTML(rows, totals, meta) {
+  const body = rows
+    .filter((r) => r.side !== "HOLD")
+    .map(
+      (r) => `<tr class="${r.belowMin ? "flag" : ""}">
+  <td>${escapeHtml(r.asset)}</td><td class="${r.side.toLowerCase()}">${r.side}</td>
+  <td>${pct(r.current)}</td><td>${pct(r.target)}</td><td>${pct(r.delta)}</td>
+  <td>${usd(r.dollars)}</td><td>${Number.isFinite(r.price) ? r.price : ""}</td>
+  <td>${Number.isFinite(r.shares) ? r.shares : ""}</td><td>${usd(r.costDollars) || pct(r.cost)}</td>
+  <td>${r.belowMin ? "below min" : ""}</td>
+</tr>`
+    )
+    .join("\n");
+
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><title>Order sheet ${escapeHtml(meta.runId)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; color: #0f172a; margin: 24px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  .meta { font-size: 12px; color: #475569; margin-bottom: 16px; }
+  table { border-collapse: collapse; width: 100%; font-size: 12px; }
+  th, td { border: 1px solid #cbd5e1; padding: 4px 8px; text-align: right; }
+  th:first-child, td:first-child { text-align: left; }
+  .buy { color: #15803d; font-weight: 600; } .sell { color: #b91c1c; font-weight: 600; }
+  tr.flag td { background: #fef3c7; }
+  .sign { margin-top: 32px; font-size: 12px; display: flex; gap: 48px; }
+</style></head>
+<body>
+<h1>Rebalancing order sheet</h1>
+<div class="meta">run_id ${escapeHtml(meta.runId)} · generated ${escapeHtml(new Date().toLocaleString())} ·
+notional ${usd(meta.notional) || "n/a"} · cost ${escapeHtml(meta.costBps)} bps ·
+turnover ${pct(totals.turnover)} · est. cost ${usd(totals.costDollars) || pct(totals.cost)}</div>
+<table>
+<thead><tr><th>Asset</th><th>Side</th><th>Current</th><th>Target</th><th>Delta</th><th>Amount</th><th>Price</th><th>Shares</th><th>Est. cost</th><th></th></tr></thead>
+<tbody>
+${body}
+</tbody></table>
+<div class="sign"><div>Prepared by: ____________________</div><div>Approved by: ____________________</div></div>
+</body></html>`;
+}
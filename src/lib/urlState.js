@@ -0,0 +1,52 @@
+import { DEFAULT_CONFIG, validateConfig } from "./config.js";
+
+// Shareable app state in the query string: config fields that differ from
+// DEFAULT_CONFIG under their own names, plus `memo`, `memo_model` and `run`.
+// e.g. ?alpha=0.01&objective=mean_minus_lambda_cvar&memo=1&run=ab12cd34
+
+const EXTRA_KEYS = ["memo", "memo_model", "run"];
+
+export function encodeUrlState({ config, doMemo, memoModel, runId }) {
+  const params = new URLSearchParams();
+  Object.keys(DEFAULT_CONFIG).forEach((k) => {
+    if (config[k] !== DEFAULT_CONFIG[k]) params.set(k, String(config[k]));
+  });
+  if (doMemo) params.set("memo", "1");
+  if (doMemo && memoModel.trim()) params.set("memo_model", memoModel.trim());
+  if (runId) params.set("run", runId);
+  return params.toString();
+}
+
+// Returns null when the query string carries no app state. Config values go
+// through the same validation and clamping as imported configs; `issues`
+// reports anything that was ignored or adjusted.
+export function decodeUrlState(search) {
+  const params = new URLSearchParams(search);
+  const keys = [...params.keys()];
+  if (!keys.some((k) => k in DEFAULT_CONFIG || EXTRA_KEYS.includes(k))) return null;
+
+  const raw = {};
+  keys
+    .filter((k) => !EXTRA_KEYS.includes(k))
+    .forEach((k) => {
+      const v = params.get(k);
+      raw[k] = k === "long_only" && (v === "true" || v === "false") ? v === "true" : v;
+    });
+  const { config, issues } = validateConfig(raw);
+  const runId = (params.get("run") || "").trim();
+  const validRun = /^[\w-]+$/.test(runId);
+  if (runId && !validRun) issues.push({ level: "error", field: "run", message: `"${runId}" is not a valid run_id.` });
+
+  return {
+    config,
+    issues: issues.map((x) => ({ ...x, message: `Link: ${x.message}` })),
+    doMemo: params.get("memo") === "1" || params.get("memo") === "true",
+    memoModel: params.get("memo_model") || "",
+    runId: validRun ? runId : "",
+  };
+}
+
+export function shareUrl(state) {
+  const qs = encodeUrlState(state);
+  return `${window.location.origin}${window.location.pathname}${qs ? `?${qs}` : ""}${window.location.hash}`;
+}
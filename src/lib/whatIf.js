@@ -0,0 +1,101 @@
+import { parseCSV, toNumber } from "./csv.js";
+import { tailRisk } from "./riskStats.js";
+
+// What-if analysis on a finished run: re-scores hand-edited weights against
+// the run's per-asset daily returns (the asset_returns.csv artifact: `date`,
+// one column per asset, and optionally `split` = train/test per row). The
+// scoring runs in a worker (see workers/whatIf.worker.js); the helpers here
+// are plain functions so they can be used anywhere.
+
+export const ASSET_RETURNS_ARTIFACT = "asset_returns.csv";
+
+export const WHATIF_WINDOWS = [
+  { value: "test", label: "Test window" },
+  { value: "train", label: "Train window" },
+  { value: "full", label: "Full history" },
+];
+
+// Returns { dates, tickers, rows, split } where rows[t][i] is asset i's return
+// on day t and split is the index of the first test day, or null when the
+// file has no usable asset columns.
+export function parseAssetReturns(text, trainRatio = 0.7) {
+  const { columns, rows } = parseCSV(text);
+  const lower = columns.map((c) => c.toLowerCase());
+  const dateCol = lower.indexOf("date");
+  const splitCol = lower.indexOf("split");
+  const assetCols = columns.map((_, c) => c).filter((c) => c !== dateCol && c !== splitCol);
+  if (!assetCols.length || !rows.length) return null;
+
+  const firstTest = splitCol === -1 ? -1 : rows.findIndex((r) => String(r[splitCol]).toLowerCase() === "test");
+  return {
+    dates: rows.map((r, t) => (dateCol === -1 ? String(t + 1) : r[dateCol])),
+    tickers: assetCols.map((c) => columns[c]),
+    rows: rows.map((r) => assetCols.map((c) => toNumber(r[c]))),
+    split: firstTest !== -1 ? firstTest : Math.floor(rows.length * trainRatio),
+  };
+}
+
+function windowRows(data, window) {
+  if (window === "train") return data.rows.slice(0, data.split);
+  if (window === "test") return data.rows.slice(data.split);
+  return data.rows;
+}
+
+// Daily portfolio returns for `weights` ({ asset: w }). Assets without a
+// return column are ignored (see missingAssets); days with a missing return
+// for a held asset are dropped.
+export function portfolioReturns(data, weights, window = "full") {
+  const idx = data.tickers.map((t) => Number(weights[t]) || 0);
+  return windowRows(data, window)
+    .map((r) => r.reduce((s, x, i) => (idx[i] ? s + x * idx[i] : s), 0))
+    .filter(Number.isFinite);
+}
+
+export function missingAssets(data, weights) {
+  return Object.keys(weights).filter((a) => Number(weights[a]) && !data.tickers.includes(a));
+}
+
+// Turnover against the initial weights and its cost, no return data needed.
+export function tradingCost(weights, initial, costBps) {
+  const assets = [...new Set([...Object.keys(weights), ...Object.keys(initial || {})])];
+  const turnover = initial
+    ? assets.reduce((s, a) => s + Math.abs((Number(weights[a]) || 0) - (Number(initial[a]) || 0)), 0)
+    : NaN;
+  return { turnover, cost: (turnover * costBps) / 10000 };
+}
+
+// { mean, var, cvar, days, turnover, cost, total } for one weight vector. Risk
+// numbers are NaN without return data; total is the sum of the weights.
+export function evaluateWeights(data, weights, { alpha, window = "test", initial, costBps = 0 }) {
+  const total = Object.values(weights).reduce((s, w) => s + (Number(w) || 0), 0);
+  const trade = tradingCost(weights, initial, costBps);
+  if (!data) return { mean: NaN, var: NaN, cvar: NaN, days: 0, total, ...trade };
+  const returns = portfolioReturns(data, weights, window);
+  const risk = tailRisk(returns, alpha);
+  const mean = returns.length ? returns.reduce((s, x) => s + x, 0) / returns.length : NaN;
+  return { mean, var: risk.var, cvar: risk.cvar, days: returns.length, total, ...trade };
+}
+
+// Sets one asset's weight and spreads the difference over the other unlocked
+// assets in proportion to their size (equally when they are all zero), so the
+// total stays where it was. Other weights stay within [lo, hi].
+export function setWeight(weights, asset, value, { locked = [], lo = 0, hi = 1 } = {}) {
+  const next = { ...weights, [asset]: value };
+  let excess = value - (Number(weights[asset]) || 0);
+  for (let pass = 0; pass < 5 && Math.abs(excess) > 1e-12; pass++) {
+    const free = Object.keys(next).filter(
+      (a) => a !== asset && !locked.includes(a) && (excess > 0 ? next[a] > lo + 1e-12 : next[a] < hi - 1e-12)
+    );
+    if (!free.length) break;
+    const base = free.reduce((s, a) => s + Math.abs(next[a]), 0);
+    let moved = 0;
+    free.forEach((a) => {
+      const share = base > 0 ? Math.abs(next[a]) / base : 1 / free.length;
+      const target = Math.min(hi, Math.max(lo, next[a] - excess * share));
+      moved += next[a] - target;
+      next[a] = target;
+    });
+    excess -= moved;
+  }
+  return next;
+}
@@ -0,0 +1,45 @@
+import { vi } from "vitest";
+
+// A scripted optimizer backend installed as the global fetch, so tests run
+// without a network. Successive GET /api/runs/{id} calls walk through
+// `statuses` (the last one repeats). `files` maps artifact paths to their
+// content; `routes` overrides any "METHOD /path" with a handler returning a
+// Response. Every request is recorded in `calls` as { method, path, body,
+// headers }.
+export function fakeBackend({
+  runId = "run-1",
+  statuses = [{ status: "done", files: [] }],
+  summary = {},
+  memo = null,
+  files = {},
+  routes = {},
+} = {}) {
+  const calls = [];
+  let polls = 0;
+
+  const fetch = vi.fn(async (url, init = {}) => {
+    const { pathname } = new URL(url);
+    const method = init.method || "GET";
+    calls.push({ method, path: pathname, body: init.body, headers: init.headers || {} });
+    const key = `${method} ${pathname}`;
+
+    if (routes[key]) return routes[key](init);
+    if (key === "POST /api/runs") return json(200, { run_id: runId });
+    if (key === "GET /api/health") return json(200, { status: "ok" });
+    if (key === `GET /api/runs/${runId}`) return json(200, statuses[Math.min(polls++, statuses.length - 1)]);
+    if (key === `GET /api/runs/${runId}/summary`) return json(200, summary);
+    if (key === `GET /api/runs/${runId}/memo` && memo != null) {
+      return new Response(typeof memo === "string" ? memo : JSON.stringify(memo));
+    }
+    const artifact = pathname.startsWith(`/runs/${runId}/`) ? pathname.slice(`/runs/${runId}/`.length) : null;
+    if (method === "GET" && artifact && files[artifact] != null) return new Response(files[artifact]);
+    return json(404, { detail: "Not Found" });
+  });
+
+  vi.stubGlobal("fetch", fetch);
+  return { fetch, calls, polls: () => polls };
+}
+
+export function json(status, body) {
+  return new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json" } });
+}
@@ -0,0 +1,17 @@
+import { optimizeLocal } from "../lib/localEngine.js";
+
+// Runs one local optimization off the main thread (see lib/localRuns.js).
+//   { runId, data, portfolio, config } → { type: "progress", progress } while annealing,
+//   then { type: "done", result } ({ summary, files }) or { type: "error", error }
+self.onmessage = (e) => {
+  const { runId, data, portfolio, config } = e.data;
+  try {
+    const result = optimizeLocal(data, portfolio, config, {
+      runId,
+      onProgress: (progress) => self.postMessage({ type: "progress", progress }),
+    });
+    self.postMessage({ type: "done", result });
+  } catch (err) {
+    self.postMessage({ type: "error", error: String(err?.message || err) });
+  }
+};
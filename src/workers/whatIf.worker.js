@@ -0,0 +1,15 @@
+import { evaluateWeights } from "../lib/whatIf.js";
+
+// Scores what-if weights off the main thread so sliders stay smooth.
+//   { type: "data", data }                   sets the return history (parseAssetReturns)
+//   { type: "eval", id, weightSets, options } → { id, results } (one evaluateWeights per set)
+let data = null;
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  if (msg.type === "data") {
+    data = msg.data;
+  } else if (msg.type === "eval") {
+    self.postMessage({ id: msg.id, results: msg.weightSets.map((w) => evaluateWeights(data, w, msg.options)) });
+  }
+};